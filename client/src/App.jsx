@@ -1,219 +1,1232 @@
 // real-time-chat-app/client/src/App.jsx
-import React, { useEffect, useState, useRef } from 'react';
-import { io } from 'socket.io-client';
+import React, { useEffect, useLayoutEffect, useState, useRef, useMemo, useCallback } from 'react';
+import { useSocket, useSocketEvent, SERVER_URL } from './socket/socket.js';
+import { Markdown } from './markdown/Markdown.jsx';
 
-const SOCKET_SERVER_URL = "http://127.0.0.1:5000";
+const SESSION_STORAGE_KEY = 'chatSession';
+const MENTION_SOUND_STORAGE_KEY = 'chatMentionSound';
+const COMPOSER_PREVIEW_STORAGE_KEY = 'chatComposerPreview';
+// The message box grows with its text up to this many lines, then scrolls
+const MAX_COMPOSER_ROWS = 8;
+// No keyboard/mouse input for this long and the tab reports itself idle (the server then shows us as away)
+const IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+// Statuses we can pick, and how every status (including 'offline') is shown
+const PRESENCE_STATUS_OPTIONS = [
+  { value: 'online', label: 'Online' },
+  { value: 'away', label: 'Away' },
+  { value: 'dnd', label: 'Do not disturb' },
+  { value: 'invisible', label: 'Invisible' },
+];
+const PRESENCE_STATUS_COLORS = { online: '#28a745', away: '#ffc107', dnd: '#dc3545', offline: '#adb5bd' };
+// Emojis offered by the reaction picker
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '🎉', '🙏', '👀'];
+// Error codes the server uses when it throttles us; these go to the notice banner as well as the failed bubble
+const RATE_LIMIT_ERROR_CODES = ['rate_limited', 'muted', 'duplicate_message', 'message_too_long', 'slow_mode', 'muted_in_room'];
+// Slow mode intervals a moderator can pick
+const SLOW_MODE_OPTIONS = [
+  { value: 0, label: 'Slow mode: off' },
+  { value: 5, label: 'Slow mode: 5s' },
+  { value: 10, label: 'Slow mode: 10s' },
+  { value: 30, label: 'Slow mode: 30s' },
+  { value: 60, label: 'Slow mode: 1 min' },
+  { value: 300, label: 'Slow mode: 5 min' },
+];
+// Formats a room transcript can be downloaded in (GET /api/rooms/:room/export)
+const EXPORT_FORMAT_OPTIONS = [
+  { value: 'json', label: 'JSON (can be imported)' },
+  { value: 'csv', label: 'CSV' },
+  { value: 'md', label: 'Markdown' },
+  { value: 'html', label: 'HTML' },
+];
+// Shortest time a server error notice stays up (longer if it says to wait longer)
+const CHAT_NOTICE_MIN_MS = 5000;
+
+// Display name for a room record, e.g. { id: 'general', name: 'general' } -> 'General'
+const formatRoomName = (room) => room.name.charAt(0).toUpperCase() + room.name.slice(1);
+
+// Who a message is from. A /nick name always comes with the username, so nobody can pass for someone
+// else; bots (incoming webhooks) only have their name.
+const formatAuthor = (msg) => (
+  msg.displayName && !msg.isBot && msg.displayName !== msg.username
+    ? `${msg.displayName} (@${msg.username})`
+    : msg.displayName || msg.username
+);
+
+// Rows for a message box: one per line of its text, up to MAX_COMPOSER_ROWS
+const getComposerRows = (text) => Math.min(MAX_COMPOSER_ROWS, text.split('\n').length);
+
+// Human-readable file size, e.g. 2048 -> '2.0 KB'
+const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Wraps the words of `text` that start with one of the search `terms` in <mark>, matching how
+// the server tokenizes (lowercased letters/digits), e.g. ('Deploy failed', ['deploy']) -> [<mark>Deploy</mark>, ' failed']
+const highlightText = (text, terms) => {
+  if (!text || !terms || terms.length === 0) return text;
+  return text.split(/([\p{L}\p{N}]+)/u).map((part, index) => (
+    index % 2 === 1 && terms.some(term => part.toLowerCase().startsWith(term))
+      ? <mark key={index}>{part}</mark>
+      : part
+  ));
+};
+
+// Wraps @username / @room mentions in <mark>, emphasizing the ones that mention us.
+// Same rules as the server: the '@' can't follow a word character, and a trailing '.'/'-' is punctuation.
+const renderMentions = (text, username) => {
+  if (!text || !text.includes('@')) return text;
+  return text.split(/(?<![\w@])(@[A-Za-z0-9_.-]+)/).map((part, index) => {
+    if (index % 2 === 0) return part;
+    const name = part.slice(1).replace(/[.-]+$/, '');
+    const isForUs = name === username || name === 'room';
+    return (
+      <React.Fragment key={index}>
+        <mark style={{ backgroundColor: isForUs ? '#ffe08a' : '#e2e8f0', borderRadius: '3px', padding: '0 2px' }}>@{name}</mark>
+        {part.slice(1 + name.length)}
+      </React.Fragment>
+    );
+  });
+};
+
+// Short two-tone chime for mention alerts (generated, so there's no sound file to ship)
+const playMentionSound = () => {
+  try {
+    const audioContext = new AudioContext();
+    [880, 660].forEach((frequency, index) => {
+      const oscillator = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      oscillator.frequency.value = frequency;
+      gain.gain.value = 0.1;
+      oscillator.connect(gain).connect(audioContext.destination);
+      oscillator.start(audioContext.currentTime + index * 0.15);
+      oscillator.stop(audioContext.currentTime + index * 0.15 + 0.12);
+    });
+    setTimeout(() => audioContext.close(), 1000);
+  } catch {
+    // Audio unavailable (e.g. autoplay blocked): the desktop notification is enough
+  }
+};
+
+// State updater appending a reply to the open thread (see 'openThread') if it is that thread and has been loaded
+const appendThreadReply = (room, parentId, reply) => (thread) => (
+  thread && thread.room === room && thread.parentId === parentId && thread.replies
+    ? { ...thread, replies: [...thread.replies, reply] }
+    : thread
+);
+
+// Relative last-seen time, e.g. 'just now', '5 min ago', '3 h ago', or the date for anything older than a day
+const formatLastSeen = (lastSeenAt) => {
+  const minutes = Math.floor((Date.now() - new Date(lastSeenAt).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+  return new Date(lastSeenAt).toLocaleDateString();
+};
+
+// Text of a moderation notice from the server, e.g. { action: 'mute', by: 'alice', username: 'bob', until } -> 'alice muted bob until ...'
+const formatModerationNotice = ({ action, by, username, reason, until, seconds, role }) => {
+  const untilText = until ? ` until ${new Date(until).toLocaleString()}` : '';
+  const reasonText = reason ? ` (${reason})` : '';
+  switch (action) {
+    case 'kick': return `${by} kicked ${username} from the room${reasonText}.`;
+    case 'ban': return `${by} banned ${username}${untilText}${reasonText}.`;
+    case 'mute': return `${by} muted ${username}${untilText}${reasonText}.`;
+    case 'unban': return `${by} lifted the ban on ${username}.`;
+    case 'unmute': return `${by} unmuted ${username}.`;
+    case 'slow_mode': return seconds ? `${by} turned on slow mode: one message every ${seconds}s.` : `${by} turned off slow mode.`;
+    case 'role': return role === 'moderator' ? `${by} made ${username} a moderator.` : `${by} removed ${username} as a moderator.`;
+    default: return `${by} moderated the room.`;
+  }
+};
+
+// Suggestions for the slash command being typed, from the server's command list ('available_commands').
+// Returns { start, options: [{ value, label, hint }] } where choosing an option replaces the input from
+// `start` on with its value, or null when there is nothing to suggest.
+const getCommandSuggestions = (text, commands, { rooms, users }) => {
+  if (!text.startsWith('/') || text.startsWith('//')) return null;
+  const commandName = /^\/(\S*)$/.exec(text);
+  if (commandName) {
+    const options = commands
+      .filter(command => command.name.startsWith(commandName[1].toLowerCase()))
+      .map(command => ({ value: `/${command.name} `, label: command.usage, hint: command.description }));
+    return options.length > 0 ? { start: 0, options } : null;
+  }
+
+  // Typing an argument: suggest values of its type
+  const [, name, argsText] = /^\/(\S+)\s+([\s\S]*)$/.exec(text) || [];
+  const command = commands.find(candidate => candidate.name === name?.toLowerCase());
+  const words = (argsText || '').split(/\s+/);
+  const arg = command?.args[words.length - 1];
+  if (!arg) return null;
+  const prefix = words[words.length - 1].replace(/^#/, '').toLowerCase();
+  const candidates = {
+    room: rooms.map(room => ({ value: room.id, label: `#${room.name}` })),
+    user: users.map(user => ({ value: user, label: user })),
+    command: commands.map(other => ({ value: other.name, label: other.usage })),
+  }[arg.type] || [];
+  const isLastArg = words.length === command.args.length;
+  const options = candidates
+    .filter(candidate => candidate.value.toLowerCase().startsWith(prefix) || candidate.label.toLowerCase().includes(prefix))
+    .slice(0, 8)
+    .map(candidate => ({ ...candidate, value: isLastArg ? candidate.value : `${candidate.value} ` }));
+  return options.length > 0 ? { start: text.length - words[words.length - 1].length, options } : null;
+};
+
+// Asks how long a ban/mute should last. Returns { durationSeconds } (undefined = until lifted), or null if cancelled.
+const promptDuration = (action) => {
+  const minutes = prompt(`${action} for how many minutes? Leave empty for no time limit.`, '60');
+  if (minutes === null) return null;
+  return { durationSeconds: Number(minutes) > 0 ? Math.round(Number(minutes) * 60) : undefined };
+};
+
+// Search filter dates ('YYYY-MM-DD', local time) as the ISO bounds the search API expects
+const toSearchDateBound = (date, endOfDay) => (
+  date ? new Date(`${date}T${endOfDay ? '23:59:59.999' : '00:00:00'}`).toISOString() : ''
+);
+
+// Reads the saved { token, username } session so a page reload keeps the user logged in
+const loadSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+  } catch {
+    return null;
+  }
+};
 
 function App() {
-  const [socket, setSocket] = useState(null);
-  const [isConnected, setIsConnected] = useState(false);
-  const [username, setUsername] = useState('');
   const [message, setMessage] = useState('');
-  
-  // States for Task 4: Rooms
-  const [currentRoom, setCurrentRoom] = useState('general'); // Default room on join
-  const [availableRooms, setAvailableRooms] = useState(['general', 'random', 'tech', 'sports']); // Initial default rooms
-  const [messagesByRoom, setMessagesByRoom] = useState({
-      'general': [],
-      'random': [],
-      'tech': [],
-      'sports': []
-  }); // Stores messages for all rooms
-  const [unreadCounts, setUnreadCounts] = useState({}); // { roomName: count }
-
-  // Shared states for current room display
-  const [displayedMessages, setDisplayedMessages] = useState([]); // Messages for the currentRoom
-  const [onlineUsers, setOnlineUsers] = useState([]); // Online users in currentRoom
-  const [typingUsers, setTypingUsers] = useState([]); // Typing users in currentRoom
-
-  const [hasJoinedChat, setHasJoinedChat] = useState(false);
+
+  // States for authentication
+  const [session, setSession] = useState(loadSession); // { token, username } or null when logged out
+  const [authMode, setAuthMode] = useState('login'); // 'login' or 'register'
+  const [authUsername, setAuthUsername] = useState('');
+  const [authPassword, setAuthPassword] = useState('');
+  const [authError, setAuthError] = useState('');
+  const [isAuthenticating, setIsAuthenticating] = useState(false);
+  const username = session ? session.username : '';
+  const authToken = session ? session.token : null;
+
+  // The connection and room state (see socket/socket.js). A rejected token sends us back to the login screen.
+  const {
+    socket,
+    isConnected,
+    hasConnected,
+    rooms: availableRooms,
+    currentRoom,
+    joinRoom,
+    messagesByRoom,
+    hasMoreByRoom,
+    isLoadingOlder,
+    unreadCounts,
+    onlineUsers,
+    typingUsers,
+    threadTypingUsers,
+    addMessage,
+    addNotice,
+    sendMessage: sendRoomMessage,
+    retryMessage: resendRoomMessage,
+    loadOlderMessages: loadOlderRoomMessages,
+    markRead,
+    notifyTyping,
+    stopTyping,
+  } = useSocket({
+    token: authToken,
+    username,
+    onAuthError: () => {
+      localStorage.removeItem(SESSION_STORAGE_KEY);
+      setSession(null);
+    },
+  });
+
+  const [mentionCounts, setMentionCounts] = useState({}); // { roomId: unread mentions of us }
+  const [mutedRooms, setMutedRooms] = useState([]); // Room ids whose mentions don't alert us
+  const [notificationPermission, setNotificationPermission] = useState(
+    typeof Notification === 'undefined' ? 'unsupported' : Notification.permission
+  );
+  // Whether the formatted preview of what we type shows above the message box
+  const [isComposerPreviewShown, setIsComposerPreviewShown] = useState(
+    () => localStorage.getItem(COMPOSER_PREVIEW_STORAGE_KEY) === 'on'
+  );
+  const [isMentionSoundEnabled, setIsMentionSoundEnabled] = useState(
+    () => localStorage.getItem(MENTION_SOUND_STORAGE_KEY) !== 'off'
+  );
+  const [readReceiptsByRoom, setReadReceiptsByRoom] = useState({}); // { roomId: { username: { messageId, createdAt } } }
+  const [hoveredMessageId, setHoveredMessageId] = useState(null); // Shows the edit/delete actions
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [editText, setEditText] = useState('');
+  const [reactionPickerMessageId, setReactionPickerMessageId] = useState(null);
+  // Files attached to the message being composed: [{ localId, name, progress, status: 'uploading' | 'done' | 'error', error, attachment }]
+  const [pendingUploads, setPendingUploads] = useState([]);
+  const [isDraggingFile, setIsDraggingFile] = useState(false);
+  const [isPageVisible, setIsPageVisible] = useState(document.visibilityState === 'visible');
+  const [newRoomName, setNewRoomName] = useState('');
+  const [isSearchOpen, setIsSearchOpen] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchFilters, setSearchFilters] = useState({ room: '', user: '', after: '', before: '' }); // after/before are 'YYYY-MM-DD'
+  const [searchResults, setSearchResults] = useState(null); // { query, terms, results: [{ message, score, context }] } from /api/search
+  const [searchError, setSearchError] = useState('');
+  const [jumpTarget, setJumpTarget] = useState(null); // { room, messageId } of a search result we are scrolling to
+  const [highlightedMessage, setHighlightedMessage] = useState(null); // { messageId, terms } of the message we jumped to
+  const [newRoomDescription, setNewRoomDescription] = useState('');
+  const [roomRoles, setRoomRoles] = useState({}); // { roomId: 'owner' | 'moderator' | 'member' }, sent when we join a room
+  const [moderationMenuUser, setModerationMenuUser] = useState(null); // Online user whose moderation menu is open
+  const [roomRestrictions, setRoomRestrictions] = useState(null); // { ban, mute } of the current room while the bans list is open
+  const [availableCommands, setAvailableCommands] = useState([]); // Slash commands [{ name, usage, description, args }] from the server
+  const [selectedSuggestion, setSelectedSuggestion] = useState(0); // Highlighted command autocomplete option
+  const [chatNotice, setChatNotice] = useState(null); // Last rejected request { code, message, event, retryAfterMs }, shown in a dismissable banner
+  const [openThread, setOpenThread] = useState(null); // { room, parentId, parent, replies } of the thread in the side panel; parent/replies are null until loaded
+  const [threadMessage, setThreadMessage] = useState(''); // The thread panel's composer
+  const [isThreadReplyAlsoInRoom, setIsThreadReplyAlsoInRoom] = useState(false);
+
+  // States for private (direct) messaging
+  const [privateChats, setPrivateChats] = useState({}); // { otherUsername: [messages] }
+  const [activePrivateChat, setActivePrivateChat] = useState(null); // Username of the open DM, or null when viewing a room
+  const [privateUnreadCounts, setPrivateUnreadCounts] = useState({}); // { otherUsername: count }
+
+  const [presenceByUser, setPresenceByUser] = useState({}); // { username: { status, lastSeenAt } }
+  const [myStatus, setMyStatus] = useState('online'); // The status we picked (see PRESENCE_STATUS_OPTIONS)
+
   const messagesEndRef = useRef(null);
-  const typingTimeoutRef = useRef(null);
+  const messagesBoxRef = useRef(null);
+  // Scroll metrics saved right before older messages are prepended, so the view doesn't jump
+  const scrollRestoreRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const importFileInputRef = useRef(null);
+
+  // Logging out (or in as someone else) ends the session: drop everything it loaded
+  // (the room state goes with the connection in useSocket)
+  useEffect(() => () => {
+    setReadReceiptsByRoom({});
+    setMentionCounts({});
+    setPrivateChats({});
+    setActivePrivateChat(null);
+    setPrivateUnreadCounts({});
+    setPresenceByUser({});
+    setRoomRoles({});
+    setOpenThread(null);
+  }, [authToken]);
+
+  // --- Server events (handlers see the current state, see useSocketEvent) ---
+
+  // Server rejected one of our requests sent without an ack: { code, message, event }
+  // (e.g. posting in an archived room, or too fast). Being banned from a room we tried to
+  // join also lands here; useSocket then takes us back to General.
+  useSocketEvent(socket, 'error', (chatError) => {
+    setChatNotice(chatError);
+  });
+
+  // The room we were in was deleted by its creator (useSocket moves us to General)
+  useSocketEvent(socket, 'room_deleted', ({ room }) => {
+    if (room === currentRoom) alert('This room was deleted by its creator. Moving you to General.');
+  });
+
+  // --- Slash commands ---
+  useSocketEvent(socket, 'available_commands', (commands) => {
+    setAvailableCommands(commands);
+  });
+
+  // A command we ran answered (only we see this). Its `action` may send us to a room or a DM.
+  // Commands typed in a thread answer in its panel.
+  useSocketEvent(socket, 'command_feedback', ({ room, message: feedback, action, parentId }) => {
+    if (feedback && parentId) {
+      setOpenThread(appendThreadReply(room, parentId, {
+        username: 'System',
+        message: feedback,
+        timestamp: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+        isNotification: true,
+        isCommandFeedback: true
+      }));
+    } else if (feedback) {
+      addNotice(room, feedback, { isCommandFeedback: true });
+    }
+    if (action?.type === 'join_room') {
+      setActivePrivateChat(null);
+      joinRoom(action.room);
+    } else if (action?.type === 'open_private_chat') {
+      setPrivateChats(prev => (prev[action.username] ? prev : { ...prev, [action.username]: [] }));
+      setActivePrivateChat(action.username);
+    }
+  });
+
+  // --- Moderation ---
+  useSocketEvent(socket, 'room_role', ({ room, role }) => {
+    setRoomRoles(prev => ({ ...prev, [room]: role }));
+  });
+
+  useSocketEvent(socket, 'moderation_notice_in_room', (notice) => {
+    addNotice(notice.room, formatModerationNotice(notice));
+  });
 
-  // --- Core Socket.IO connection management (runs once on mount) ---
+  // We were kicked or banned: every tab showing that room moves to General (useSocket does the move)
+  useSocketEvent(socket, 'removed_from_room', (notice) => {
+    if (notice.room !== currentRoom) return;
+    alert(`You were removed from this room. ${formatModerationNotice(notice)}`);
+  });
+
+  // --- Room activity ---
+  // Each reader's last-read message for a room when we join it...
+  useSocketEvent(socket, 'read_receipts_in_room', ({ room, readers }) => {
+    setReadReceiptsByRoom(prev => ({ ...prev, [room]: readers }));
+  });
+
+  // ...and every time someone reads further
+  useSocketEvent(socket, 'read_receipt_update', ({ room, username: reader, messageId, createdAt }) => {
+    setReadReceiptsByRoom(prev => ({
+        ...prev,
+        [room]: { ...(prev[room] || {}), [reader]: { messageId, createdAt } }
+    }));
+  });
+
+  // A message was edited, deleted or replied to: the thread panel may show it (the room's cache is kept by useSocket)
+  useSocketEvent(socket, 'message_updated', ({ room, message: updatedMessage }) => {
+    setOpenThread(prev => {
+      if (!prev || prev.room !== room || !prev.parent) return prev;
+      return {
+        ...prev,
+        parent: prev.parent.id === updatedMessage.id ? updatedMessage : prev.parent,
+        replies: prev.replies.map(reply => (reply.id === updatedMessage.id ? updatedMessage : reply))
+      };
+    });
+  });
+
+  // Someone replied in a thread of a room we are in (its parent's new reply count comes as 'message_updated')
+  useSocketEvent(socket, 'thread_reply', ({ room, parentId, message: reply }) => {
+    setOpenThread(appendThreadReply(room, parentId, reply));
+  });
+
+  useSocketEvent(socket, 'user_joined_notification_in_room', ({ username: joinedUsername, room }) => {
+    addNotice(room, `${joinedUsername} has joined ${room}.`);
+  });
+
+  useSocketEvent(socket, 'user_left_notification_in_room', ({ username: leftUsername, room }) => {
+    addNotice(room, `${leftUsername} has left ${room}.`);
+  });
+
+  // --- Mentions ---
+  // Unread mentions of us (all rooms on connect, one room when we're mentioned or read it)
+  useSocketEvent(socket, 'mention_counts', (counts) => {
+    setMentionCounts(prev => ({ ...prev, ...counts }));
+  });
+
+  useSocketEvent(socket, 'muted_rooms', (rooms) => {
+    setMutedRooms(rooms);
+  });
+
+  // Someone mentioned us (or @room) in a room we haven't muted: alert if the tab is in the background
+  useSocketEvent(socket, 'mention', ({ room, message: mentionMessage }) => {
+    if (document.visibilityState === 'visible') return;
+    if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+      const roomInfo = availableRooms.find(r => r.id === room);
+      const notification = new Notification(
+        `${mentionMessage.username} mentioned you in #${roomInfo ? formatRoomName(roomInfo) : room}`,
+        { body: mentionMessage.message, tag: mentionMessage.id }
+      );
+      notification.onclick = () => {
+        window.focus();
+        setActivePrivateChat(null);
+        joinRoom(room);
+        notification.close();
+      };
+    }
+    if (isMentionSoundEnabled) {
+      playMentionSound();
+    }
+  });
+
+  // --- Presence ---
+  // Presence of everyone online and of our DM partners on connect, then every change
+  useSocketEvent(socket, 'presence_snapshot', (users) => {
+    setPresenceByUser(Object.fromEntries(users.map(({ username: name, ...presence }) => [name, presence])));
+  });
+
+  useSocketEvent(socket, 'presence_update', ({ username: name, ...presence }) => {
+    setPresenceByUser(prev => ({ ...prev, [name]: presence }));
+  });
+
+  // The status we picked (also when we change it on another tab/device)
+  useSocketEvent(socket, 'own_status', (status) => {
+    setMyStatus(status);
+  });
+
+  // --- Private (direct) messages ---
+  // The users we already have DM history with (after joining)
+  useSocketEvent(socket, 'private_conversations', (partners) => {
+    setPrivateChats(prev => {
+      const next = { ...prev };
+      partners.forEach(partner => {
+        if (!next[partner]) next[partner] = [];
+      });
+      return next;
+    });
+  });
+
+  // The DM history with one user
+  useSocketEvent(socket, 'initial_private_messages', ({ withUser, messages }) => {
+    setPrivateChats(prev => ({ ...prev, [withUser]: messages }));
+  });
+
+  // A DM sent by us (from any of our tabs) or to us
+  useSocketEvent(socket, 'private_message', (msg) => {
+    const partner = msg.username === username ? msg.to : msg.username;
+    setPrivateChats(prev => ({
+        ...prev,
+        [partner]: [...(prev[partner] || []), msg]
+    }));
+
+    if (msg.username !== username && partner !== activePrivateChat) {
+        setPrivateUnreadCounts(prev => ({
+            ...prev,
+            [partner]: (prev[partner] || 0) + 1
+        }));
+    }
+  });
+
+  // Load DM history and reset its unread count when a DM conversation is opened
+  useEffect(() => {
+    if (!activePrivateChat) return;
+    setPrivateUnreadCounts(prev => ({ ...prev, [activePrivateChat]: 0 }));
+    if (socket && isConnected) {
+      socket.emit('load_private_messages', { withUser: activePrivateChat });
+    }
+  }, [activePrivateChat, socket, isConnected]);
+
+  // Load the open thread when it is shown (again after switching back to its room or reconnecting,
+  // as we only hear about replies in the room we are in)
+  const openThreadRoom = openThread && openThread.room;
+  const openThreadParentId = openThread && openThread.parentId;
   useEffect(() => {
-    const newSocket = io(SOCKET_SERVER_URL);
-    setSocket(newSocket);
-
-    newSocket.on('connect', () => {
-      console.log('Connected to Socket.IO server!');
-      setIsConnected(true);
-      // If user had previously joined, re-emit join_room for their current room
-      if (username && hasJoinedChat) {
-         newSocket.emit('join_room', { username, room: currentRoom });
+    if (!openThreadParentId || openThreadRoom !== currentRoom || !socket || !isConnected) return;
+    socket.emit('load_thread', { room: openThreadRoom, parentId: openThreadParentId }, (response) => {
+      if (!response.ok) {
+        setChatNotice(response);
+        setOpenThread(null);
+        return;
       }
+      setOpenThread(prev => (
+        prev && prev.room === response.room && prev.parentId === response.parent.id
+          ? { ...prev, parent: response.parent, replies: response.replies }
+          : prev
+      ));
     });
+  }, [openThreadRoom, openThreadParentId, currentRoom, socket, isConnected]);
+
+  // Messages shown in the main pane: the open DM conversation, or the current room
+  const visibleMessages = useMemo(
+    () => (activePrivateChat ? (privateChats[activePrivateChat] || []) : (messagesByRoom[currentRoom] || [])),
+    [activePrivateChat, privateChats, messagesByRoom, currentRoom]
+  );
+
+  // Metadata of the current room (undefined until the room list arrives)
+  const currentRoomInfo = availableRooms.find(room => room.id === currentRoom);
+  const isCurrentRoomArchived = Boolean(currentRoomInfo && currentRoomInfo.archived);
+  const currentRoomRole = roomRoles[currentRoom] || 'member';
+  const canManageCurrentRoom = Boolean(currentRoomInfo) && currentRoomRole === 'owner';
+  const canModerateCurrentRoom = currentRoomRole !== 'member';
+
+  // The moderation menu and bans list belong to the room they were opened in
+  useEffect(() => {
+    setModerationMenuUser(null);
+    setRoomRestrictions(null);
+  }, [currentRoom]);
+
+  // Auto-scroll to bottom of messages, except after loading older ones: then keep the
+  // previously visible messages in place (runs before paint to avoid a visible jump)
+  useLayoutEffect(() => {
+    const restore = scrollRestoreRef.current;
+    const messagesBox = messagesBoxRef.current;
+    if (restore && messagesBox) {
+      messagesBox.scrollTop = messagesBox.scrollHeight - restore.scrollHeight + restore.scrollTop;
+      scrollRestoreRef.current = null;
+      return;
+    }
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [visibleMessages]); // Watch the visible messages for scrolling
+
+  // Report this tab as idle after IDLE_TIMEOUT_MS without input, and as active again on the next input
+  useEffect(() => {
+    if (!socket || !isConnected) return;
+    let isIdle = false;
+    let idleTimeoutId = null;
+    const handleActivity = () => {
+      if (isIdle) {
+        isIdle = false;
+        socket.emit('set_idle', { idle: false });
+      }
+      clearTimeout(idleTimeoutId);
+      idleTimeoutId = setTimeout(() => {
+        isIdle = true;
+        socket.emit('set_idle', { idle: true });
+      }, IDLE_TIMEOUT_MS);
+    };
+    const activityEvents = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'focus'];
+    activityEvents.forEach(eventName => window.addEventListener(eventName, handleActivity));
+    handleActivity();
+    return () => {
+      clearTimeout(idleTimeoutId);
+      activityEvents.forEach(eventName => window.removeEventListener(eventName, handleActivity));
+    };
+  }, [socket, isConnected]);
+
+  // Track whether the tab is visible: messages only count as read when someone can see them
+  useEffect(() => {
+    const handleVisibilityChange = () => setIsPageVisible(document.visibilityState === 'visible');
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, []);
 
-    newSocket.on('disconnect', () => {
-      console.log('Disconnected from Socket.IO server.');
-      setIsConnected(false);
-      // Clear data on disconnect if user was logged in
-      if (hasJoinedChat) {
-        setHasJoinedChat(false);
-        setUsername('');
+  // A notice goes away by itself once the wait it mentions is over
+  useEffect(() => {
+    if (!chatNotice) return;
+    const timeout = setTimeout(() => setChatNotice(null), Math.max(chatNotice.retryAfterMs || 0, CHAT_NOTICE_MIN_MS));
+    return () => clearTimeout(timeout);
+  }, [chatNotice]);
+
+  // Report the newest stored message of the room we're looking at as read
+  useEffect(() => {
+    if (!isConnected || activePrivateChat || !isPageVisible) return;
+    markRead(currentRoom);
+  }, [isConnected, activePrivateChat, isPageVisible, currentRoom, markRead]);
+
+  // Everyone else whose read position in the current room is at or past this message
+  const getSeenBy = (msg) => {
+    const readers = readReceiptsByRoom[currentRoom] || {};
+    return Object.keys(readers).filter(reader => (
+      reader !== msg.username && msg.createdAt && readers[reader].createdAt >= msg.createdAt
+    ));
+  };
+
+  // Fetch the page of room messages older than the oldest one we have (infinite scroll),
+  // keeping the messages on screen where they are
+  const loadOlderMessages = useCallback(() => {
+    if (activePrivateChat) return;
+    loadOlderRoomMessages((room) => {
+      const messagesBox = messagesBoxRef.current;
+      if (messagesBox && room === currentRoom) {
+        scrollRestoreRef.current = { scrollHeight: messagesBox.scrollHeight, scrollTop: messagesBox.scrollTop };
       }
-      setMessagesByRoom({}); // Clear all messages
-      setDisplayedMessages([]);
-      setOnlineUsers([]);
-      setTypingUsers([]);
-      setUnreadCounts({}); // Clear unread counts
-      // Reset to default room after disconnect
-      setCurrentRoom('general');
+    }).then(response => {
+      if (response && !response.ok) alert(response.error);
     });
+  }, [activePrivateChat, loadOlderRoomMessages, currentRoom]);
+
+  const handleMessagesScroll = (e) => {
+    if (e.currentTarget.scrollTop < 50) {
+      loadOlderMessages();
+    }
+  };
+
+  // --- Message search ---
+  // Searches as the user types (debounced); the last word matches as a prefix on the server
+  useEffect(() => {
+    if (!isSearchOpen || !authToken || !searchQuery.trim()) {
+      setSearchResults(null);
+      setSearchError('');
+      return;
+    }
+    const controller = new AbortController();
+    const timeoutId = setTimeout(async () => {
+      const params = new URLSearchParams({ q: searchQuery.trim() });
+      if (searchFilters.room) params.set('room', searchFilters.room);
+      if (searchFilters.user.trim()) params.set('user', searchFilters.user.trim());
+      if (searchFilters.after) params.set('after', toSearchDateBound(searchFilters.after, false));
+      if (searchFilters.before) params.set('before', toSearchDateBound(searchFilters.before, true));
+      try {
+        const response = await fetch(`${SERVER_URL}/api/search?${params}`, {
+          headers: { Authorization: `Bearer ${authToken}` },
+          signal: controller.signal,
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          setSearchError(data.error || 'Search failed.');
+          return;
+        }
+        setSearchError('');
+        setSearchResults(data);
+      } catch (error) {
+        if (error.name !== 'AbortError') setSearchError('Could not reach the chat server.');
+      }
+    }, 300);
+    return () => {
+      clearTimeout(timeoutId);
+      controller.abort();
+    };
+  }, [isSearchOpen, authToken, searchQuery, searchFilters]);
+
+  // Opens the result's room; the effect below then scrolls to the message.
+  // A thread reply opens its thread, and is only scrolled to if it was also posted to the room.
+  const jumpToSearchResult = (result, terms) => {
+    setActivePrivateChat(null);
+    joinRoom(result.message.room);
+    if (result.message.parentId) {
+      showThread(result.message.room, result.message.parentId);
+      if (!result.message.alsoInRoom) return;
+    }
+    setJumpTarget({ room: result.message.room, messageId: result.message.id });
+    setHighlightedMessage({ messageId: result.message.id, terms });
+  };
+
+  // Pages back through the room history until the jump target is loaded, then scrolls to it.
+  // A layout effect declared after the auto-scroll one, so it wins over scrolling to the bottom.
+  useLayoutEffect(() => {
+    if (!jumpTarget || activePrivateChat || currentRoom !== jumpTarget.room) return;
+    const roomMessages = messagesByRoom[jumpTarget.room];
+    if (!roomMessages) return; // Room history not received yet
+    if (visibleMessages.some(msg => msg.id === jumpTarget.messageId)) {
+      document.getElementById(`message-${jumpTarget.messageId}`)?.scrollIntoView({ block: 'center' });
+      setJumpTarget(null);
+    } else if (roomMessages.some(msg => msg.id === jumpTarget.messageId)) {
+      return; // Loaded, rendered on the next pass
+    } else if (hasMoreByRoom[jumpTarget.room]) {
+      loadOlderMessages();
+    } else {
+      setJumpTarget(null);
+      alert('That message is no longer available.');
+    }
+  }, [jumpTarget, activePrivateChat, currentRoom, messagesByRoom, visibleMessages, hasMoreByRoom, loadOlderMessages]);
 
-    // --- Task 4 Event Listeners (Room-specific) ---
+  // The jumped-to message stays highlighted for a few seconds
+  useEffect(() => {
+    if (!highlightedMessage || jumpTarget) return;
+    const timeoutId = setTimeout(() => setHighlightedMessage(null), 4000);
+    return () => clearTimeout(timeoutId);
+  }, [highlightedMessage, jumpTarget]);
 
-    // Server sends available rooms (e.g., on initial connect)
-    newSocket.on('available_rooms', (rooms) => {
-      setAvailableRooms(rooms);
-      // Initialize unread counts for all known rooms
-      const initialUnread = {};
-      rooms.forEach(room => {
-          initialUnread[room] = 0;
+  // Handle the login/register form: on success the session is saved and the socket connects
+  const handleAuthSubmit = async () => {
+    if (!authUsername.trim() || !authPassword) {
+      setAuthError('Please enter a username and password.');
+      return;
+    }
+    setIsAuthenticating(true);
+    setAuthError('');
+    try {
+      const response = await fetch(`${SERVER_URL}/api/auth/${authMode}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: authUsername.trim(), password: authPassword }),
       });
-      setUnreadCounts(prev => ({ ...initialUnread, ...prev }));
+      const data = await response.json();
+      if (!response.ok) {
+        setAuthError(data.error || 'Authentication failed.');
+        return;
+      }
+      const newSession = { token: data.token, username: data.user.username };
+      localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(newSession));
+      setAuthPassword('');
+      setSession(newSession);
+    } catch {
+      setAuthError(`Could not reach the chat server at ${SERVER_URL}.`);
+    } finally {
+      setIsAuthenticating(false);
+    }
+  };
+
+  const handleLogout = () => {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+    setSession(null);
+  };
+
+  // Handle room selection change
+  const handleRoomChange = (e) => {
+    const newRoom = e.target.value;
+    setActivePrivateChat(null); // Leave any open DM view
+    joinRoom(newRoom);
+  };
+
+  const handleStatusChange = (e) => {
+    socket.emit('set_status', { status: e.target.value }, (response) => {
+      if (!response.ok) alert(response.error);
     });
+  };
+
+  // Status dot for a user; our own 'invisible' shows as offline, like everyone else sees it
+  const renderPresenceDot = (name) => {
+    const status = presenceByUser[name]?.status || 'offline';
+    const label = PRESENCE_STATUS_OPTIONS.find(option => option.value === status)?.label || 'Offline';
+    return <span title={label} style={{ ...presenceDotStyle, backgroundColor: PRESENCE_STATUS_COLORS[status] }} />;
+  };
 
-    // Server sends initial messages for a room when client joins it
-    newSocket.on('initial_messages_in_room', ({ room, messages }) => {
-      setMessagesByRoom(prev => ({ ...prev, [room]: messages }));
+  // --- Mention alerts ---
+  const toggleMuteCurrentRoom = () => {
+    socket.emit('mute_room', { room: currentRoom, muted: !mutedRooms.includes(currentRoom) }, (response) => {
+      if (!response.ok) alert(response.error);
     });
+  };
 
-    // Server sends a message for a room
-    newSocket.on('receive_message', (msg) => {
-      setMessagesByRoom(prev => ({
-          ...prev,
-          [msg.room]: [...(prev[msg.room] || []), msg]
-      }));
+  const enableDesktopAlerts = async () => {
+    setNotificationPermission(await Notification.requestPermission());
+  };
+
+  const toggleMentionSound = () => {
+    localStorage.setItem(MENTION_SOUND_STORAGE_KEY, isMentionSoundEnabled ? 'off' : 'on');
+    setIsMentionSoundEnabled(!isMentionSoundEnabled);
+  };
+
+  const toggleComposerPreview = () => {
+    localStorage.setItem(COMPOSER_PREVIEW_STORAGE_KEY, isComposerPreviewShown ? 'off' : 'on');
+    setIsComposerPreviewShown(!isComposerPreviewShown);
+  };
 
-      // If the message is for a room not currently viewed, increment unread count
-      if (msg.room !== currentRoom) {
-          setUnreadCounts(prev => ({
-              ...prev,
-              [msg.room]: (prev[msg.room] || 0) + 1
-          }));
+  // --- Room management (server replies through the ack callback) ---
+  const handleCreateRoom = () => {
+    if (!socket || !newRoomName.trim()) return;
+    socket.emit('create_room', { name: newRoomName.trim(), description: newRoomDescription.trim() }, (response) => {
+      if (!response.ok) {
+        alert(response.error);
+        return;
       }
+      setNewRoomName('');
+      setNewRoomDescription('');
+      setActivePrivateChat(null);
+      joinRoom(response.room.id);
+    });
+  };
+
+  const handleRenameRoom = () => {
+    const newName = prompt('New room name:', currentRoomInfo.name);
+    if (!newName || !newName.trim()) return;
+    const newDescription = prompt('Room description:', currentRoomInfo.description);
+    socket.emit('rename_room', {
+      room: currentRoom,
+      name: newName.trim(),
+      description: newDescription === null ? undefined : newDescription,
+    }, (response) => {
+      if (!response.ok) alert(response.error);
     });
+  };
+
+  const handleArchiveRoom = () => {
+    socket.emit('archive_room', { room: currentRoom, archived: !currentRoomInfo.archived }, (response) => {
+      if (!response.ok) alert(response.error);
+    });
+  };
+
+  const handleDeleteRoom = () => {
+    if (!window.confirm(`Delete "${formatRoomName(currentRoomInfo)}" and all of its messages? This cannot be undone.`)) return;
+    socket.emit('delete_room', { room: currentRoom }, (response) => {
+      if (!response.ok) alert(response.error);
+    });
+  };
+
+  // --- Transcripts ---
+  // Downloads the current room's history in the picked format
+  const handleExportRoom = async (e) => {
+    const format = e.target.value;
+    if (!format) return;
+    const params = new URLSearchParams({ format });
+    if (window.confirm('Include who joined and left the room?')) params.set('notices', 'true');
+    try {
+      const response = await fetch(`${SERVER_URL}/api/rooms/${encodeURIComponent(currentRoom)}/export?${params}`, {
+        headers: { Authorization: `Bearer ${authToken}` },
+      });
+      if (!response.ok) {
+        alert((await response.json()).error || 'Export failed.');
+        return;
+      }
+      const filename = response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || `${currentRoom}.${format}`;
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch {
+      alert('Could not reach the chat server.');
+    }
+  };
+
+  // Restores a JSON export into the current room (owners only). Messages already in the room are skipped;
+  // the server then has every client in the room reload it.
+  const handleImportRoom = async (file) => {
+    if (!file || !window.confirm(`Import the messages in "${file.name}" into ${formatRoomName(currentRoomInfo)}?`)) return;
+    const formData = new FormData();
+    formData.append('file', file);
+    try {
+      const response = await fetch(`${SERVER_URL}/api/rooms/${encodeURIComponent(currentRoom)}/import`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${authToken}` },
+        body: formData,
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.error || 'Import failed.');
+        return;
+      }
+      alert(`Imported ${data.imported} messages${data.skipped > 0 ? ` (${data.skipped} were already here)` : ''}.`);
+    } catch {
+      alert('Could not reach the chat server.');
+    }
+  };
 
-    // Server updates online users for a specific room
-    newSocket.on('online_users_update_in_room', ({ room, users }) => {
-      if (room === currentRoom) { // Only update if it's the current active room
-          setOnlineUsers(users);
+  // --- Moderation (owners and moderators; the server checks every action) ---
+  const refreshRoomRestrictions = () => {
+    socket.emit('get_room_restrictions', { room: currentRoom }, (response) => {
+      if (!response.ok) {
+        alert(response.error);
+        return;
       }
+      setRoomRestrictions(response.restrictions);
     });
+  };
 
-    // Server updates typing users for a specific room
-    newSocket.on('user_typing_update_in_room', ({ room, users }) => {
-      if (room === currentRoom) { // Only update if it's the current active room
-          setTypingUsers(users);
+  // Runs a moderation event against a user in the current room, with the extra fields it takes
+  const moderateUser = (eventName, targetUsername, fields = {}) => {
+    setModerationMenuUser(null);
+    socket.emit(eventName, { room: currentRoom, username: targetUsername, ...fields }, (response) => {
+      if (!response.ok) {
+        alert(response.error);
+        return;
       }
+      if (roomRestrictions) refreshRoomRestrictions();
     });
+  };
 
-    // Server notifies about a new message in any room (for unread counts)
-    newSocket.on('new_message_in_room', ({ room }) => { // message data might be included but not always necessary for just count
-        if (room !== currentRoom) {
-            setUnreadCounts(prev => ({
-                ...prev,
-                [room]: (prev[room] || 0) + 1
-            }));
-        }
+  const handleKickUser = (targetUsername) => {
+    const reason = prompt(`Kick ${targetUsername}? Reason (optional):`, '');
+    if (reason !== null) moderateUser('kick_user', targetUsername, { reason });
+  };
+
+  const handleRestrictUser = (eventName, action, targetUsername) => {
+    const duration = promptDuration(`${action} ${targetUsername}`);
+    if (!duration) return;
+    const reason = prompt('Reason (optional):', '');
+    if (reason !== null) moderateUser(eventName, targetUsername, { ...duration, reason });
+  };
+
+  const handleSlowModeChange = (e) => {
+    socket.emit('set_slow_mode', { room: currentRoom, seconds: Number(e.target.value) }, (response) => {
+      if (!response.ok) alert(response.error);
     });
+  };
 
-    // Room-specific notifications for user join/leave
-    newSocket.on('user_joined_notification_in_room', ({username: joinedUsername, room: joinedRoom}) => {
-        if (joinedRoom === currentRoom) { // Only show notification if in that room
-            setDisplayedMessages((prevMessages) => [...prevMessages, {
-                username: 'System',
-                message: `${joinedUsername} has joined ${joinedRoom}.`,
-                timestamp: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
-                isNotification: true
-            }]);
-        }
+  const toggleRoomRestrictions = () => {
+    if (roomRestrictions) {
+      setRoomRestrictions(null);
+    } else {
+      refreshRoomRestrictions();
+    }
+  };
+
+  // ' (owner)' / ' (mod)' after a name in the online list
+  const getRoleLabel = (name) => {
+    if (!currentRoomInfo) return '';
+    if (currentRoomInfo.createdBy === name) return ' (owner)';
+    return (currentRoomInfo.moderators || []).includes(name) ? ' (mod)' : '';
+  };
+
+  // Handle opening a DM conversation with another user
+  const openPrivateChat = (otherUsername) => {
+    if (otherUsername === username) return;
+    setPrivateChats(prev => (prev[otherUsername] ? prev : { ...prev, [otherUsername]: [] }));
+    setActivePrivateChat(otherUsername);
+  };
+
+  // Our message shows right away as 'sending', then 'delivered' or 'failed' (with a retry); see useSocket.
+  // Throttling errors also go to the notice banner.
+  const deliverRoomMessage = (text, room, attachments) => {
+    sendRoomMessage(room, text, attachments).then(response => {
+      if (!response.ok && RATE_LIMIT_ERROR_CODES.includes(response.code)) setChatNotice(response);
     });
+  };
 
-    newSocket.on('user_left_notification_in_room', ({username: leftUsername, room: leftRoom}) => {
-        if (leftRoom === currentRoom) { // Only show notification if in that room
-            setDisplayedMessages((prevMessages) => [...prevMessages, {
-                username: 'System',
-                message: `${leftUsername} has left ${leftRoom}.`,
-                timestamp: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
-                isNotification: true
-            }]);
-        }
+  const retryMessage = (failedMessage) => {
+    resendRoomMessage(failedMessage).then(response => {
+      if (!response.ok && RATE_LIMIT_ERROR_CODES.includes(response.code)) setChatNotice(response);
     });
+  };
 
-    return () => {
-      newSocket.disconnect();
+  const updatePendingUpload = (localId, changes) => {
+    setPendingUploads(prev => prev.map(upload => (upload.localId === localId ? { ...upload, ...changes } : upload)));
+  };
+
+  // XMLHttpRequest rather than fetch, for upload progress events
+  const uploadFile = (file) => {
+    const localId = `upload-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    setPendingUploads(prev => [...prev, { localId, name: file.name || 'pasted-file', progress: 0, status: 'uploading' }]);
+
+    const formData = new FormData();
+    formData.append('file', file, file.name || 'pasted-file');
+    const request = new XMLHttpRequest();
+    request.open('POST', `${SERVER_URL}/api/attachments`);
+    request.setRequestHeader('Authorization', `Bearer ${authToken}`);
+    request.upload.onprogress = (e) => {
+      if (e.lengthComputable) {
+        updatePendingUpload(localId, { progress: Math.round((e.loaded / e.total) * 100) });
+      }
     };
-  }, []); // Empty dependency array: runs only ONCE on mount
+    request.onload = () => {
+      let response = {};
+      try {
+        response = JSON.parse(request.responseText);
+      } catch {
+        // Not JSON (e.g. a proxy error page): fall through to the generic error
+      }
+      if (request.status === 201) {
+        updatePendingUpload(localId, { status: 'done', progress: 100, attachment: response });
+      } else {
+        updatePendingUpload(localId, { status: 'error', error: response.error || `Upload failed (${request.status}).` });
+      }
+    };
+    request.onerror = () => updatePendingUpload(localId, { status: 'error', error: 'Upload failed.' });
+    request.send(formData);
+  };
 
-  // Effect to update displayed messages and reset unread count when currentRoom changes
-  useEffect(() => {
-    // Update displayed messages to reflect the selected room's messages
-    setDisplayedMessages(messagesByRoom[currentRoom] || []);
-    // Reset unread count for the newly entered room
-    setUnreadCounts(prev => ({ ...prev, [currentRoom]: 0 }));
-    // Tell server to switch room for this socket
-    if (socket && username && hasJoinedChat) { // Ensure user has already logged in
-        socket.emit('join_room', { username, room: currentRoom });
+  // Files from the picker, drag-and-drop or the clipboard (attachments are room-only)
+  const handleFiles = (files) => {
+    if (activePrivateChat || isCurrentRoomArchived) return;
+    Array.from(files).forEach(uploadFile);
+  };
+
+  const removePendingUpload = (localId) => {
+    setPendingUploads(prev => prev.filter(upload => upload.localId !== localId));
+  };
+
+  const handlePaste = (e) => {
+    if (e.clipboardData.files.length > 0) {
+      e.preventDefault();
+      handleFiles(e.clipboardData.files);
     }
-    // Clear typing indicators when switching rooms
-    setTypingUsers([]);
-    // Note: onlineUsers will be updated by 'online_users_update_in_room' event from server
-  }, [currentRoom, messagesByRoom, socket, username, hasJoinedChat]); // Dependencies for this effect
+  };
 
-  // Auto-scroll to bottom of messages
-  useEffect(() => {
-    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [displayedMessages]); // Watch displayedMessages for scrolling
-
-  // Handle joining the chat (initial username input)
-  const handleJoinChat = () => {
-    if (username.trim() && socket && isConnected) {
-      setHasJoinedChat(true);
-      // Automatically join the default room ('general') after login
-      socket.emit('join_room', { username: username.trim(), room: currentRoom });
-    } else {
-      alert('Please enter a username to join the chat.');
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDraggingFile(false);
+    handleFiles(e.dataTransfer.files);
+  };
+
+  const isUploading = pendingUploads.some(upload => upload.status === 'uploading');
+  const readyAttachments = pendingUploads.filter(upload => upload.status === 'done').map(upload => upload.attachment);
+
+  // --- Editing and deleting our messages (moderators can delete anyone's) ---
+  const startEditingMessage = (msg) => {
+    setEditingMessageId(msg.id);
+    setEditText(msg.message);
+  };
+
+  const cancelEditingMessage = () => {
+    setEditingMessageId(null);
+    setEditText('');
+  };
+
+  const saveEditedMessage = (msg) => {
+    if (!editText.trim() || editText.trim() === msg.message) {
+      cancelEditingMessage();
+      return;
     }
+    socket.emit('edit_message', { room: msg.room, messageId: msg.id, message: editText.trim() }, (response) => {
+      if (!response.ok) {
+        setChatNotice(response);
+        return;
+      }
+      cancelEditingMessage();
+    });
   };
 
-  // Handle room selection change
-  const handleRoomChange = (e) => {
-    const newRoom = e.target.value;
-    setCurrentRoom(newRoom);
+  const handleDeleteMessage = (msg) => {
+    if (!window.confirm('Delete this message for everyone?')) return;
+    socket.emit('delete_message', { room: msg.room, messageId: msg.id }, (response) => {
+      if (!response.ok) alert(response.error);
+    });
+  };
+
+  // Clicking a reaction chip (or a picker emoji) adds our reaction, or removes it if we already reacted
+  const toggleReaction = (msg, emoji) => {
+    const hasReacted = (msg.reactions?.[emoji] || []).includes(username);
+    socket.emit(hasReacted ? 'remove_reaction' : 'add_reaction', { room: msg.room, messageId: msg.id, emoji }, (response) => {
+      if (!response.ok) setChatNotice(response);
+    });
+    setReactionPickerMessageId(null);
+  };
+
+  // Bot messages (from a room's incoming webhooks) are never ours, even if they show our name
+  const isOwnMessage = (msg) => msg.username === username && !msg.isBot;
+
+  // Stored, not-deleted room messages in a writable room can be changed
+  const canEditMessage = (msg) => (
+    !activePrivateChat && !isCurrentRoomArchived && msg.createdAt && !msg.clientId && !msg.deleted && isOwnMessage(msg)
+  );
+  const canReactToMessage = (msg) => (
+    !activePrivateChat && !isCurrentRoomArchived && msg.createdAt && !msg.clientId && !msg.deleted
+  );
+  const canDeleteMessage = (msg) => (
+    !activePrivateChat && !isCurrentRoomArchived && msg.createdAt && !msg.clientId && !msg.deleted
+      && (isOwnMessage(msg) || canModerateCurrentRoom)
+  );
+
+  // Runs a slash command typed in a room. Its answer arrives as 'command_feedback'; a refused command
+  // is shown the same way, only to us.
+  const runCommand = (text) => {
+    const room = currentRoom;
+    socket.emit('send_message', { room, message: text }, (response) => {
+      if (!response.ok) addNotice(room, response.error, { isCommandFeedback: true });
+    });
+  };
+
+  const isCommandText = (text) => text.startsWith('/') && !text.startsWith('//');
+
+  // Autocomplete for the command being typed in a room
+  const commandSuggestions = !activePrivateChat && isCommandText(message)
+    ? getCommandSuggestions(message, availableCommands, {
+      rooms: availableRooms.filter(room => !room.archived),
+      users: [...new Set([...onlineUsers, ...Object.keys(privateChats), ...Object.keys(presenceByUser)])]
+        .filter(user => user !== username),
+    })
+    : null;
+
+  const applySuggestion = (option) => {
+    setMessage(message.slice(0, commandSuggestions.start) + option.value);
+    setSelectedSuggestion(0);
+  };
+
+  // Enter sends, Shift+Enter starts a new line (as does Enter while an input method is composing text)
+  const isSendKey = (e) => e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing;
+
+  // Tab (or Enter on a partly typed command name) picks the highlighted suggestion; arrows move it
+  const handleMessageKeyDown = (e) => {
+    if (commandSuggestions) {
+      const count = commandSuggestions.options.length;
+      const option = commandSuggestions.options[Math.min(selectedSuggestion, count - 1)];
+      if (e.key === 'Tab' || (e.key === 'Enter' && !message.includes(' ') && option.value.trim() !== message.trim())) {
+        e.preventDefault();
+        applySuggestion(option);
+        return;
+      }
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        setSelectedSuggestion((selectedSuggestion + (e.key === 'ArrowDown' ? 1 : count - 1)) % count);
+        return;
+      }
+    }
+    if (isSendKey(e)) {
+      e.preventDefault();
+      sendMessage();
+    }
   };
 
   // Handle sending messages (room-specific)
   const sendMessage = () => {
-    if (socket && isConnected && message.trim() && username.trim()) {
-      socket.emit('send_message', { username: username.trim(), message: message.trim(), room: currentRoom });
+    if (activePrivateChat) {
+      const text = message.trim();
+      if (socket && isConnected && text) {
+        // The message itself arrives as 'private_message'; the ack only tells us if it was refused
+        socket.timeout(10000).emit('private_message', { to: activePrivateChat, message: text }, (err, response) => {
+          if (err || !response.ok) {
+            setChatNotice(err ? { message: 'No response from server.' } : response);
+            setMessage(current => current || text); // Give the text back to retry
+          }
+        });
+        setMessage('');
+      }
+      return;
+    }
+    if (socket && isConnected && isCommandText(message.trim()) && !isCurrentRoomArchived) {
+      runCommand(message.trim());
+      setMessage('');
+      return;
+    }
+    if (socket && isConnected && (message.trim() || readyAttachments.length > 0) && !isUploading && !isCurrentRoomArchived) {
+      deliverRoomMessage(message.trim(), currentRoom, readyAttachments);
       setMessage(''); // Clear input after sending
+      setPendingUploads([]);
       // Also, stop typing for yourself instantly after sending
-      socket.emit('stop_typing', { username: username.trim(), room: currentRoom });
-      if (typingTimeoutRef.current) {
-        clearTimeout(typingTimeoutRef.current);
-        typingTimeoutRef.current = null;
-      }
+      stopTyping();
     }
   };
 
   // Handle typing indicator (room-specific)
   const handleTyping = (e) => {
     setMessage(e.target.value);
-    if (socket && isConnected && username.trim()) {
-      socket.emit('typing', { username: username.trim(), room: currentRoom });
+    setSelectedSuggestion(0);
+    // Typing indicators are room-only, and commands aren't chat
+    if (!activePrivateChat && !isCommandText(e.target.value)) {
+      notifyTyping();
+    }
+  };
+
+  // --- Threads ---
+  // Opens a message's thread in the side panel (the effect above loads it)
+  const showThread = (room, parentId) => {
+    if (openThread && openThread.room === room && openThread.parentId === parentId) return;
+    setOpenThread({ room, parentId, parent: null, replies: null });
+    setThreadMessage('');
+  };
+
+  const closeThread = () => {
+    setOpenThread(null);
+    setThreadMessage('');
+  };
 
-      if (typingTimeoutRef.current) {
-        clearTimeout(typingTimeoutRef.current);
+  // Sends the thread composer's text as a reply (commands typed there post into the thread too).
+  // The server only acks our reply, so we add it ourselves, and to the room if it also goes there.
+  const sendThreadReply = () => {
+    const text = threadMessage.trim();
+    if (!socket || !isConnected || !text || !openThread || !openThread.parent || isCurrentRoomArchived) return;
+    const { room, parentId } = openThread;
+    const alsoInRoom = isThreadReplyAlsoInRoom;
+    socket.timeout(10000).emit('send_message', { room, parentId, alsoInRoom, message: text }, (err, response) => {
+      if (err || !response.ok) {
+        setChatNotice(err ? { message: 'No response from server.' } : response);
+        setThreadMessage(current => current || text); // Give the text back to retry
+        return;
       }
+      if (response.command) return; // Its answer comes as 'command_feedback'
+      setOpenThread(appendThreadReply(room, parentId, response.message));
+      if (alsoInRoom) addMessage(room, response.message);
+    });
+    setThreadMessage('');
+    stopTyping(parentId);
+  };
 
-      typingTimeoutRef.current = setTimeout(() => {
-        socket.emit('stop_typing', { username: username.trim(), room: currentRoom });
-      }, 1500);
-    }
+  // Same typing indicator as the room's message box, scoped to the thread
+  const handleThreadTyping = (e) => {
+    setThreadMessage(e.target.value);
+    if (!isCommandText(e.target.value)) notifyTyping(openThread.parentId);
   };
 
+  const isThreadShown = Boolean(openThread && !activePrivateChat && openThread.room === currentRoom);
+  // Users who left the room stop showing as typing in its threads
+  const threadTypingNames = isThreadShown
+    ? (threadTypingUsers[openThread.parentId] || []).filter(u => u !== username && onlineUsers.includes(u))
+    : [];
+
+  // A message in the thread panel: the parent, a reply, or the answer to a command typed there
+  const renderThreadMessage = (msg, index) => (
+    <div
+      key={msg.id || `feedback-${index}`}
+      style={msg.isCommandFeedback ? commandFeedbackStyle : isOwnMessage(msg) ? myMessageStyle : otherMessageStyle}
+    >
+      {msg.isCommandFeedback ? (
+        <div style={messageMetaStyle}><small>Only you can see this ({msg.timestamp})</small></div>
+      ) : (
+        <div style={isOwnMessage(msg) ? myMessageMetaStyle : messageMetaStyle}>
+          <strong>{formatAuthor(msg)}</strong>
+          {msg.isBot && <span style={botBadgeStyle} title="Posted by an integration">BOT</span>} <small>({msg.timestamp})</small>
+          {msg.editedAt && !msg.deleted && <small style={{ marginLeft: '4px', fontStyle: 'italic' }}>(edited)</small>}
+          {msg.alsoInRoom && <small style={{ marginLeft: '4px', color: '#888' }}>· also sent to the room</small>}
+        </div>
+      )}
+      {msg.deleted ? (
+        <div style={deletedMessageStyle}>This message was deleted</div>
+      ) : msg.message && (
+        <div style={msg.isAction ? { fontStyle: 'italic' } : undefined}>
+          {msg.isAction && `* ${formatAuthor(msg)} `}
+          <Markdown text={msg.message} renderText={(text) => renderMentions(text, username)} />
+        </div>
+      )}
+      {!msg.deleted && msg.attachments && msg.attachments.length > 0 && (
+        <div style={attachmentListStyle}>
+          {msg.attachments.map(attachment => (
+            <a key={attachment.id} href={`${SERVER_URL}${attachment.url}`} target="_blank" rel="noopener noreferrer" style={attachmentFileStyle}>
+              📎 {attachment.name}
+            </a>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+
   // --- Basic Styling (kept minimal for functionality focus) ---
   const appStyle = {
     display: 'flex',
@@ -234,6 +1247,31 @@ function App() {
     alignItems: 'center',
   };
 
+  const reconnectingBannerStyle = {
+    backgroundColor: '#fff3cd',
+    color: '#856404',
+    padding: '6px 20px',
+    textAlign: 'center',
+    fontSize: '0.9em',
+  };
+
+  const chatNoticeStyle = {
+    backgroundColor: '#f8d7da',
+    color: '#721c24',
+    padding: '6px 20px',
+    textAlign: 'center',
+    fontSize: '0.9em',
+  };
+
+  const chatNoticeDismissStyle = {
+    marginLeft: '10px',
+    border: 'none',
+    background: 'transparent',
+    color: '#721c24',
+    cursor: 'pointer',
+    fontSize: '1em',
+  };
+
   const mainContentStyle = {
     display: 'flex',
     flex: 1,
@@ -260,6 +1298,12 @@ function App() {
     gap: '10px',
   };
 
+  const historyStatusStyle = {
+    alignSelf: 'center',
+    fontSize: '0.8em',
+    color: '#999',
+  };
+
   const messageBubbleStyle = {
     maxWidth: '70%',
     padding: '10px 12px',
@@ -275,33 +1319,175 @@ function App() {
     backgroundColor: '#DCF8C6', // Light green
   };
 
-  const otherMessageStyle = {
-    ...messageBubbleStyle,
-    alignSelf: 'flex-start',
-    backgroundColor: '#EAEAEA', // Light grey
+  const otherMessageStyle = {
+    ...messageBubbleStyle,
+    alignSelf: 'flex-start',
+    backgroundColor: '#EAEAEA', // Light grey
+  };
+
+  const notificationMessageStyle = {
+    ...messageBubbleStyle,
+    alignSelf: 'center',
+    backgroundColor: '#FFEBEE', // Light red for notifications
+    fontSize: '0.85em',
+    color: '#888',
+    textAlign: 'center',
+    margin: '5px auto',
+  };
+
+  const messageMetaStyle = {
+    fontSize: '0.75em',
+    color: '#666',
+    marginTop: '5px',
+    marginBottom: '2px',
+    textAlign: 'left'
+  };
+
+  const myMessageMetaStyle = {
+    ...messageMetaStyle,
+    textAlign: 'right',
+  };
+
+  const botBadgeStyle = {
+    marginLeft: '4px',
+    padding: '0 4px',
+    borderRadius: '3px',
+    backgroundColor: '#6c757d',
+    color: 'white',
+    fontSize: '0.85em',
+    fontWeight: 'bold',
+  };
+
+  const messageActionsStyle = {
+    marginLeft: '8px',
+  };
+
+  const messageActionButtonStyle = {
+    marginLeft: '4px',
+    padding: '1px 8px',
+    border: '1px solid #ccc',
+    borderRadius: '8px',
+    backgroundColor: 'white',
+    color: '#333',
+    cursor: 'pointer',
+    fontSize: '0.9em',
+  };
+
+  const reactionListStyle = {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '4px',
+    marginTop: '5px',
+  };
+
+  const reactionChipStyle = {
+    padding: '1px 8px',
+    border: '1px solid #ddd',
+    borderRadius: '12px',
+    backgroundColor: 'white',
+    cursor: 'pointer',
+    fontSize: '0.85em',
+  };
+
+  const myReactionChipStyle = {
+    ...reactionChipStyle,
+    borderColor: '#007bff',
+    backgroundColor: '#e7f1ff',
+  };
+
+  const reactionPickerStyle = {
+    display: 'flex',
+    gap: '2px',
+    marginTop: '5px',
+    padding: '3px',
+    border: '1px solid #ddd',
+    borderRadius: '12px',
+    backgroundColor: 'white',
+  };
+
+  const reactionPickerButtonStyle = {
+    border: 'none',
+    background: 'none',
+    cursor: 'pointer',
+    fontSize: '1.1em',
+  };
+
+  const attachmentListStyle = {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '5px',
+    marginTop: '5px',
+  };
+
+  const attachmentImageStyle = {
+    maxWidth: '200px',
+    maxHeight: '200px',
+    borderRadius: '8px',
+    display: 'block',
+  };
+
+  const attachmentFileStyle = {
+    color: '#007bff',
+    fontSize: '0.9em',
+  };
+
+  const dropTargetStyle = {
+    outline: '3px dashed #007bff',
+    outlineOffset: '-6px',
   };
 
-  const notificationMessageStyle = {
-    ...messageBubbleStyle,
-    alignSelf: 'center',
-    backgroundColor: '#FFEBEE', // Light red for notifications
+  const pendingUploadListStyle = {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '6px',
+    padding: '8px 15px 0',
+  };
+
+  const pendingUploadStyle = {
+    padding: '3px 8px',
+    borderRadius: '12px',
+    backgroundColor: '#f0f2f5',
     fontSize: '0.85em',
-    color: '#888',
-    textAlign: 'center',
-    margin: '5px auto',
   };
 
-  const messageMetaStyle = {
-    fontSize: '0.75em',
+  const removeUploadButtonStyle = {
+    marginLeft: '5px',
+    border: 'none',
+    background: 'none',
+    cursor: 'pointer',
     color: '#666',
-    marginTop: '5px',
-    marginBottom: '2px',
-    textAlign: 'left'
   };
 
-  const myMessageMetaStyle = {
-    ...messageMetaStyle,
+  const attachButtonStyle = {
+    marginRight: '10px',
+    padding: '0 12px',
+    border: '1px solid #ddd',
+    borderRadius: '20px',
+    backgroundColor: 'white',
+    cursor: 'pointer',
+    fontSize: '1.1em',
+  };
+
+  const deletedMessageStyle = {
+    fontStyle: 'italic',
+    color: '#999',
+  };
+
+  const deliveryStatusStyle = {
+    fontSize: '0.7em',
+    color: '#888',
     textAlign: 'right',
+    marginTop: '3px',
+  };
+
+  const retryButtonStyle = {
+    padding: '0 6px',
+    border: '1px solid #dc3545',
+    borderRadius: '8px',
+    backgroundColor: 'white',
+    color: '#dc3545',
+    cursor: 'pointer',
+    fontSize: '1em',
   };
 
   const inputAreaStyle = {
@@ -310,6 +1496,31 @@ function App() {
     borderTop: '1px solid #eee',
   };
 
+  const commandSuggestionListStyle = {
+    listStyle: 'none',
+    margin: '0 15px',
+    padding: '4px 0',
+    border: '1px solid #ddd',
+    borderRadius: '8px',
+    backgroundColor: 'white',
+    fontSize: '0.9em',
+  };
+
+  const commandSuggestionStyle = {
+    padding: '4px 10px',
+    cursor: 'pointer',
+  };
+
+  const commandFeedbackStyle = {
+    ...messageBubbleStyle,
+    alignSelf: 'flex-start',
+    backgroundColor: '#f1f3f5',
+    color: '#555',
+    fontSize: '0.85em',
+    whiteSpace: 'pre-wrap',
+    fontFamily: 'monospace',
+  };
+
   const messageInputStyle = {
     flex: 1,
     padding: '10px 15px',
@@ -319,6 +1530,26 @@ function App() {
     fontSize: '1em',
   };
 
+  // Multi-line message boxes (the composer, the thread reply box and message editing)
+  const composerTextareaStyle = {
+    resize: 'none',
+    fontFamily: 'inherit',
+    lineHeight: '1.4',
+    borderRadius: '12px',
+  };
+
+  const composerPreviewStyle = {
+    margin: '0 15px',
+    padding: '8px 12px',
+    maxHeight: '200px',
+    overflowY: 'auto',
+    border: '1px dashed #ccc',
+    borderRadius: '8px',
+    backgroundColor: '#fafafa',
+    fontSize: '0.95em',
+    lineHeight: '1.4',
+  };
+
   const sendButtonStyle = {
     padding: '10px 20px',
     backgroundColor: '#28a745', // Green
@@ -366,6 +1597,54 @@ function App() {
     padding: '5px 0',
   };
 
+  const newRoomFormStyle = {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+    marginTop: '10px',
+  };
+
+  const newRoomInputStyle = {
+    padding: '6px 10px',
+    borderRadius: '5px',
+    border: '1px solid #ccc',
+    fontSize: '0.9em',
+  };
+
+  const roomActionButtonStyle = {
+    marginRight: '6px',
+    padding: '3px 10px',
+    borderRadius: '12px',
+    border: '1px solid white',
+    backgroundColor: 'transparent',
+    color: 'white',
+    cursor: 'pointer',
+    fontSize: '0.8em',
+  };
+
+  const privateChatListStyle = {
+    listStyle: 'none',
+    padding: '0',
+    margin: '0 0 20px 0',
+    paddingBottom: '15px',
+    borderBottom: '1px solid #eee',
+  };
+
+  const activePrivateChatStyle = {
+    ...roomOptionStyle,
+    fontWeight: 'bold',
+    color: '#007bff',
+  };
+
+  const mentionSettingsStyle = {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '5px',
+    fontSize: '0.85em',
+    color: '#555',
+    marginBottom: '10px',
+  };
+
   const unreadBadgeStyle = {
     backgroundColor: '#ffc107', // Amber for unread
     color: 'white',
@@ -377,6 +1656,14 @@ function App() {
   };
 
 
+  const presenceDotStyle = {
+    display: 'inline-block',
+    width: '8px',
+    height: '8px',
+    borderRadius: '50%',
+    marginRight: '6px',
+  };
+
   const onlineUsersListStyle = {
     flex: 1,
     overflowY: 'auto',
@@ -385,6 +1672,45 @@ function App() {
     margin: '0',
   };
 
+  const moderationMenuToggleStyle = {
+    marginLeft: '6px',
+    border: 'none',
+    background: 'transparent',
+    cursor: 'pointer',
+    color: '#666',
+  };
+
+  const moderationMenuStyle = {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '4px',
+    margin: '4px 0 8px 14px',
+  };
+
+  const moderationMenuItemStyle = {
+    marginLeft: '4px',
+    padding: '2px 8px',
+    borderRadius: '10px',
+    border: '1px solid #ccc',
+    backgroundColor: 'white',
+    cursor: 'pointer',
+    fontSize: '0.8em',
+  };
+
+  const restrictionsPanelStyle = {
+    marginTop: '15px',
+    paddingTop: '10px',
+    borderTop: '1px solid #eee',
+    fontSize: '0.9em',
+  };
+
+  const slowModeSelectStyle = {
+    marginRight: '6px',
+    padding: '2px 6px',
+    borderRadius: '12px',
+    fontSize: '0.8em',
+  };
+
   const typingIndicatorStyle = {
     fontSize: '0.9em',
     color: '#666',
@@ -423,36 +1749,157 @@ function App() {
     fontWeight: 'bold',
   };
 
-  // --- Conditional Rendering for Initial Join Screen / Chat Screen ---
-  if (!isConnected) {
-    return (
-      <div style={usernameInputContainerStyle}>
-        <h2>Connecting to Chat Server...</h2>
-        <p>Please ensure your backend server is running on {SOCKET_SERVER_URL}.</p>
-      </div>
-    );
-  }
+  const authErrorStyle = {
+    color: '#dc3545',
+    margin: '0',
+    maxWidth: '300px',
+    textAlign: 'center',
+  };
+
+  const authToggleStyle = {
+    background: 'none',
+    border: 'none',
+    color: '#007bff',
+    cursor: 'pointer',
+    textDecoration: 'underline',
+    fontSize: '0.95em',
+  };
+
+  const searchPanelStyle = {
+    flex: 2,
+    marginRight: '10px',
+    backgroundColor: 'white',
+    borderRadius: '8px',
+    boxShadow: '0 2px 10px rgba(0,0,0,0.1)',
+    padding: '15px',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+    overflowY: 'auto',
+  };
+
+  const threadPanelStyle = {
+    flex: 2,
+    marginRight: '10px',
+    backgroundColor: 'white',
+    borderRadius: '8px',
+    boxShadow: '0 2px 10px rgba(0,0,0,0.1)',
+    padding: '15px',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+    minWidth: 0,
+  };
+
+  const threadRepliesStyle = {
+    flexGrow: 1,
+    overflowY: 'auto',
+    display: 'flex',
+    flexDirection: 'column',
+    borderTop: '1px solid #eee',
+    paddingTop: '8px',
+  };
+
+  const threadLinkStyle = {
+    display: 'block',
+    marginTop: '4px',
+    padding: 0,
+    background: 'none',
+    border: 'none',
+    color: '#007bff',
+    cursor: 'pointer',
+    fontSize: '0.85em',
+  };
+
+  const searchFilterRowStyle = {
+    display: 'flex',
+    gap: '5px',
+    fontSize: '0.85em',
+    color: '#555',
+  };
+
+  const searchResultStyle = {
+    padding: '8px',
+    borderRadius: '6px',
+    border: '1px solid #eee',
+    cursor: 'pointer',
+    fontSize: '0.9em',
+  };
+
+  const searchContextStyle = {
+    color: '#999',
+    fontSize: '0.85em',
+    whiteSpace: 'nowrap',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+  };
+
+  const highlightedMessageStyle = {
+    boxShadow: '0 0 0 3px #ffc107',
+  };
+
+  const logoutButtonStyle = {
+    marginLeft: '10px',
+    padding: '5px 12px',
+    borderRadius: '15px',
+    border: '1px solid white',
+    backgroundColor: 'transparent',
+    color: 'white',
+    cursor: 'pointer',
+  };
 
-  if (!hasJoinedChat) {
+  // --- Conditional Rendering for Login Screen / Connecting Screen / Chat Screen ---
+  if (!session) {
     return (
       <div style={usernameInputContainerStyle}>
-        <h2>Enter Your Username to Join Chat</h2>
+        <h2>{authMode === 'login' ? 'Log In to Join Chat' : 'Create an Account'}</h2>
         <form
           onSubmit={(e) => {
             e.preventDefault();
-            handleJoinChat();
+            handleAuthSubmit();
           }}
           style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '20px' }}
         >
           <input
             type="text"
-            placeholder="Choose a username"
-            value={username}
-            onChange={(e) => setUsername(e.target.value)}
+            placeholder="Username"
+            autoComplete="username"
+            value={authUsername}
+            onChange={(e) => setAuthUsername(e.target.value)}
+            style={usernameInputFieldStyle}
+          />
+          <input
+            type="password"
+            placeholder="Password"
+            autoComplete={authMode === 'login' ? 'current-password' : 'new-password'}
+            value={authPassword}
+            onChange={(e) => setAuthPassword(e.target.value)}
             style={usernameInputFieldStyle}
           />
-          <button type="submit" style={joinButtonStyle}>Join Chat</button>
+          {authError && <p style={authErrorStyle}>{authError}</p>}
+          <button type="submit" style={joinButtonStyle} disabled={isAuthenticating}>
+            {authMode === 'login' ? 'Log In' : 'Register'}
+          </button>
         </form>
+        <button
+          type="button"
+          onClick={() => {
+            setAuthMode(authMode === 'login' ? 'register' : 'login');
+            setAuthError('');
+          }}
+          style={authToggleStyle}
+        >
+          {authMode === 'login' ? 'New here? Create an account' : 'Already have an account? Log in'}
+        </button>
+      </div>
+    );
+  }
+
+  if (!hasConnected) {
+    return (
+      <div style={usernameInputContainerStyle}>
+        <h2>Connecting to Chat Server...</h2>
+        <p>Please ensure your backend server is running on {SERVER_URL}.</p>
       </div>
     );
   }
@@ -461,73 +1908,656 @@ function App() {
   return (
     <div style={appStyle}>
       <header style={headerStyle}>
-        <h2>Room: {currentRoom.charAt(0).toUpperCase() + currentRoom.slice(1)}</h2>
-        <p>Logged in as: <strong>{username}</strong></p>
+        {activePrivateChat ? (
+          <h2>Direct message: {activePrivateChat}</h2>
+        ) : (
+          <div>
+            <h2 style={{ margin: '0' }}>
+              Room: {currentRoomInfo ? formatRoomName(currentRoomInfo) : currentRoom}
+              {isCurrentRoomArchived && ' (archived)'}
+            </h2>
+            {currentRoomInfo && currentRoomInfo.description && (
+              <small>{currentRoomInfo.description}</small>
+            )}
+            <div style={{ marginTop: '5px' }}>
+              <button
+                onClick={toggleMuteCurrentRoom}
+                title="Muted rooms still count mentions, but don't send alerts"
+                style={roomActionButtonStyle}
+              >
+                {mutedRooms.includes(currentRoom) ? '🔔 Unmute' : '🔕 Mute'}
+              </button>
+              <select
+                value=""
+                onChange={handleExportRoom}
+                title="Download this room's history"
+                style={slowModeSelectStyle}
+              >
+                <option value="">Export…</option>
+                {EXPORT_FORMAT_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              {currentRoomRole === 'owner' && !isCurrentRoomArchived && (
+                <>
+                  <input
+                    ref={importFileInputRef}
+                    type="file"
+                    accept="application/json,.json"
+                    onChange={(e) => {
+                      handleImportRoom(e.target.files[0]);
+                      e.target.value = ''; // Allow picking the same file again
+                    }}
+                    style={{ display: 'none' }}
+                  />
+                  <button
+                    onClick={() => importFileInputRef.current.click()}
+                    title="Restore messages from a JSON export"
+                    style={roomActionButtonStyle}
+                  >
+                    Import
+                  </button>
+                </>
+              )}
+              {canModerateCurrentRoom ? (
+                <>
+                  <select
+                    value={currentRoomInfo?.slowModeSeconds || 0}
+                    onChange={handleSlowModeChange}
+                    style={slowModeSelectStyle}
+                  >
+                    {SLOW_MODE_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                  <button onClick={toggleRoomRestrictions} style={roomActionButtonStyle}>
+                    {roomRestrictions ? 'Hide bans' : 'Bans & mutes'}
+                  </button>
+                </>
+              ) : currentRoomInfo?.slowModeSeconds > 0 && (
+                <small>Slow mode: one message every {currentRoomInfo.slowModeSeconds}s</small>
+              )}
+            </div>
+            {canManageCurrentRoom && (
+              <div style={{ marginTop: '5px' }}>
+                <button onClick={handleRenameRoom} style={roomActionButtonStyle}>Rename</button>
+                <button onClick={handleArchiveRoom} style={roomActionButtonStyle}>
+                  {isCurrentRoomArchived ? 'Unarchive' : 'Archive'}
+                </button>
+                <button onClick={handleDeleteRoom} style={roomActionButtonStyle}>Delete</button>
+              </div>
+            )}
+          </div>
+        )}
+        <p>
+          Logged in as: <strong>{username}</strong>
+          <button onClick={() => setIsSearchOpen(!isSearchOpen)} style={logoutButtonStyle}>
+            {isSearchOpen ? 'Close search' : 'Search'}
+          </button>
+          <button onClick={handleLogout} style={logoutButtonStyle}>Log out</button>
+        </p>
       </header>
+      {!isConnected && (
+        <div style={reconnectingBannerStyle}>Connection lost. Reconnecting…</div>
+      )}
+      {chatNotice && (
+        <div style={chatNoticeStyle} role="alert">
+          {chatNotice.message}
+          <button onClick={() => setChatNotice(null)} style={chatNoticeDismissStyle} aria-label="Dismiss">×</button>
+        </div>
+      )}
       <div style={mainContentStyle}>
-        <div style={chatContainerStyle}>
-          <div style={messagesBoxStyle}>
-            {displayedMessages.map((msg, index) => (
+        <div
+          style={isDraggingFile ? { ...chatContainerStyle, ...dropTargetStyle } : chatContainerStyle}
+          onDragOver={(e) => {
+            if (activePrivateChat || isCurrentRoomArchived) return;
+            e.preventDefault();
+            setIsDraggingFile(true);
+          }}
+          onDragLeave={(e) => {
+            if (!e.currentTarget.contains(e.relatedTarget)) setIsDraggingFile(false);
+          }}
+          onDrop={handleDrop}
+        >
+          <div ref={messagesBoxRef} onScroll={handleMessagesScroll} style={messagesBoxStyle}>
+            {!activePrivateChat && (
+              <div style={historyStatusStyle}>
+                {isLoadingOlder
+                  ? 'Loading older messages...'
+                  : hasMoreByRoom[currentRoom] ? 'Scroll up for older messages' : 'Beginning of this room'}
+              </div>
+            )}
+            {visibleMessages.map((msg, index) => (
               <div
-                key={index}
-                style={
-                  msg.isNotification
+                key={msg.id || index}
+                id={msg.id ? `message-${msg.id}` : undefined}
+                onMouseEnter={() => setHoveredMessageId(msg.id)}
+                onMouseLeave={() => setHoveredMessageId(null)}
+                style={{
+                  ...(msg.isCommandFeedback
+                    ? commandFeedbackStyle
+                    : msg.isNotification
                     ? notificationMessageStyle
-                    : msg.username === username
+                    : isOwnMessage(msg)
                     ? myMessageStyle
-                    : otherMessageStyle
-                }
+                    : otherMessageStyle),
+                  ...(highlightedMessage && highlightedMessage.messageId === msg.id ? highlightedMessageStyle : {}),
+                }}
               >
+                {msg.isCommandFeedback && (
+                  <div style={messageMetaStyle}><small>Only you can see this ({msg.timestamp})</small></div>
+                )}
                 {!msg.isNotification && (
-                  <div style={msg.username === username ? myMessageMetaStyle : messageMetaStyle}>
-                    <strong>{msg.username}</strong> <small>({msg.timestamp})</small>
+                  <div style={isOwnMessage(msg) ? myMessageMetaStyle : messageMetaStyle}>
+                    <strong>{formatAuthor(msg)}</strong>
+                    {msg.isBot && <span style={botBadgeStyle} title="Posted by an integration">BOT</span>} <small>({msg.timestamp})</small>
+                    {msg.editedAt && !msg.deleted && (
+                      <small
+                        style={{ marginLeft: '4px', fontStyle: 'italic' }}
+                        title={`Edited ${msg.edits.length} time(s), last at ${new Date(msg.editedAt).toLocaleString()}`}
+                      >
+                        (edited)
+                      </small>
+                    )}
+                    {hoveredMessageId === msg.id && editingMessageId !== msg.id && canReactToMessage(msg) && (
+                      <span style={messageActionsStyle}>
+                        <button
+                          onClick={() => setReactionPickerMessageId(reactionPickerMessageId === msg.id ? null : msg.id)}
+                          title="Add reaction"
+                          style={messageActionButtonStyle}
+                        >
+                          ☺+
+                        </button>
+                        {!msg.parentId && (
+                          <button onClick={() => showThread(msg.room, msg.id)} style={messageActionButtonStyle}>Reply</button>
+                        )}
+                        {canEditMessage(msg) && (
+                          <button onClick={() => startEditingMessage(msg)} style={messageActionButtonStyle}>Edit</button>
+                        )}
+                        {canDeleteMessage(msg) && (
+                          <button onClick={() => handleDeleteMessage(msg)} style={messageActionButtonStyle}>Delete</button>
+                        )}
+                      </span>
+                    )}
+                  </div>
+                )}
+                {msg.deleted ? (
+                  <div style={deletedMessageStyle}>This message was deleted</div>
+                ) : editingMessageId === msg.id ? (
+                  <form
+                    onSubmit={(e) => {
+                      e.preventDefault();
+                      saveEditedMessage(msg);
+                    }}
+                    style={{ display: 'flex', gap: '5px' }}
+                  >
+                    <textarea
+                      value={editText}
+                      rows={getComposerRows(editText)}
+                      onChange={(e) => setEditText(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Escape') cancelEditingMessage();
+                        if (isSendKey(e)) {
+                          e.preventDefault();
+                          saveEditedMessage(msg);
+                        }
+                      }}
+                      autoFocus
+                      style={{ ...newRoomInputStyle, ...composerTextareaStyle, flex: 1 }}
+                    />
+                    <button type="submit" style={messageActionButtonStyle}>Save</button>
+                    <button type="button" onClick={cancelEditingMessage} style={messageActionButtonStyle}>Cancel</button>
+                  </form>
+                ) : (
+                  msg.message && (
+                    <div style={msg.isAction ? { fontStyle: 'italic' } : undefined}>
+                      {msg.isAction && `* ${formatAuthor(msg)} `}
+                      <Markdown
+                        text={msg.message}
+                        renderText={highlightedMessage && highlightedMessage.messageId === msg.id
+                          ? (text) => highlightText(text, highlightedMessage.terms)
+                          : (text) => renderMentions(text, username)}
+                      />
+                    </div>
+                  )
+                )}
+                {!msg.deleted && msg.attachments && msg.attachments.length > 0 && (
+                  <div style={attachmentListStyle}>
+                    {msg.attachments.map(attachment => (
+                      attachment.mimeType.startsWith('image/') ? (
+                        <a key={attachment.id} href={`${SERVER_URL}${attachment.url}`} target="_blank" rel="noopener noreferrer">
+                          <img src={`${SERVER_URL}${attachment.url}`} alt={attachment.name} style={attachmentImageStyle} />
+                        </a>
+                      ) : (
+                        <a key={attachment.id} href={`${SERVER_URL}${attachment.url}`} download={attachment.name} style={attachmentFileStyle}>
+                          📎 {attachment.name} ({formatFileSize(attachment.size)})
+                        </a>
+                      )
+                    ))}
+                  </div>
+                )}
+                {reactionPickerMessageId === msg.id && (
+                  <div style={reactionPickerStyle}>
+                    {REACTION_EMOJIS.map(emoji => (
+                      <button key={emoji} onClick={() => toggleReaction(msg, emoji)} style={reactionPickerButtonStyle}>
+                        {emoji}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                {!msg.deleted && msg.reactions && Object.keys(msg.reactions).length > 0 && (
+                  <div style={reactionListStyle}>
+                    {Object.entries(msg.reactions).map(([emoji, reactors]) => (
+                      <button
+                        key={emoji}
+                        onClick={() => canReactToMessage(msg) && toggleReaction(msg, emoji)}
+                        title={reactors.join(', ')}
+                        style={reactors.includes(username) ? myReactionChipStyle : reactionChipStyle}
+                      >
+                        {emoji} {reactors.length}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                {!msg.isNotification && !msg.isPrivate && msg.parentId && (
+                  <button onClick={() => showThread(msg.room, msg.parentId)} style={threadLinkStyle}>↪ Replied in a thread</button>
+                )}
+                {!msg.isPrivate && msg.replyCount > 0 && (
+                  <button onClick={() => showThread(msg.room, msg.id)} style={threadLinkStyle}>
+                    {msg.replyCount} {msg.replyCount === 1 ? 'reply' : 'replies'}
+                    <small style={{ color: '#888' }}>
+                      {' '}· last {new Date(msg.lastReplyAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                    </small>
+                  </button>
+                )}
+                {!msg.isNotification && !msg.isPrivate && isOwnMessage(msg) && (
+                  <div style={deliveryStatusStyle}>
+                    {msg.status === 'sending' && 'Sending...'}
+                    {msg.status === 'failed' && (
+                      <span style={{ color: '#dc3545' }}>
+                        Failed to send{msg.error ? ` (${msg.error})` : ''}{' '}
+                        <button onClick={() => retryMessage(msg)} style={retryButtonStyle}>Retry</button>
+                      </span>
+                    )}
+                    {(!msg.status || msg.status === 'delivered') && (() => {
+                      const seenBy = getSeenBy(msg);
+                      if (seenBy.length > 0) {
+                        return <span title={seenBy.join(', ')}>Seen by {seenBy.length}</span>;
+                      }
+                      return msg.status === 'delivered' ? 'Delivered' : null;
+                    })()}
                   </div>
                 )}
-                <div>{msg.message}</div>
               </div>
             ))}
             <div ref={messagesEndRef} />
           </div>
           <div style={typingIndicatorStyle}>
-            {typingUsers.filter(u => u !== username).length > 0 && (
+            {!activePrivateChat && typingUsers.filter(u => u !== username).length > 0 && (
               `${typingUsers.filter(u => u !== username).join(', ')} ${typingUsers.filter(u => u !== username).length > 1 ? 'are' : 'is'} typing...`
             )}
           </div>
 
+          {pendingUploads.length > 0 && (
+            <div style={pendingUploadListStyle}>
+              {pendingUploads.map(upload => (
+                <span key={upload.localId} style={upload.status === 'error' ? { ...pendingUploadStyle, color: '#dc3545' } : pendingUploadStyle}>
+                  📎 {upload.name}
+                  {upload.status === 'uploading' && ` (${upload.progress}%)`}
+                  {upload.status === 'error' && ` (${upload.error})`}
+                  <button onClick={() => removePendingUpload(upload.localId)} style={removeUploadButtonStyle} title="Remove">×</button>
+                </span>
+              ))}
+            </div>
+          )}
+          {commandSuggestions && (
+            <ul style={commandSuggestionListStyle}>
+              {commandSuggestions.options.map((option, index) => (
+                <li
+                  key={option.value}
+                  onMouseDown={(e) => {
+                    e.preventDefault(); // Keep the focus in the message input
+                    applySuggestion(option);
+                  }}
+                  style={index === Math.min(selectedSuggestion, commandSuggestions.options.length - 1)
+                    ? { ...commandSuggestionStyle, backgroundColor: '#e9f2ff' }
+                    : commandSuggestionStyle}
+                >
+                  <strong>{option.label}</strong>
+                  {option.hint && <small style={{ color: '#888' }}> {option.hint}</small>}
+                </li>
+              ))}
+            </ul>
+          )}
+          {isComposerPreviewShown && message.trim() && !isCommandText(message) && (
+            <div style={composerPreviewStyle}>
+              <Markdown text={message} renderText={(text) => renderMentions(text, username)} />
+            </div>
+          )}
           <div style={inputAreaStyle}>
-            <input
-              type="text"
-              placeholder="Type a message..."
+            {!activePrivateChat && (
+              <>
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  multiple
+                  onChange={(e) => {
+                    handleFiles(e.target.files);
+                    e.target.value = ''; // Allow picking the same file again
+                  }}
+                  style={{ display: 'none' }}
+                />
+                <button
+                  onClick={() => fileInputRef.current.click()}
+                  disabled={isCurrentRoomArchived}
+                  title="Attach files (you can also drag and drop or paste them)"
+                  style={attachButtonStyle}
+                >
+                  📎
+                </button>
+              </>
+            )}
+            <textarea
+              placeholder={
+                activePrivateChat
+                  ? `Message ${activePrivateChat}... (Shift+Enter for a new line)`
+                  : isCurrentRoomArchived ? 'This room is archived' : 'Type a message... (Shift+Enter for a new line)'
+              }
+              disabled={!activePrivateChat && isCurrentRoomArchived}
               value={message}
+              rows={getComposerRows(message)}
               onChange={handleTyping}
-              onKeyPress={(e) => { if (e.key === 'Enter') sendMessage(); }}
-              style={messageInputStyle}
+              onPaste={handlePaste}
+              onKeyDown={handleMessageKeyDown}
+              style={{ ...messageInputStyle, ...composerTextareaStyle }}
             />
-            <button onClick={sendMessage} style={sendButtonStyle}>Send</button>
+            <button
+              onClick={toggleComposerPreview}
+              aria-pressed={isComposerPreviewShown}
+              title="Show how the message will look (Markdown: **bold**, *italics*, `code`, ```code blocks```, - lists, > quotes)"
+              style={isComposerPreviewShown ? { ...attachButtonStyle, backgroundColor: '#e9f2ff' } : attachButtonStyle}
+            >
+              👁
+            </button>
+            <button onClick={sendMessage} disabled={isUploading} style={sendButtonStyle}>
+              {isUploading ? 'Uploading...' : 'Send'}
+            </button>
           </div>
         </div>
+        {isThreadShown && (
+          <div style={threadPanelStyle}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <h3 style={{ margin: 0 }}>Thread</h3>
+              <button onClick={closeThread} style={chatNoticeDismissStyle} aria-label="Close thread">×</button>
+            </div>
+            {!openThread.parent ? (
+              <div style={historyStatusStyle}>Loading thread...</div>
+            ) : (
+              <>
+                {renderThreadMessage(openThread.parent)}
+                <div style={threadRepliesStyle}>
+                  {openThread.replies.length === 0 && <div style={historyStatusStyle}>No replies yet.</div>}
+                  {openThread.replies.map(renderThreadMessage)}
+                </div>
+              </>
+            )}
+            <div style={typingIndicatorStyle}>
+              {threadTypingNames.length > 0 && `${threadTypingNames.join(', ')} ${threadTypingNames.length > 1 ? 'are' : 'is'} typing...`}
+            </div>
+            <label style={{ fontSize: '0.9em' }}>
+              <input
+                type="checkbox"
+                checked={isThreadReplyAlsoInRoom}
+                onChange={(e) => setIsThreadReplyAlsoInRoom(e.target.checked)}
+              />{' '}
+              Also send to #{currentRoomInfo ? formatRoomName(currentRoomInfo) : currentRoom}
+            </label>
+            <div style={{ display: 'flex', gap: '5px' }}>
+              <textarea
+                placeholder={isCurrentRoomArchived ? 'This room is archived' : 'Reply...'}
+                disabled={isCurrentRoomArchived || !openThread.parent || openThread.parent.deleted}
+                value={threadMessage}
+                rows={getComposerRows(threadMessage)}
+                onChange={handleThreadTyping}
+                onKeyDown={(e) => {
+                  if (isSendKey(e)) {
+                    e.preventDefault();
+                    sendThreadReply();
+                  }
+                }}
+                style={{ ...messageInputStyle, ...composerTextareaStyle, minWidth: 0 }}
+              />
+              <button onClick={sendThreadReply} style={sendButtonStyle}>Reply</button>
+            </div>
+          </div>
+        )}
+        {isSearchOpen && (
+          <div style={searchPanelStyle}>
+            <h3 style={{ margin: 0 }}>Search messages</h3>
+            <input
+              type="search"
+              placeholder="Search all rooms..."
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              autoFocus
+              style={newRoomInputStyle}
+            />
+            <div style={searchFilterRowStyle}>
+              <select
+                value={searchFilters.room}
+                onChange={(e) => setSearchFilters({ ...searchFilters, room: e.target.value })}
+                style={{ ...newRoomInputStyle, flex: 1 }}
+              >
+                <option value="">All rooms</option>
+                {availableRooms.map(room => (
+                  <option key={room.id} value={room.id}>{formatRoomName(room)}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                placeholder="From user"
+                value={searchFilters.user}
+                onChange={(e) => setSearchFilters({ ...searchFilters, user: e.target.value })}
+                style={{ ...newRoomInputStyle, flex: 1 }}
+              />
+            </div>
+            <div style={searchFilterRowStyle}>
+              <label>
+                After{' '}
+                <input type="date" value={searchFilters.after} onChange={(e) => setSearchFilters({ ...searchFilters, after: e.target.value })} />
+              </label>
+              <label>
+                Before{' '}
+                <input type="date" value={searchFilters.before} onChange={(e) => setSearchFilters({ ...searchFilters, before: e.target.value })} />
+              </label>
+            </div>
+            {searchError && <div style={authErrorStyle}>{searchError}</div>}
+            {searchResults && searchResults.results.length === 0 && (
+              <div style={historyStatusStyle}>No messages found.</div>
+            )}
+            {searchResults && searchResults.results.map(result => {
+              const room = availableRooms.find(r => r.id === result.message.room);
+              return (
+                <div
+                  key={result.message.id}
+                  onClick={() => jumpToSearchResult(result, searchResults.terms)}
+                  title="Show in room"
+                  style={searchResultStyle}
+                >
+                  <div style={messageMetaStyle}>
+                    #{room ? formatRoomName(room) : result.message.room} · <strong>{result.message.username}</strong>{' '}
+                    <small>({new Date(result.message.createdAt).toLocaleString()})</small>
+                  </div>
+                  {result.context.before.map(msg => (
+                    <div key={msg.id} style={searchContextStyle}>{msg.username}: {msg.deleted ? 'This message was deleted' : msg.message}</div>
+                  ))}
+                  <div>{highlightText(result.message.message, searchResults.terms)}</div>
+                  {result.context.after.map(msg => (
+                    <div key={msg.id} style={searchContextStyle}>{msg.username}: {msg.deleted ? 'This message was deleted' : msg.message}</div>
+                  ))}
+                </div>
+              );
+            })}
+          </div>
+        )}
         <div style={sidebarStyle}>
             <div style={roomListStyle}>
                 <h3>Rooms</h3>
-                <select value={currentRoom} onChange={handleRoomChange} style={roomSelectStyle}>
+                <select value={activePrivateChat ? '' : currentRoom} onChange={handleRoomChange} style={roomSelectStyle}>
+                    {activePrivateChat && <option value="" disabled>Viewing a direct message</option>}
                     {availableRooms.map((room) => (
-                        <option key={room} value={room}>
-                            {room.charAt(0).toUpperCase() + room.slice(1)}
-                            {unreadCounts[room] > 0 && (
-                                <span style={unreadBadgeStyle}>{unreadCounts[room]}</span>
+                        <option key={room.id} value={room.id}>
+                            {formatRoomName(room)}
+                            {room.archived && ' (archived)'}
+                            {mutedRooms.includes(room.id) && ' 🔕'}
+                            {mentionCounts[room.id] > 0 && ` (@${mentionCounts[room.id]})`}
+                            {unreadCounts[room.id] > 0 && (
+                                <span style={unreadBadgeStyle}>{unreadCounts[room.id]}</span>
                             )}
                         </option>
                     ))}
                 </select>
+                <form
+                  onSubmit={(e) => {
+                    e.preventDefault();
+                    handleCreateRoom();
+                  }}
+                  style={newRoomFormStyle}
+                >
+                  <input
+                    type="text"
+                    placeholder="New room name"
+                    value={newRoomName}
+                    onChange={(e) => setNewRoomName(e.target.value)}
+                    style={newRoomInputStyle}
+                  />
+                  <input
+                    type="text"
+                    placeholder="Description (optional)"
+                    value={newRoomDescription}
+                    onChange={(e) => setNewRoomDescription(e.target.value)}
+                    style={newRoomInputStyle}
+                  />
+                  <button type="submit" style={{ ...sendButtonStyle, padding: '6px 12px', fontSize: '0.9em' }}>Create Room</button>
+                </form>
             </div>
+            <div style={mentionSettingsStyle}>
+                {notificationPermission === 'default' && (
+                  <button onClick={enableDesktopAlerts} style={{ ...sendButtonStyle, padding: '6px 12px', fontSize: '0.9em' }}>
+                    Enable desktop alerts for mentions
+                  </button>
+                )}
+                {notificationPermission === 'denied' && <span>Desktop alerts are blocked in your browser settings.</span>}
+                <label>
+                  <input type="checkbox" checked={isMentionSoundEnabled} onChange={toggleMentionSound} /> Play a sound when mentioned
+                </label>
+            </div>
+            <label style={mentionSettingsStyle}>
+                Your status
+                <select value={myStatus} onChange={handleStatusChange} style={roomSelectStyle}>
+                    {PRESENCE_STATUS_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                </select>
+            </label>
+            <h3>Direct Messages</h3>
+            <ul style={privateChatListStyle}>
+                {Object.keys(privateChats).length === 0 && (
+                    <li style={{ color: '#888', fontSize: '0.9em' }}>Click an online user to start a conversation.</li>
+                )}
+                {Object.keys(privateChats).map((partner) => (
+                    <li
+                        key={partner}
+                        onClick={() => openPrivateChat(partner)}
+                        style={partner === activePrivateChat ? { ...activePrivateChatStyle, cursor: 'pointer' } : { ...roomOptionStyle, cursor: 'pointer' }}
+                    >
+                        <span>
+                            {renderPresenceDot(partner)}{partner}
+                            {presenceByUser[partner]?.status === 'offline' && presenceByUser[partner].lastSeenAt && (
+                                <small style={{ color: '#888' }}> · seen {formatLastSeen(presenceByUser[partner].lastSeenAt)}</small>
+                            )}
+                        </span>
+                        {privateUnreadCounts[partner] > 0 && (
+                            <span style={unreadBadgeStyle}>{privateUnreadCounts[partner]}</span>
+                        )}
+                    </li>
+                ))}
+            </ul>
             <h3>Online Users ({onlineUsers.length})</h3>
             <ul style={onlineUsersListStyle}>
-                {onlineUsers.map((user, index) => (
-                    <li key={index} style={{ marginBottom: '5px', color: '#333' }}>
+                {onlineUsers.map((user) => (
+                    <li
+                        key={user}
+                        onClick={() => openPrivateChat(user)}
+                        onContextMenu={(e) => {
+                            // Right-click opens the moderation menu for moderators
+                            if (!canModerateCurrentRoom || user === username || activePrivateChat) return;
+                            e.preventDefault();
+                            setModerationMenuUser(user);
+                        }}
+                        title={user === username ? undefined : `Send a direct message to ${user}`}
+                        style={{ marginBottom: '5px', color: '#333', cursor: user === username ? 'default' : 'pointer' }}
+                    >
+                        {renderPresenceDot(user)}
                         {user === username ? (<strong>{user} (You)</strong>) : user}
+                        <small style={{ color: '#888' }}>{getRoleLabel(user)}</small>
+                        {presenceByUser[user]?.status === 'dnd' && <small style={{ color: '#888' }}> (do not disturb)</small>}
+                        {canModerateCurrentRoom && user !== username && !activePrivateChat && (
+                            <button
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    setModerationMenuUser(moderationMenuUser === user ? null : user);
+                                }}
+                                title="Moderate"
+                                style={moderationMenuToggleStyle}
+                            >
+                                ⋯
+                            </button>
+                        )}
+                        {moderationMenuUser === user && (
+                            <div style={moderationMenuStyle} onClick={(e) => e.stopPropagation()}>
+                                <button onClick={() => handleKickUser(user)} style={moderationMenuItemStyle}>Kick</button>
+                                <button onClick={() => handleRestrictUser('mute_user', 'Mute', user)} style={moderationMenuItemStyle}>Mute…</button>
+                                <button onClick={() => handleRestrictUser('ban_user', 'Ban', user)} style={moderationMenuItemStyle}>Ban…</button>
+                                {currentRoomRole === 'owner' && (
+                                    (currentRoomInfo?.moderators || []).includes(user) ? (
+                                        <button onClick={() => moderateUser('set_room_role', user, { role: 'member' })} style={moderationMenuItemStyle}>
+                                            Remove moderator
+                                        </button>
+                                    ) : (
+                                        <button onClick={() => moderateUser('set_room_role', user, { role: 'moderator' })} style={moderationMenuItemStyle}>
+                                            Make moderator
+                                        </button>
+                                    )
+                                )}
+                                <button onClick={() => setModerationMenuUser(null)} style={moderationMenuItemStyle}>Cancel</button>
+                            </div>
+                        )}
                     </li>
                 ))}
             </ul>
+            {roomRestrictions && (
+                <div style={restrictionsPanelStyle}>
+                    <h4 style={{ margin: '0 0 5px 0' }}>Banned</h4>
+                    {Object.keys(roomRestrictions.ban).length === 0 && <small style={{ color: '#888' }}>Nobody</small>}
+                    {Object.entries(roomRestrictions.ban).map(([name, ban]) => (
+                        <div key={name} title={ban.reason || undefined}>
+                            {name}
+                            <small style={{ color: '#888' }}> {ban.until ? `until ${new Date(ban.until).toLocaleString()}` : 'no time limit'}</small>
+                            <button onClick={() => moderateUser('unban_user', name)} style={moderationMenuItemStyle}>Unban</button>
+                        </div>
+                    ))}
+                    <h4 style={{ margin: '10px 0 5px 0' }}>Muted</h4>
+                    {Object.keys(roomRestrictions.mute).length === 0 && <small style={{ color: '#888' }}>Nobody</small>}
+                    {Object.entries(roomRestrictions.mute).map(([name, mute]) => (
+                        <div key={name} title={mute.reason || undefined}>
+                            {name}
+                            <small style={{ color: '#888' }}> {mute.until ? `until ${new Date(mute.until).toLocaleString()}` : 'no time limit'}</small>
+                            <button onClick={() => moderateUser('unmute_user', name)} style={moderationMenuItemStyle}>Unmute</button>
+                        </div>
+                    ))}
+                </div>
+            )}
         </div>
       </div>
     </div>
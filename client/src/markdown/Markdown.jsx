@@ -0,0 +1,300 @@
+// real-time-chat-app/client/src/markdown/Markdown.jsx
+// Renders message text written in a small Markdown subset: **bold**, *italics* (or _italics_),
+// `inline code`, ``` fenced code blocks ``` with syntax highlighting, - bulleted and 1. numbered lists
+// (nested by indenting), > blockquotes and http(s) URLs as links. Anything else shows as typed, line
+// breaks included. The server stores the source text; this only decides how it is shown.
+//
+// Safe by construction: the text is turned into React elements (never into HTML), so React escapes
+// all of it, and the only links made are http(s) URLs.
+import React, { useMemo } from 'react';
+
+const FENCE_PATTERN = /^ {0,3}```\s*([\w+#.-]*)\s*$/;
+const CLOSING_FENCE_PATTERN = /^ {0,3}```\s*$/;
+const QUOTE_PATTERN = /^ {0,3}> ?(.*)$/;
+const LIST_ITEM_PATTERN = /^([ \t]*)([-*+]|\d{1,9}[.)])[ \t]+(.*)$/;
+
+// Code spans, then **bold** / __bold__, *italics* / _italics_ (underscores only around whole words, so
+// snake_case stays as is), then URLs (without trailing punctuation, e.g. the '.' ending a sentence)
+const INLINE_PATTERN = new RegExp([
+  '`([^`\\n]+)`',
+  '\\*\\*(?=\\S)(.+?)(?<=\\S)\\*\\*',
+  '(?<!\\w)__(?=\\S)(.+?)(?<=\\S)__(?!\\w)',
+  '\\*(?=\\S)(.+?)(?<=\\S)\\*',
+  '(?<!\\w)_(?=\\S)(.+?)(?<=\\S)_(?!\\w)',
+  '(https?:\\/\\/[^\\s<>"]*[^\\s<>".,:;!?\'()[\\]{}])',
+].join('|'), 'gs');
+
+const inlineCodeStyle = {
+  fontFamily: 'monospace',
+  backgroundColor: 'rgba(0, 0, 0, 0.07)',
+  borderRadius: '3px',
+  padding: '0 3px',
+};
+
+const codeBlockStyle = {
+  fontFamily: 'monospace',
+  fontSize: '0.9em',
+  backgroundColor: '#f6f8fa',
+  border: '1px solid #e1e4e8',
+  borderRadius: '5px',
+  padding: '6px 8px',
+  margin: 0,
+  overflowX: 'auto',
+  whiteSpace: 'pre',
+  textAlign: 'left',
+};
+
+const quoteStyle = {
+  borderLeft: '3px solid #ccc',
+  paddingLeft: '8px',
+  margin: 0,
+  color: '#555',
+};
+
+const listStyle = {
+  margin: 0,
+  paddingLeft: '1.5em',
+  textAlign: 'left',
+};
+
+// --- Syntax highlighting ---
+// A token-level highlighter for the languages people paste most: comments, strings, numbers and keywords
+const C_LIKE_COMMENTS = ['//[^\\n]*', '/\\*[\\s\\S]*?\\*/'];
+const HASH_COMMENTS = ['#[^\\n]*'];
+const QUOTED_STRINGS = ['"(?:\\\\.|[^"\\\\\\n])*"', "'(?:\\\\.|[^'\\\\\\n])*'"];
+const NUMBER = '\\b(?:0[xX][\\da-fA-F]+|\\d[\\d_]*(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b';
+
+const LANGUAGES = {
+  javascript: {
+    aliases: ['js', 'jsx', 'ts', 'tsx', 'typescript', 'mjs', 'cjs'],
+    comments: C_LIKE_COMMENTS,
+    strings: [...QUOTED_STRINGS, '`(?:\\\\.|[^`\\\\])*`'],
+    keywords: 'async await break case catch class const continue default delete do else export extends false finally for from function if import in instanceof interface let new null of return static super switch this throw true try type typeof undefined var void while yield',
+  },
+  json: {
+    aliases: [],
+    comments: [],
+    strings: ['"(?:\\\\.|[^"\\\\\\n])*"'],
+    keywords: 'true false null',
+  },
+  python: {
+    aliases: ['py'],
+    comments: HASH_COMMENTS,
+    strings: ['"""[\\s\\S]*?"""', "'''[\\s\\S]*?'''", ...QUOTED_STRINGS],
+    keywords: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return self True try while with yield',
+  },
+  bash: {
+    aliases: ['sh', 'shell', 'zsh', 'console'],
+    comments: HASH_COMMENTS,
+    strings: QUOTED_STRINGS,
+    keywords: 'case cd do done echo elif else esac exit export fi for function if in local read return set shift then unset until while',
+  },
+  sql: {
+    aliases: [],
+    comments: ['--[^\\n]*', '/\\*[\\s\\S]*?\\*/'],
+    strings: ["'(?:''|[^'])*'"],
+    keywords: 'ALTER AND AS ASC BETWEEN BY CASE CREATE DELETE DESC DISTINCT DROP ELSE END EXISTS FROM GROUP HAVING IN INDEX INNER INSERT INTO IS JOIN LEFT LIKE LIMIT NOT NULL ON OR ORDER OUTER PRIMARY KEY RIGHT SELECT SET TABLE THEN UNION UPDATE VALUES WHEN WHERE WITH',
+    ignoreCase: true,
+  },
+  go: {
+    aliases: ['golang'],
+    comments: C_LIKE_COMMENTS,
+    strings: [...QUOTED_STRINGS, '`[^`]*`'],
+    keywords: 'break case chan const continue default defer else fallthrough false for func go goto if import interface map nil package range return select struct switch true type var',
+  },
+  // C, Java and their relatives share one keyword list
+  clike: {
+    aliases: ['c', 'h', 'cpp', 'c++', 'cs', 'csharp', 'java', 'kotlin', 'kt', 'rust', 'rs', 'swift'],
+    comments: C_LIKE_COMMENTS,
+    strings: QUOTED_STRINGS,
+    keywords: 'abstract bool boolean break case catch char class const continue default do double else enum extends false final finally float fn for if impl implements import int let long match mut namespace new null override package private protected pub public return self static struct super switch this throw throws true try use var void while',
+  },
+  yaml: {
+    aliases: ['yml'],
+    comments: HASH_COMMENTS,
+    strings: QUOTED_STRINGS,
+    keywords: 'true false null yes no on off',
+  },
+  css: {
+    aliases: ['scss', 'less'],
+    comments: ['/\\*[\\s\\S]*?\\*/'],
+    strings: QUOTED_STRINGS,
+    keywords: 'important inherit initial none auto',
+  },
+};
+
+const TOKEN_COLORS = {
+  comment: { color: '#6a737d', fontStyle: 'italic' },
+  string: { color: '#032f62' },
+  number: { color: '#005cc5' },
+  keyword: { color: '#d73a49', fontWeight: 'bold' },
+};
+
+// language name or alias -> one regex with a named group per token type
+const TOKEN_PATTERNS = new Map();
+Object.entries(LANGUAGES).forEach(([name, { aliases, comments, strings, keywords, ignoreCase }]) => {
+  const groups = [
+    comments.length > 0 && `(?<comment>${comments.join('|')})`,
+    `(?<string>${strings.join('|')})`,
+    `(?<number>${NUMBER})`,
+    `(?<keyword>\\b(?:${keywords.split(' ').join('|')})\\b)`,
+  ].filter(Boolean);
+  const pattern = new RegExp(groups.join('|'), ignoreCase ? 'gi' : 'g');
+  [name, ...aliases].forEach(alias => TOKEN_PATTERNS.set(alias, pattern));
+});
+
+// Code of an unknown (or no) language is shown as is
+const highlightCode = (code, language) => {
+  const pattern = TOKEN_PATTERNS.get(language);
+  if (!pattern) return code;
+  const parts = [];
+  let last = 0;
+  for (const match of code.matchAll(pattern)) {
+    if (match.index > last) parts.push(code.slice(last, match.index));
+    const type = Object.keys(match.groups).find(group => match.groups[group] !== undefined);
+    parts.push(<span key={match.index} style={TOKEN_COLORS[type]}>{match[0]}</span>);
+    last = match.index + match[0].length;
+  }
+  if (last < code.length) parts.push(code.slice(last));
+  return parts;
+};
+
+// --- Blocks ---
+// Turns list item lines into nested lists: an item indented deeper than the one before it starts a sublist
+const buildList = (lines) => {
+  const items = lines.map(line => {
+    const [, indent, marker, text] = line.match(LIST_ITEM_PATTERN);
+    const ordered = /\d/.test(marker);
+    return { indent: indent.replace(/\t/g, '    ').length, ordered, start: ordered ? parseInt(marker, 10) : 1, text };
+  });
+  const root = { ordered: items[0].ordered, start: items[0].start, indent: items[0].indent, items: [] };
+  const openLists = [root];
+  items.forEach(({ indent, ordered, start, text }) => {
+    while (openLists.length > 1 && indent < openLists.at(-1).indent) openLists.pop();
+    let list = openLists.at(-1);
+    const parent = list.items.at(-1);
+    if (indent > list.indent && parent && !parent.sublist) {
+      parent.sublist = { ordered, start, indent, items: [] };
+      list = parent.sublist;
+      openLists.push(list);
+    }
+    list.items.push({ text, sublist: null });
+  });
+  return root;
+};
+
+// Splits the lines into { type: 'code' | 'quote' | 'list' | 'paragraph', ... } blocks
+const parseBlocks = (lines) => {
+  const blocks = [];
+  let index = 0;
+  const startsBlock = (line) => FENCE_PATTERN.test(line) || QUOTE_PATTERN.test(line) || LIST_ITEM_PATTERN.test(line);
+  while (index < lines.length) {
+    const line = lines[index];
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      // An unclosed fence runs to the end of the message
+      const closingIndex = lines.findIndex((candidate, i) => i > index && CLOSING_FENCE_PATTERN.test(candidate));
+      const end = closingIndex === -1 ? lines.length : closingIndex;
+      blocks.push({ type: 'code', language: fence[1].toLowerCase(), code: lines.slice(index + 1, end).join('\n') });
+      index = end + 1;
+    } else if (QUOTE_PATTERN.test(line)) {
+      const quoted = [];
+      for (; index < lines.length && QUOTE_PATTERN.test(lines[index]); index++) {
+        quoted.push(lines[index].match(QUOTE_PATTERN)[1]);
+      }
+      blocks.push({ type: 'quote', blocks: parseBlocks(quoted) });
+    } else if (LIST_ITEM_PATTERN.test(line)) {
+      const items = [];
+      for (; index < lines.length && LIST_ITEM_PATTERN.test(lines[index]); index++) {
+        items.push(lines[index]);
+      }
+      blocks.push({ type: 'list', list: buildList(items) });
+    } else if (!line.trim()) {
+      index++;
+    } else {
+      const paragraph = [];
+      for (; index < lines.length && lines[index].trim() && !startsBlock(lines[index]); index++) {
+        paragraph.push(lines[index]);
+      }
+      blocks.push({ type: 'paragraph', text: paragraph.join('\n') });
+    }
+  }
+  return blocks;
+};
+
+// --- Inline ---
+// Plain text goes through `renderText` (mentions, search highlights...); line breaks are kept
+const renderPlainText = (text, renderText) => text.split('\n').map((line, index) => (
+  <React.Fragment key={index}>
+    {index > 0 && <br />}
+    {renderText(line)}
+  </React.Fragment>
+));
+
+const renderInline = (text, renderText) => {
+  const parts = [];
+  let last = 0;
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    const [whole, code, strong, strongUnderscore, emphasis, emphasisUnderscore, url] = match;
+    if (match.index > last) parts.push(renderPlainText(text.slice(last, match.index), renderText));
+    if (code !== undefined) {
+      parts.push(<code style={inlineCodeStyle}>{code}</code>);
+    } else if (strong !== undefined || strongUnderscore !== undefined) {
+      parts.push(<strong>{renderInline(strong ?? strongUnderscore, renderText)}</strong>);
+    } else if (emphasis !== undefined || emphasisUnderscore !== undefined) {
+      parts.push(<em>{renderInline(emphasis ?? emphasisUnderscore, renderText)}</em>);
+    } else {
+      parts.push(<a href={url} target="_blank" rel="noopener noreferrer nofollow">{url}</a>);
+    }
+    last = match.index + whole.length;
+  }
+  if (last < text.length) parts.push(renderPlainText(text.slice(last), renderText));
+  return parts.map((part, index) => <React.Fragment key={index}>{part}</React.Fragment>);
+};
+
+const renderList = ({ ordered, start, items }, renderText) => {
+  const ListTag = ordered ? 'ol' : 'ul';
+  return (
+    <ListTag start={ordered && start !== 1 ? start : undefined} style={listStyle}>
+      {items.map((item, index) => (
+        <li key={index}>
+          {renderInline(item.text, renderText)}
+          {item.sublist && renderList(item.sublist, renderText)}
+        </li>
+      ))}
+    </ListTag>
+  );
+};
+
+const renderBlock = (block, renderText) => {
+  switch (block.type) {
+    case 'code':
+      return (
+        <pre style={codeBlockStyle} title={block.language || undefined}>
+          <code>{highlightCode(block.code, block.language)}</code>
+        </pre>
+      );
+    case 'quote':
+      return <blockquote style={quoteStyle}>{renderBlocks(block.blocks, renderText)}</blockquote>;
+    case 'list':
+      return renderList(block.list, renderText);
+    default:
+      return <div>{renderInline(block.text, renderText)}</div>;
+  }
+};
+
+const renderBlocks = (blocks, renderText) => blocks.map((block, index) => (
+  <div key={index} style={index > 0 ? { marginTop: '4px' } : undefined}>{renderBlock(block, renderText)}</div>
+));
+
+const renderAsIs = (text) => text;
+
+// `renderText(text)` renders the plain-text parts (never code or URLs), e.g. to mark mentions.
+// A message that is one paragraph renders inline, so it can follow other text (like an action's name).
+export const Markdown = ({ text, renderText = renderAsIs }) => {
+  const blocks = useMemo(() => parseBlocks((text || '').split('\n')), [text]);
+  if (blocks.length === 1 && blocks[0].type === 'paragraph') {
+    return renderInline(blocks[0].text, renderText);
+  }
+  return renderBlocks(blocks, renderText);
+};
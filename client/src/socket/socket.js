@@ -1,149 +1,413 @@
-// socket.js - Socket.io client setup
-
+// real-time-chat-app/client/src/socket/socket.js
+// Client SDK for the chat server's socket protocol.
+//
+// useSocket() owns the connection of a login session and keeps the room state every screen needs in
+// one place: the room list, the room we are in, a message cache per room (paging, delivery status,
+// catching up after a reconnect), unread counts, and who is online and typing in the current room.
+// Everything else the server sends (DMs, presence, mentions, moderation, ...) is handled by the app
+// through useSocketEvent(), whose handlers always see the state of the latest render.
 import { io } from 'socket.io-client';
-import { useEffect, useState } from 'react';
-
-// Socket.io connection URL
-const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:5000';
-
-// Create socket instance
-export const socket = io(SOCKET_URL, {
-  autoConnect: false,
-  reconnection: true,
-  reconnectionAttempts: 5,
-  reconnectionDelay: 1000,
-});
-
-// Custom hook for using socket.io
-export const useSocket = () => {
-  const [isConnected, setIsConnected] = useState(socket.connected);
-  const [lastMessage, setLastMessage] = useState(null);
-  const [messages, setMessages] = useState([]);
-  const [users, setUsers] = useState([]);
-  const [typingUsers, setTypingUsers] = useState([]);
-
-  // Connect to socket server
-  const connect = (username) => {
-    socket.connect();
-    if (username) {
-      socket.emit('user_join', username);
-    }
-  };
+import { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
 
-  // Disconnect from socket server
-  const disconnect = () => {
-    socket.disconnect();
-  };
+// Chat server for both the socket and the REST API
+export const SERVER_URL = import.meta.env.VITE_SOCKET_URL || 'http://127.0.0.1:5000';
+// Where new sessions start, and where we go when the current room goes away
+export const DEFAULT_ROOM = 'general';
+// A message the server hasn't acked by then is shown as failed
+const DELIVERY_TIMEOUT_MS = 10000;
+// No keystroke for this long and we stop showing as typing
+const TYPING_IDLE_MS = 1500;
 
-  // Send a message
-  const sendMessage = (message) => {
-    socket.emit('send_message', { message });
-  };
+const formatTime = (date = new Date()) => date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 
-  // Send a private message
-  const sendPrivateMessage = (to, message) => {
-    socket.emit('private_message', { to, message });
-  };
+// Applies what the server says a room missed while we were disconnected (see 'missed_messages_in_room'):
+// either a fresh latest page, or new messages to append plus edited/deleted ones to replace.
+// Our own messages still waiting for an ack stay at the end.
+const mergeMissedMessages = (roomMessages = [], { reset, messages, updated = [] }) => {
+  const pending = roomMessages.filter(msg => msg.clientId);
+  if (reset) return [...messages, ...pending];
+  const updatedById = new Map(updated.map(msg => [msg.id, msg]));
+  const stored = roomMessages.filter(msg => !msg.clientId).map(msg => updatedById.get(msg.id) || msg);
+  const knownIds = new Set(stored.map(msg => msg.id));
+  return [...stored, ...messages.filter(msg => !knownIds.has(msg.id)), ...pending];
+};
 
-  // Set typing status
-  const setTyping = (isTyping) => {
-    socket.emit('typing', isTyping);
-  };
+// Messages of a room the server has stored (not our unacknowledged ones, nor local notices)
+const getStoredMessages = (roomMessages = []) => roomMessages.filter(msg => msg.createdAt && !msg.clientId);
+
+const getLastStoredMessageId = (roomMessages) => getStoredMessages(roomMessages).at(-1)?.id;
+
+// Subscribes to a server event for as long as the component is mounted (and the socket exists).
+// The handler is called as it was in the latest render, so it can read current state and props
+// instead of whatever they were when the listener was registered.
+export const useSocketEvent = (socket, eventName, handler) => {
+  const handlerRef = useRef(handler);
+  useLayoutEffect(() => {
+    handlerRef.current = handler;
+  });
 
-  // Socket event listeners
   useEffect(() => {
-    // Connection events
-    const onConnect = () => {
-      setIsConnected(true);
-    };
+    if (!socket) return;
+    const listener = (...args) => handlerRef.current(...args);
+    socket.on(eventName, listener);
+    return () => socket.off(eventName, listener);
+  }, [socket, eventName]);
+};
+
+// Connects with the session's `token` (nothing while it is null) as `username` and returns the
+// connection, the room state and the actions on it. `onAuthError` is called when the server rejects the token.
+export const useSocket = ({ token, username, onAuthError }) => {
+  const [socket, setSocket] = useState(null);
+  const [isConnected, setIsConnected] = useState(false);
+  const [hasConnected, setHasConnected] = useState(false); // After the first connect, a drop is a reconnect, not a failure
+  const [rooms, setRooms] = useState([]); // Room records { id, name, description, createdBy, createdAt, archived, ... }
+  const [currentRoom, setCurrentRoom] = useState(DEFAULT_ROOM);
+  // { roomId: [messages] }, oldest first. Besides stored messages, holds our messages still being
+  // delivered ({ clientId, status: 'sending' | 'failed', error }) and local notices ({ isNotification }).
+  const [messagesByRoom, setMessagesByRoom] = useState({});
+  const [hasMoreByRoom, setHasMoreByRoom] = useState({}); // { roomId: true if older messages can be loaded }
+  const [isLoadingOlder, setIsLoadingOlder] = useState(false);
+  const [unreadCounts, setUnreadCounts] = useState({}); // { roomId: count }
+  const [onlineUsers, setOnlineUsers] = useState([]); // Usernames in currentRoom
+  const [typingUsers, setTypingUsers] = useState([]); // Usernames typing in currentRoom (including us)
+  const [threadTypingUsers, setThreadTypingUsers] = useState({}); // { parentId: usernames typing a reply } in currentRoom
+
+  // Set on reconnect: the next join_room asks for the messages we missed instead of the latest page
+  const isResumingRef = useRef(false);
+  // Last message id we reported as read, per room (avoids re-sending the same mark_read)
+  const lastMarkedReadRef = useRef({});
+  // Pending stop_typing timers, keyed by thread parent id ('' for the room's message box)
+  const typingTimeoutsRef = useRef({});
+  // Mirror what effects below read without re-running when it changes
+  const onAuthErrorRef = useRef(onAuthError);
+  const messagesByRoomRef = useRef(messagesByRoom);
+  useLayoutEffect(() => {
+    onAuthErrorRef.current = onAuthError;
+    messagesByRoomRef.current = messagesByRoom;
+  });
+
+  // --- Connection (one per login session) ---
+  useEffect(() => {
+    if (!token) return;
+    // The server identifies us from this token, not from anything we send later
+    const newSocket = io(SERVER_URL, { auth: { token } });
+    setSocket(newSocket);
+
+    // The server rejects the handshake when the token is invalid or expired
+    newSocket.on('connect_error', (err) => {
+      console.log('Connection error:', err.message);
+      if (err.message === 'Authentication failed') onAuthErrorRef.current?.();
+    });
 
-    const onDisconnect = () => {
+    // Logging out (or in as someone else) ends the session: drop everything it loaded
+    return () => {
+      newSocket.disconnect();
+      Object.values(typingTimeoutsRef.current).forEach(clearTimeout);
+      typingTimeoutsRef.current = {};
+      lastMarkedReadRef.current = {};
+      isResumingRef.current = false;
+      setSocket(null);
       setIsConnected(false);
+      setHasConnected(false);
+      setRooms([]);
+      setCurrentRoom(DEFAULT_ROOM);
+      setMessagesByRoom({});
+      setHasMoreByRoom({});
+      setUnreadCounts({});
+      setOnlineUsers([]);
+      setTypingUsers([]);
+      setThreadTypingUsers({});
     };
+  }, [token]);
 
-    // Message events
-    const onReceiveMessage = (message) => {
-      setLastMessage(message);
-      setMessages((prev) => [...prev, message]);
-    };
+  // socket.io reconnects by itself after a network blip. Everything we had stays; on reconnect we
+  // re-join the current room with the last message we have (see the join_room effect) and catch up
+  // on the other rooms we have cached.
+  useSocketEvent(socket, 'connect', () => {
+    console.log('Connected to Socket.IO server!');
+    if (hasConnected) {
+      isResumingRef.current = true;
+      const lastMessageIds = {};
+      Object.entries(messagesByRoom).forEach(([room, roomMessages]) => {
+        const lastMessageId = getLastStoredMessageId(roomMessages);
+        if (room !== currentRoom && lastMessageId) lastMessageIds[room] = lastMessageId;
+      });
+      socket.emit('catch_up', { rooms: lastMessageIds }, (response) => {
+        if (!response.ok) return;
+        setMessagesByRoom(prev => {
+          const next = { ...prev };
+          Object.entries(response.rooms).forEach(([room, missed]) => {
+            next[room] = mergeMissedMessages(prev[room], missed);
+          });
+          return next;
+        });
+        Object.entries(response.rooms).forEach(([room, missed]) => {
+          if (missed.reset) setHasMoreByRoom(prev => ({ ...prev, [room]: missed.hasMore }));
+        });
+      });
+    }
+    setHasConnected(true);
+    setIsConnected(true);
+  });
 
-    const onPrivateMessage = (message) => {
-      setLastMessage(message);
-      setMessages((prev) => [...prev, message]);
-    };
+  // Keep the session and history; only presence is stale until we're back
+  useSocketEvent(socket, 'disconnect', () => {
+    console.log('Disconnected from Socket.IO server.');
+    setIsConnected(false);
+    setOnlineUsers([]);
+    setTypingUsers([]);
+    setThreadTypingUsers({});
+  });
 
-    // User events
-    const onUserList = (userList) => {
-      setUsers(userList);
-    };
+  // --- Rooms ---
+  // Switches to another room (the effect below tells the server)
+  const joinRoom = useCallback((room) => {
+    setCurrentRoom(room);
+  }, []);
 
-    const onUserJoined = (user) => {
-      // You could add a system message here
-      setMessages((prev) => [
-        ...prev,
-        {
-          id: Date.now(),
-          system: true,
-          message: `${user.username} joined the chat`,
-          timestamp: new Date().toISOString(),
-        },
-      ]);
-    };
+  // Tell the server which room this socket is in (also re-joins it after every connect)
+  useEffect(() => {
+    if (socket && isConnected) {
+      const lastMessageId = isResumingRef.current ? getLastStoredMessageId(messagesByRoomRef.current[currentRoom]) : undefined;
+      isResumingRef.current = false;
+      socket.emit('join_room', { room: currentRoom, lastMessageId });
+    }
+    // Typing indicators belong to the room we left; online users come with the join
+    setTypingUsers([]);
+    setThreadTypingUsers({});
+  }, [currentRoom, socket, isConnected]);
 
-    const onUserLeft = (user) => {
-      // You could add a system message here
-      setMessages((prev) => [
-        ...prev,
-        {
-          id: Date.now(),
-          system: true,
-          message: `${user.username} left the chat`,
-          timestamp: new Date().toISOString(),
-        },
-      ]);
-    };
+  // Sent on connect, and again whenever a room is created, renamed, archived or deleted
+  useSocketEvent(socket, 'available_rooms', (roomList) => {
+    setRooms(roomList);
+  });
 
-    // Typing events
-    const onTypingUsers = (users) => {
-      setTypingUsers(users);
-    };
+  const leaveRoomIfCurrent = (room) => {
+    if (room === currentRoom) setCurrentRoom(DEFAULT_ROOM);
+  };
 
-    // Register event listeners
-    socket.on('connect', onConnect);
-    socket.on('disconnect', onDisconnect);
-    socket.on('receive_message', onReceiveMessage);
-    socket.on('private_message', onPrivateMessage);
-    socket.on('user_list', onUserList);
-    socket.on('user_joined', onUserJoined);
-    socket.on('user_left', onUserLeft);
-    socket.on('typing_users', onTypingUsers);
-
-    // Clean up event listeners
-    return () => {
-      socket.off('connect', onConnect);
-      socket.off('disconnect', onDisconnect);
-      socket.off('receive_message', onReceiveMessage);
-      socket.off('private_message', onPrivateMessage);
-      socket.off('user_list', onUserList);
-      socket.off('user_joined', onUserJoined);
-      socket.off('user_left', onUserLeft);
-      socket.off('typing_users', onTypingUsers);
-    };
+  // A room we know was deleted: its history goes, and if we were in it we move to the default room
+  useSocketEvent(socket, 'room_deleted', ({ room }) => {
+    setMessagesByRoom(prev => {
+      const next = { ...prev };
+      delete next[room];
+      return next;
+    });
+    leaveRoomIfCurrent(room);
+  });
+
+  // We were kicked or banned (every tab of ours hears it)...
+  useSocketEvent(socket, 'removed_from_room', ({ room }) => {
+    leaveRoomIfCurrent(room);
+  });
+
+  // ...or tried to join a room we are banned from
+  useSocketEvent(socket, 'error', (chatError) => {
+    if (chatError.code === 'banned') leaveRoomIfCurrent(chatError.room);
+  });
+
+  // Messages were imported into a room we are in (see the server's transcripts controller):
+  // fetch its latest page again, since they may be anywhere in its history
+  useSocketEvent(socket, 'room_history_imported', ({ room }) => {
+    if (room === currentRoom) socket.emit('join_room', { room });
+  });
+
+  useSocketEvent(socket, 'online_users_update_in_room', ({ room, users }) => {
+    if (room === currentRoom) setOnlineUsers(users);
+  });
+
+  // --- Message caches ---
+  // The latest page of a room, when we join it...
+  useSocketEvent(socket, 'initial_messages_in_room', ({ room, messages, hasMore }) => {
+    setMessagesByRoom(prev => ({ ...prev, [room]: messages }));
+    setHasMoreByRoom(prev => ({ ...prev, [room]: hasMore }));
+  });
+
+  // ...or, when re-joining after a reconnect, only what we missed
+  useSocketEvent(socket, 'missed_messages_in_room', ({ room, ...missed }) => {
+    setMessagesByRoom(prev => ({ ...prev, [room]: mergeMissedMessages(prev[room], missed) }));
+    if (missed.reset) setHasMoreByRoom(prev => ({ ...prev, [room]: missed.hasMore }));
+  });
+
+  // Appends a message to a room's cache (replaces it if we already have it)
+  const addMessage = useCallback((room, message) => {
+    setMessagesByRoom(prev => {
+      const roomMessages = prev[room] || [];
+      const known = message.id && roomMessages.some(msg => msg.id === message.id);
+      return {
+        ...prev,
+        [room]: known ? roomMessages.map(msg => (msg.id === message.id ? message : msg)) : [...roomMessages, message]
+      };
+    });
   }, []);
 
+  // Adds a line that only this client shows, e.g. 'bob has joined', to a room's history
+  const addNotice = useCallback((room, text, fields = {}) => {
+    addMessage(room, { username: 'System', message: text, timestamp: formatTime(), isNotification: true, ...fields });
+  }, [addMessage]);
+
+  // A new message in a room we are in
+  useSocketEvent(socket, 'receive_message', (message) => {
+    addMessage(message.room, message);
+  });
+
+  // A message was edited, deleted (deleted ones come back as tombstones) or replied to
+  useSocketEvent(socket, 'message_updated', ({ room, message: updatedMessage }) => {
+    setMessagesByRoom(prev => ({
+      ...prev,
+      [room]: (prev[room] || []).map(msg => (msg.id === updatedMessage.id ? updatedMessage : msg))
+    }));
+  });
+
+  const updatePendingMessage = (room, clientId, changes) => {
+    setMessagesByRoom(prev => ({
+      ...prev,
+      [room]: (prev[room] || []).map(msg => (msg.clientId === clientId ? { ...msg, ...changes } : msg))
+    }));
+  };
+
+  // Posts a message to a room. It shows right away as 'sending', then as delivered once the server
+  // acks that it stored it, or as 'failed' (with the error) if it refuses or doesn't answer in time.
+  // `attachments` are the infos returned by POST /api/attachments. Resolves with the server's answer
+  // ({ ok: false, error, code } on failure).
+  const sendMessage = (room, text, attachments = []) => new Promise((resolve) => {
+    const clientId = `pending-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    addMessage(room, {
+      id: clientId,
+      clientId,
+      username,
+      message: text,
+      room,
+      attachments,
+      timestamp: formatTime(),
+      status: 'sending',
+    });
+
+    const payload = { message: text, room, attachments: attachments.map(attachment => attachment.id) };
+    socket.timeout(DELIVERY_TIMEOUT_MS).emit('send_message', payload, (err, response) => {
+      if (err || !response.ok) {
+        const error = err ? 'No response from server.' : response.error;
+        updatePendingMessage(room, clientId, { status: 'failed', error });
+        resolve(err ? { ok: false, error } : response);
+        return;
+      }
+      updatePendingMessage(room, clientId, { ...response.message, clientId: undefined, status: 'delivered' });
+      resolve(response);
+    });
+  });
+
+  // Drops a failed message and sends it again
+  const retryMessage = (failedMessage) => {
+    setMessagesByRoom(prev => ({
+      ...prev,
+      [failedMessage.room]: (prev[failedMessage.room] || []).filter(msg => msg.clientId !== failedMessage.clientId)
+    }));
+    return sendMessage(failedMessage.room, failedMessage.message, failedMessage.attachments);
+  };
+
+  // Fetches the page of current room messages older than the oldest one we have (infinite scroll).
+  // `beforeAdd(room)` runs right before the page is added, e.g. to keep the scroll position.
+  // Resolves with the server's answer, or null if there was nothing to load.
+  const loadOlderMessages = useCallback((beforeAdd) => new Promise((resolve) => {
+    const oldestMessage = getStoredMessages(messagesByRoom[currentRoom])[0];
+    if (!socket || isLoadingOlder || !hasMoreByRoom[currentRoom] || !oldestMessage) {
+      resolve(null);
+      return;
+    }
+    setIsLoadingOlder(true);
+    socket.emit('load_older_messages', { room: currentRoom, before: oldestMessage.createdAt }, (response) => {
+      setIsLoadingOlder(false);
+      if (response.ok) {
+        beforeAdd?.(response.room);
+        setMessagesByRoom(prev => ({
+          ...prev,
+          [response.room]: [...response.messages, ...(prev[response.room] || [])]
+        }));
+        setHasMoreByRoom(prev => ({ ...prev, [response.room]: response.hasMore }));
+      }
+      resolve(response);
+    });
+  }), [socket, isLoadingOlder, hasMoreByRoom, currentRoom, messagesByRoom]);
+
+  // Reports the newest stored message of a room as read (once per message)
+  const markRead = useCallback((room) => {
+    const latestMessage = getStoredMessages(messagesByRoom[room]).at(-1);
+    if (!socket || !latestMessage || lastMarkedReadRef.current[room] === latestMessage.id) return;
+    lastMarkedReadRef.current[room] = latestMessage.id;
+    socket.emit('mark_read', { room, messageId: latestMessage.id });
+  }, [socket, messagesByRoom]);
+
+  // --- Unread counts ---
+  // Server-computed counts (all rooms on connect, one room after we read it on another tab)
+  useSocketEvent(socket, 'unread_counts', (counts) => {
+    setUnreadCounts(prev => ({ ...prev, ...counts }));
+  });
+
+  // Any room got a message (sent to every client, for the rooms we are not in)
+  useSocketEvent(socket, 'new_message_in_room', ({ room }) => {
+    if (room !== currentRoom) {
+      setUnreadCounts(prev => ({ ...prev, [room]: (prev[room] || 0) + 1 }));
+    }
+  });
+
+  // Leaving a room starts its count from zero again; the current room never counts as unread
+  useEffect(() => {
+    setUnreadCounts(prev => (prev[currentRoom] ? { ...prev, [currentRoom]: 0 } : prev));
+  }, [currentRoom]);
+
+  const visibleUnreadCounts = useMemo(() => ({ ...unreadCounts, [currentRoom]: 0 }), [unreadCounts, currentRoom]);
+
+  // --- Typing ---
+  useSocketEvent(socket, 'user_typing_update_in_room', ({ room, users }) => {
+    if (room === currentRoom) setTypingUsers(users);
+  });
+
+  useSocketEvent(socket, 'user_typing_update_in_thread', ({ room, parentId, users }) => {
+    if (room === currentRoom) setThreadTypingUsers(prev => ({ ...prev, [parentId]: users }));
+  });
+
+  // Tells the current room we stopped typing in its message box, or with `parentId`, in that thread
+  const stopTyping = (parentId) => {
+    const key = parentId || '';
+    clearTimeout(typingTimeoutsRef.current[key]);
+    delete typingTimeoutsRef.current[key];
+    socket?.emit('stop_typing', parentId ? { room: currentRoom, parentId } : { room: currentRoom });
+  };
+
+  // Call on every keystroke: we show as typing until TYPING_IDLE_MS pass without one
+  const notifyTyping = (parentId) => {
+    if (!socket || !isConnected) return;
+    const key = parentId || '';
+    const payload = parentId ? { room: currentRoom, parentId } : { room: currentRoom };
+    socket.emit('typing', payload);
+    clearTimeout(typingTimeoutsRef.current[key]);
+    typingTimeoutsRef.current[key] = setTimeout(() => {
+      delete typingTimeoutsRef.current[key];
+      socket.emit('stop_typing', payload);
+    }, TYPING_IDLE_MS);
+  };
+
   return {
     socket,
     isConnected,
-    lastMessage,
-    messages,
-    users,
+    hasConnected,
+    rooms,
+    currentRoom,
+    joinRoom,
+    messagesByRoom,
+    hasMoreByRoom,
+    isLoadingOlder,
+    unreadCounts: visibleUnreadCounts,
+    onlineUsers,
     typingUsers,
-    connect,
-    disconnect,
+    threadTypingUsers,
+    addMessage,
+    addNotice,
     sendMessage,
-    sendPrivateMessage,
-    setTyping,
+    retryMessage,
+    loadOlderMessages,
+    markRead,
+    notifyTyping,
+    stopTyping,
   };
 };
-
-export default socket; 
\ No newline at end of file
@@ -0,0 +1,754 @@
+// real-time-chat-app/server/chatServer.js
+// The chat server: an Express app for the REST API and a Socket.IO server on one HTTP server.
+// server.js runs one with the settings from the environment; tests and other apps can embed their own:
+//   const chat = await createChatServer({ port: 0, store: 'memory' });
+//   const { port } = await chat.start();
+//   ...
+//   await chat.stop();
+import cluster from 'cluster';
+import express from 'express';
+import { createServer } from 'http';
+import { Server } from 'socket.io';
+import { createAdapter } from '@socket.io/cluster-adapter';
+import { setupWorker } from '@socket.io/sticky';
+import cors from 'cors';
+import { randomUUID } from 'crypto';
+import { createLocalServices, connectToPrimaryServices, DEFAULT_ROOMS } from './shared/services.js';
+import { createAuthRouter } from './routes/auth.js';
+import { createRoomsRouter } from './routes/rooms.js';
+import { createAttachmentsRouter } from './routes/attachments.js';
+import { createSearchRouter } from './routes/search.js';
+import { createWebhooksRouter } from './routes/webhooks.js';
+import { createAdminRouter } from './routes/admin.js';
+import { createMonitoringRouter } from './routes/monitoring.js';
+import { createRoomsController, getRoomRole } from './controllers/rooms.js';
+import { createMessagesController, checkMessageLength } from './controllers/messages.js';
+import { createSearchController } from './controllers/search.js';
+import { createMentionsController } from './controllers/mentions.js';
+import { createPresenceController } from './controllers/presence.js';
+import { createTypingController } from './controllers/typing.js';
+import { createRateLimitsController } from './controllers/rateLimits.js';
+import { createModerationController } from './controllers/moderation.js';
+import { createTranscriptsController } from './controllers/transcripts.js';
+import { createWebhooksController, botUsername } from './controllers/webhooks.js';
+import { createMetricsController } from './controllers/metrics.js';
+import { createAdminController } from './controllers/admin.js';
+import { registerBuiltInCommands } from './controllers/commands.js';
+import { verifyToken } from './utils/auth.js';
+import { ChatError } from './utils/errors.js';
+import { validatePayload } from './utils/validation.js';
+import { createCommandRegistry, parseCommand } from './utils/commands.js';
+import { SOCKET_EVENT_SCHEMAS } from './schemas/socketEvents.js';
+
+// Events the server raises itself rather than client requests: never rate limited or validated
+const INTERNAL_EVENTS = new Set(['disconnect']);
+
+// Builds a chat server and loads its data; nothing listens until start(). Options:
+//   port: where start() listens (default: PORT, or 5000; 0 picks a free port)
+//   host: the interface to listen on (default: '127.0.0.1')
+//   corsOrigins: origins allowed to call the API and connect sockets, '*' (default) or a list
+//   defaultRooms: rooms created when the store is empty (default: DEFAULT_ROOMS, see shared/services.js)
+//   store: 'file' or 'memory' (default: CHAT_STORE, or 'file'), or a store object (see store/index.js)
+//   dataFile: where the file store keeps its data (default: CHAT_DATA_FILE, or data/chat.json)
+// Resolves with { app, io, httpServer, store, commands, start, stop }. start() resolves with { host, port }
+// once listening; stop() drops pending webhook deliveries, disconnects every socket, closes the HTTP
+// server and waits for the store to finish writing. In a cluster worker (see cluster.js) the primary owns the store and the connections:
+// the store options are ignored and start() doesn't listen.
+export const createChatServer = async ({
+    port = process.env.PORT || 5000,
+    host = '127.0.0.1',
+    corsOrigins = '*',
+    defaultRooms = DEFAULT_ROOMS,
+    store: storeOption,
+    dataFile
+} = {}) => {
+    const app = express();
+    const httpServer = createServer(app);
+
+    const io = new Server(httpServer, {
+        cors: {
+            origin: corsOrigins,
+            methods: ["GET", "POST"]
+        }
+    });
+
+    app.use(cors({ origin: corsOrigins }));
+    app.use(express.json());
+
+    // --- Shared services: storage for rooms, messages and users, the search index and the shared state ---
+    // Run alone, this process owns them. As a cluster worker (started by cluster.js), the primary owns
+    // them, broadcasts go through the cluster adapter, and the primary hands us our connections.
+    const isClusterWorker = cluster.isWorker;
+    const { store, searchIndex, state } = isClusterWorker
+        ? connectToPrimaryServices()
+        : await createLocalServices({ store: storeOption, dataFile, defaultRooms });
+    if (isClusterWorker) {
+        io.adapter(createAdapter());
+        setupWorker(io);
+    }
+
+    // --- Connection state (in the shared state, so every process agrees) ---
+    // Which sockets each user has open, the room each one is in, and everyone's status
+    const presence = createPresenceController({ store, state, instanceId: cluster.worker?.id ?? 0 });
+    // Who is typing in each room
+    const typing = createTypingController({ state });
+    // Flood protection for every socket event (limits are configurable, see controllers/rateLimits.js)
+    const rateLimits = createRateLimitsController({ state });
+    // Counters and latencies for GET /metrics (shared too, see controllers/metrics.js)
+    const metrics = createMetricsController({ state, presence });
+
+    // Tells everyone a user's current { username, status, lastSeenAt }
+    const broadcastPresence = async (username) => {
+        io.emit('presence_update', await presence.getPresence(username));
+    };
+
+    // Helper function to get the Socket.IO room holding every socket (tab/device) of a user
+    const getUserChannel = (username) => `user:${username}`;
+
+    // Runs one event for safeHandler (below)
+    const handleEvent = async (socket, eventName, handler, args) => {
+        const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+        const startedAt = performance.now();
+        let rejectionCode = null;
+        try {
+            if (INTERNAL_EVENTS.has(eventName)) {
+                await handler(...args);
+                return;
+            }
+            if (!await rateLimits.checkEvent(socket.data.user.username, socket.id, eventName)) {
+                rejectionCode = 'rate_limited';
+                return; // Over the limit of an event that is dropped silently (typing)
+            }
+            await handler(validatePayload(SOCKET_EVENT_SCHEMAS[eventName], args[0]), ack);
+        } catch (err) {
+            rejectionCode = err instanceof ChatError ? err.code : 'internal_error';
+            if (!(err instanceof ChatError)) {
+                console.error(`Error handling '${eventName}':`, err);
+            }
+            const error = err instanceof ChatError
+                ? { code: err.code, message: err.message, event: eventName, ...err.details }
+                : { code: 'internal_error', message: 'Something went wrong, please try again.', event: eventName };
+            if (ack) {
+                ack({ ok: false, error: error.message, ...error });
+            } else {
+                socket.emit('error', error);
+            }
+        } finally {
+            metrics.countEvent(eventName, (performance.now() - startedAt) / 1000, rejectionCode);
+        }
+    };
+
+    // Wraps an async event handler so bad input or a failing store call never crashes the process.
+    // A client request is checked against the rate limits, then its payload against the event's schema
+    // (schemas/socketEvents.js); the handler is called with the cleaned payload and the ack callback (or null).
+    // Failures are reported as { code, message, event } plus any details (e.g. { code: 'rate_limited',
+    // retryAfterMs }): through the ack as { ok: false, error: message, ... } if the client passed one,
+    // otherwise as an 'error' event. Unexpected errors are logged and reported as 'internal_error'.
+    // Every event is counted in the metrics with its handling time and, if refused, the error code.
+    // Handlers still running are kept in runningHandlers, so stop() can wait for them.
+    const runningHandlers = new Set();
+    const safeHandler = (socket, eventName, handler) => (...args) => {
+        const running = handleEvent(socket, eventName, handler, args);
+        runningHandlers.add(running);
+        running.finally(() => runningHandlers.delete(running));
+        return running;
+    };
+
+    const searchController = createSearchController({ store, searchIndex });
+    const messagesController = createMessagesController({ store, searchIndex, state });
+    const mentionsController = createMentionsController({ store, io, getUserChannel });
+    const roomsController = createRoomsController({
+        store,
+        io,
+        // Nobody is in a deleted room anymore
+        onRoomDeleted: async (roomId) => {
+            await presence.clearRoom(roomId);
+            await typing.clearRoom(roomId);
+            await moderation.clearRoom(roomId);
+            await searchIndex.removeRoom(roomId);
+        }
+    });
+    const moderation = createModerationController({ store, state, roomsController });
+    // Room exports and imports, and the join/leave notices they can include
+    const transcriptsController = createTranscriptsController({ store, searchIndex, io });
+    // Incoming webhooks post as bots; outgoing ones are told about new messages (see publishRoomMessage)
+    const webhooksController = createWebhooksController({
+        store,
+        roomsController,
+        rateLimits,
+        publishBotMessage: (webhook, roomInfo, { displayName, ...fields }) => publishRoomMessage(botUsername(webhook.id), roomInfo, {
+            ...fields,
+            bot: { webhookId: webhook.id, displayName: displayName || webhook.name }
+        })
+    });
+
+    // What server admins see through /api/admin
+    const adminController = createAdminController({ store, presence });
+
+    // Slash commands typed in the message box. Others can be added with commands.register() (see utils/commands.js).
+    const commands = createCommandRegistry();
+    registerBuiltInCommands(commands, { store, presence, roomsController, moderation });
+
+    // Takes every socket of a kicked or banned user out of a room; they get 'removed_from_room' with the notice
+    const removeFromRoom = async (username, room, notice) => {
+        io.to(getUserChannel(username)).emit('removed_from_room', { room, ...notice });
+        io.in(getUserChannel(username)).socketsLeave(room);
+        if (!await presence.isInRoom(username, room)) return;
+        await presence.clearRoom(room, username);
+        io.to(room).emit('user_typing_update_in_room', { room, users: await typing.stopTyping(room, username) });
+        io.to(room).emit('online_users_update_in_room', { room, users: await presence.getUsernamesInRoom(room) });
+    };
+
+    // Tells a room about a moderation action (see controllers/moderation.js for the notice fields)
+    const announceModeration = (room, notice) => {
+        io.to(room).emit('moderation_notice_in_room', { room, ...notice });
+    };
+
+    // Stores a room message and sends it out: messages from users (send_message and /me) and from
+    // incoming webhooks go through here. `socket` is the sender's socket, if any: with an `ack` it gets
+    // { ok: true, message } through it instead of 'receive_message'.
+    // With `parentId` the message is a reply in that message's thread: the room gets 'thread_reply'
+    // { room, parentId, message } and the parent's new reply count through 'message_updated'. Only
+    // replies posted with `alsoInRoom` also go out as 'receive_message' and count as unread.
+    // Resolves with the stored message once the mentions are notified and outgoing webhooks are under way.
+    const publishRoomMessage = async (username, roomInfo, { parentId, alsoInRoom = false, ...fields }, { socket = null, ack = null } = {}) => {
+        const room = roomInfo.id;
+        let fullMessage;
+        if (parentId) {
+            const { reply, parent } = await messagesController.postReply(username, roomInfo, parentId, { ...fields, alsoInRoom });
+            fullMessage = reply;
+            io.to(room).emit('message_updated', { room, message: parent });
+        } else {
+            fullMessage = await messagesController.postMessage(username, roomInfo, fields);
+        }
+        const inTimeline = !parentId || alsoInRoom;
+        metrics.countMessage(room);
+
+        // Emit the message to all clients in that specific room
+        const recipients = socket && ack ? socket.to(room) : io.to(room);
+        if (parentId) {
+            recipients.emit('thread_reply', { room, parentId, message: fullMessage });
+        }
+        if (inTimeline) {
+            recipients.emit('receive_message', fullMessage);
+        }
+        ack?.({ ok: true, message: fullMessage });
+
+        // Emit a 'new_message_in_room' event for unread counts (to all clients, except sender)
+        // This is caught by clients not currently in 'room' to update unread counts
+        if (inTimeline) {
+            (socket ? socket.broadcast : io).emit('new_message_in_room', { room, message: fullMessage });
+        }
+
+        // Users mentioned with @username / @room get their own notification
+        await mentionsController.notifyMentions(fullMessage, await presence.getUsernamesInRoom(room));
+        await webhooksController.dispatchMessage(roomInfo, fullMessage);
+        return fullMessage;
+    };
+
+    app.get('/', (req, res) => {
+        res.send('Chat server is running!');
+    });
+
+    app.use('/api/auth', createAuthRouter({ store }));
+    app.use('/api/rooms', createRoomsRouter({ store, roomsController, messagesController, transcriptsController, webhooksController }));
+    app.use('/api/attachments', createAttachmentsRouter({ store }));
+    app.use('/api/search', createSearchRouter({ searchController }));
+    app.use('/api/webhooks', createWebhooksRouter({ webhooksController }));
+    app.use('/api/admin', createAdminRouter({ adminController }));
+    app.use(createMonitoringRouter({ store, metrics, isStopping: () => isStopping }));
+
+    // Turns errors thrown by the REST routes into JSON responses
+    app.use((err, req, res, next) => {
+        if (err instanceof ChatError) {
+            return res.status(err.status).json({ error: err.message, code: err.code });
+        }
+        console.error(`Error handling ${req.method} ${req.originalUrl}:`, err);
+        res.status(500).json({ error: 'Internal server error' });
+    });
+
+    // --- Socket.IO authentication ---
+    // Clients pass the token from /api/auth/login or /api/auth/register as `auth: { token }`.
+    // The verified identity is attached to the socket; handlers never trust a username from the payload.
+    io.use(async (socket, next) => {
+        const identity = verifyToken(socket.handshake.auth?.token);
+        if (!identity) {
+            return next(new Error('Authentication failed'));
+        }
+        let user;
+        try {
+            user = await store.getUser(identity.username);
+        } catch (err) {
+            return next(err);
+        }
+        if (!user) {
+            return next(new Error('Authentication failed'));
+        }
+        socket.data.user = identity;
+        try {
+            // Registered as connected here rather than in the 'connection' handler, which has to
+            // attach its event handlers without awaiting anything first (or early events are lost)
+            socket.data.wasOnline = (await presence.getOnlineUsernames()).includes(identity.username);
+            await presence.connect(socket.id, identity.username, user.status);
+        } catch (err) {
+            return next(err);
+        }
+        next();
+    });
+
+    // --- Socket.IO Connection Handling ---
+    io.on('connection', async (socket) => {
+        const { username } = socket.data.user;
+        console.log(`User connected: ${socket.id} (Username: ${username})`);
+
+        // Every socket of a user shares one channel, used for direct messages
+        socket.join(getUserChannel(username));
+
+        // Takes this socket out of a room. Only when none of the user's other sockets is still
+        // there does the room hear that they left.
+        const leaveRoom = async (room) => {
+            if (!await presence.isInRoom(username, room)) {
+                if (await presence.getChosenStatus(username) !== 'invisible') {
+                    io.to(room).emit('user_left_notification_in_room', { username, room });
+                    await transcriptsController.recordNotice(room, 'leave', username);
+                }
+                // Clean up typing status in that room
+                const typingUsers = await typing.stopTyping(room, username);
+                io.to(room).emit('user_typing_update_in_room', { room, users: typingUsers });
+            }
+            // Update online users list for that room
+            io.to(room).emit('online_users_update_in_room', { room, users: await presence.getUsernamesInRoom(room) });
+        };
+
+        // Re-sends the online users of the rooms the user is in (after their visibility changed)
+        const refreshUserRooms = async () => {
+            for (const room of await presence.getUserRooms(username)) {
+                io.to(room).emit('online_users_update_in_room', { room, users: await presence.getUsernamesInRoom(room) });
+            }
+        };
+
+        // Event to handle a user joining a specific room
+        // `lastMessageId` is sent when re-joining after a reconnect: the newest message the client
+        // already has, so only what it missed is sent ('missed_messages_in_room') instead of the latest page
+        socket.on('join_room', safeHandler(socket, 'join_room', async ({ room, lastMessageId }) => {
+            const roomInfo = await roomsController.getRoomOrThrow(room);
+            await moderation.checkCanJoin(roomInfo, username);
+
+            // If this socket was in another room, make it leave
+            const previousRoom = (await presence.getSession(socket.id))?.currentRoom;
+            const wasInRoom = await presence.isInRoom(username, room);
+            if (previousRoom && previousRoom !== room) {
+                socket.leave(previousRoom);
+                await presence.setCurrentRoom(socket.id, null);
+                console.log(`${username} (${socket.id}) left room: ${previousRoom}`);
+                await leaveRoom(previousRoom);
+            }
+
+            // Join the new room
+            socket.join(room);
+            await presence.setCurrentRoom(socket.id, room);
+            console.log(`${username} (${socket.id}) joined room: ${room}`);
+
+            // Our role there decides which moderation actions the client offers
+            socket.emit('room_role', { room, role: getRoomRole(roomInfo, username) });
+
+            // Send the list of DM conversations this user already has
+            socket.emit('private_conversations', await store.listConversationPartners(username));
+
+            // Send the latest page of messages for the new room to the joining client
+            // (older pages are fetched with 'load_older_messages')
+            if (lastMessageId) {
+                socket.emit('missed_messages_in_room', { room, ...await messagesController.getMissedMessages(room, lastMessageId) });
+            } else {
+                const { messages, hasMore } = await messagesController.getMessagePage(room);
+                socket.emit('initial_messages_in_room', { room, messages, hasMore });
+            }
+            // ...and who has read up to where, for the "seen by" receipts
+            socket.emit('read_receipts_in_room', { room, readers: await store.getReadPositions(room) });
+
+            // Update online users for the new room to everyone in that room
+            io.to(room).emit('online_users_update_in_room', {
+                room,
+                users: await presence.getUsernamesInRoom(room)
+            });
+
+            // Notify new room that user joined (broadcast to others in the room), unless they
+            // already were there on another tab/device or don't want to be seen
+            if (!wasInRoom && await presence.getChosenStatus(username) !== 'invisible') {
+                socket.to(room).emit('user_joined_notification_in_room', {
+                    username,
+                    room
+                });
+                await transcriptsController.recordNotice(room, 'join', username);
+            }
+        }));
+
+        // Stores a message from this user in a writable room and sends it out (send_message and /me),
+        // after the moderation and duplicate checks. See publishRoomMessage for the events it sends.
+        const postRoomMessage = async (roomInfo, { parentId, ...fields }, ack) => {
+            const room = roomInfo.id;
+            await moderation.checkCanPost(roomInfo, username);
+            await rateLimits.checkDuplicate(username, parentId ? `${room}/${parentId}` : room, fields.message);
+            await publishRoomMessage(username, roomInfo, { parentId, ...fields }, { socket, ack });
+        };
+
+        // Stores a direct message from this user, delivers it and returns it (private_message and /msg)
+        const sendPrivateMessage = async (to, message) => {
+            if (to === username || !await store.getUser(to)) {
+                throw new ChatError(404, `Unknown recipient: ${to}`);
+            }
+            checkMessageLength(message);
+            await rateLimits.checkDuplicate(username, `dm:${to}`, message);
+
+            const now = new Date(await state.now());
+            const timestamp = now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            const fullMessage = { username, to, message, timestamp, createdAt: now.toISOString(), id: randomUUID(), isPrivate: true };
+            const displayName = (await store.getUser(username))?.displayName;
+            if (displayName) {
+                fullMessage.displayName = displayName;
+            }
+
+            await store.addPrivateMessage(username, to, fullMessage);
+            console.log(`Private message from ${username} to ${to}: ${message}`);
+
+            // Deliver to every socket of the recipient and of the sender (so their other tabs stay in sync)
+            io.to([getUserChannel(to), getUserChannel(username)]).emit('private_message', fullMessage);
+            return fullMessage;
+        };
+
+        // Handle sending messages (room-specific)
+        // Clients that pass an ack callback get { ok: true, message } once the message is stored (delivered),
+        // and the message is broadcast to everyone else; clients without one receive it like everybody.
+        // `attachments` is an optional list of ids returned by POST /api/attachments.
+        // With `parentId` the message is a reply in that message's thread (see postRoomMessage), also shown
+        // in the room when `alsoInRoom` is set.
+        // A message starting with '/' runs a slash command instead (see controllers/commands.js). Its feedback
+        // goes to this socket only, as 'command_feedback' { room, command, message, action, parentId }, and
+        // the ack gets { ok: true, command }. Commands typed in a thread post into that thread.
+        socket.on('send_message', safeHandler(socket, 'send_message', async ({ message, room, attachments, parentId, alsoInRoom }, ack) => {
+            const thread = parentId ? { parentId, alsoInRoom } : {};
+            if (parseCommand(message)) {
+                const { name, feedback, action } = await commands.execute(message, {
+                    username,
+                    roomInfo: await roomsController.getRoomOrThrow(room),
+                    postMessage: async (fields) => postRoomMessage(await roomsController.getWritableRoomOrThrow(room), { ...fields, ...thread }),
+                    sendPrivateMessage
+                });
+                if (feedback || action) {
+                    socket.emit('command_feedback', { room, command: name, message: feedback, action, ...(parentId && { parentId }) });
+                }
+                ack?.({ ok: true, command: name });
+                return;
+            }
+            // '//text' posts '/text'
+            const text = message.startsWith('//') ? message.slice(1) : message;
+            await postRoomMessage(await roomsController.getWritableRoomOrThrow(room), { message: text, attachments, ...thread }, ack);
+        }));
+
+        // Mark a room as read up to a message. The room sees the new receipt, and the user's
+        // other tabs/devices get the room's refreshed unread count.
+        socket.on('mark_read', safeHandler(socket, 'mark_read', async ({ room, messageId }) => {
+            await roomsController.getRoomOrThrow(room);
+            const position = await messagesController.markRead(username, room, messageId);
+            if (!position) return;
+            io.to(room).emit('read_receipt_update', { room, username, ...position });
+            io.to(getUserChannel(username)).emit('unread_counts', {
+                [room]: await messagesController.getUnreadCount(username, room)
+            });
+            io.to(getUserChannel(username)).emit('mention_counts', {
+                [room]: await mentionsController.getMentionCount(username, room)
+            });
+        }));
+
+        // Mute/unmute mention alerts for a room. Replies with { ok: true, mutedRooms } and
+        // syncs the user's other tabs/devices through 'muted_rooms'.
+        socket.on('mute_room', safeHandler(socket, 'mute_room', async ({ room, muted = true }, ack) => {
+            const mutedRooms = await mentionsController.setRoomMuted(username, room, muted);
+            io.to(getUserChannel(username)).emit('muted_rooms', mutedRooms);
+            ack?.({ ok: true, mutedRooms });
+        }));
+
+        // --- Editing and deleting messages ---
+        // Both reply through the ack callback with { ok: true, message } and broadcast the new version to the room.
+        // Users muted in the room can't edit (or it would be a way around the mute), but can still delete.
+
+        socket.on('edit_message', safeHandler(socket, 'edit_message', async ({ room, messageId, message }, ack) => {
+            const roomInfo = await roomsController.getWritableRoomOrThrow(room);
+            await moderation.checkNotMuted(roomInfo, username);
+            const updatedMessage = await messagesController.editMessage(username, roomInfo, messageId, message);
+            console.log(`${username} edited message ${messageId} in room '${room}'`);
+            io.to(room).emit('message_updated', { room, message: updatedMessage });
+            ack?.({ ok: true, message: updatedMessage });
+        }));
+
+        socket.on('delete_message', safeHandler(socket, 'delete_message', async ({ room, messageId }, ack) => {
+            const roomInfo = await roomsController.getWritableRoomOrThrow(room);
+            const deletedMessage = await messagesController.deleteMessage(username, roomInfo, messageId);
+            console.log(`${username} deleted message ${messageId} in room '${room}'`);
+            io.to(room).emit('message_updated', { room, message: deletedMessage });
+            ack?.({ ok: true, message: deletedMessage });
+        }));
+
+        // --- Reactions ---
+        // Both reply through the ack callback with { ok: true, message } and broadcast the message's
+        // new reactions ({ 'emoji': ['username', ...] }) to the room. Muted users can't react.
+
+        socket.on('add_reaction', safeHandler(socket, 'add_reaction', async ({ room, messageId, emoji }, ack) => {
+            const roomInfo = await roomsController.getWritableRoomOrThrow(room);
+            await moderation.checkNotMuted(roomInfo, username);
+            const updatedMessage = await messagesController.addReaction(username, roomInfo, messageId, emoji);
+            io.to(room).emit('message_updated', { room, message: updatedMessage });
+            ack?.({ ok: true, message: updatedMessage });
+        }));
+
+        socket.on('remove_reaction', safeHandler(socket, 'remove_reaction', async ({ room, messageId, emoji }, ack) => {
+            const roomInfo = await roomsController.getWritableRoomOrThrow(room);
+            await moderation.checkNotMuted(roomInfo, username);
+            const updatedMessage = await messagesController.removeReaction(username, roomInfo, messageId, emoji);
+            io.to(room).emit('message_updated', { room, message: updatedMessage });
+            ack?.({ ok: true, message: updatedMessage });
+        }));
+
+        // Catch up on rooms the client has cached but isn't in, after a reconnect.
+        // `rooms` is { 'roomId': lastMessageId }; replies with { ok: true, rooms: { 'roomId': missed } }
+        // (see messagesController.getMissedMessages). Unknown rooms are left out.
+        socket.on('catch_up', safeHandler(socket, 'catch_up', async ({ rooms }, ack) => {
+            const missedByRoom = {};
+            for (const [room, lastMessageId] of Object.entries(rooms || {})) {
+                if (await store.getRoom(room)) {
+                    missedByRoom[room] = await messagesController.getMissedMessages(room, lastMessageId);
+                }
+            }
+            ack?.({ ok: true, rooms: missedByRoom });
+        }));
+
+        // Send every reply in a message's thread.
+        // Replies through the ack callback with { ok: true, room, parent, replies } (see messagesController.getThread).
+        socket.on('load_thread', safeHandler(socket, 'load_thread', async ({ room, parentId }, ack) => {
+            await roomsController.getRoomOrThrow(room);
+            ack?.({ ok: true, room, ...await messagesController.getThread(room, parentId) });
+        }));
+
+        // Send a page of older room messages. `before` is the createdAt of the oldest message the client has.
+        // Replies through the ack callback with { ok: true, room, messages, hasMore }.
+        socket.on('load_older_messages', safeHandler(socket, 'load_older_messages', async ({ room, before, limit }, ack) => {
+            await roomsController.getRoomOrThrow(room);
+            const page = await messagesController.getMessagePage(room, { before, limit });
+            if (ack) {
+                ack({ ok: true, room, ...page });
+            } else {
+                socket.emit('older_messages_in_room', { room, ...page });
+            }
+        }));
+
+        // Handle direct messages between two users. The ack gets { ok: true, message } once it is stored;
+        // the message itself comes to every tab of both users as 'private_message'.
+        socket.on('private_message', safeHandler(socket, 'private_message', async ({ to, message }, ack) => {
+            const fullMessage = await sendPrivateMessage(to, message);
+            ack?.({ ok: true, message: fullMessage });
+        }));
+
+        // Send the DM history between the requesting user and another user
+        socket.on('load_private_messages', safeHandler(socket, 'load_private_messages', async ({ withUser }) => {
+            socket.emit('initial_private_messages', {
+                withUser,
+                messages: await store.getPrivateMessages(username, withUser)
+            });
+        }));
+
+        // --- Room management (see controllers/rooms.js) ---
+        // Each replies through the ack callback with { ok: true, room } or { ok: false, error }
+
+        socket.on('create_room', safeHandler(socket, 'create_room', async ({ name, description }, ack) => {
+            const room = await roomsController.createRoom(username, { name, description });
+            ack?.({ ok: true, room });
+        }));
+
+        socket.on('rename_room', safeHandler(socket, 'rename_room', async ({ room, name, description }, ack) => {
+            const updatedRoom = await roomsController.renameRoom(username, room, { name, description });
+            ack?.({ ok: true, room: updatedRoom });
+        }));
+
+        socket.on('archive_room', safeHandler(socket, 'archive_room', async ({ room, archived = true }, ack) => {
+            const updatedRoom = await roomsController.archiveRoom(username, room, archived);
+            ack?.({ ok: true, room: updatedRoom });
+        }));
+
+        socket.on('delete_room', safeHandler(socket, 'delete_room', async ({ room }, ack) => {
+            await roomsController.deleteRoom(username, room);
+            ack?.({ ok: true });
+        }));
+
+        // --- Moderation (see controllers/moderation.js) ---
+        // Each replies through the ack callback with { ok: true } and tells the room with a 'moderation_notice_in_room'
+
+        socket.on('kick_user', safeHandler(socket, 'kick_user', async ({ room, username: target, reason }, ack) => {
+            const notice = await moderation.kick(username, await roomsController.getRoomOrThrow(room), target, reason);
+            await removeFromRoom(target, room, notice);
+            announceModeration(room, notice);
+            ack?.({ ok: true });
+        }));
+
+        socket.on('ban_user', safeHandler(socket, 'ban_user', async ({ room, username: target, durationSeconds, reason }, ack) => {
+            const notice = await moderation.ban(username, await roomsController.getRoomOrThrow(room), target, { durationSeconds, reason });
+            await removeFromRoom(target, room, notice);
+            announceModeration(room, notice);
+            ack?.({ ok: true });
+        }));
+
+        socket.on('mute_user', safeHandler(socket, 'mute_user', async ({ room, username: target, durationSeconds, reason }, ack) => {
+            const notice = await moderation.mute(username, await roomsController.getRoomOrThrow(room), target, { durationSeconds, reason });
+            announceModeration(room, notice);
+            ack?.({ ok: true });
+        }));
+
+        socket.on('unban_user', safeHandler(socket, 'unban_user', async ({ room, username: target }, ack) => {
+            announceModeration(room, await moderation.unban(username, await roomsController.getRoomOrThrow(room), target));
+            ack?.({ ok: true });
+        }));
+
+        socket.on('unmute_user', safeHandler(socket, 'unmute_user', async ({ room, username: target }, ack) => {
+            announceModeration(room, await moderation.unmute(username, await roomsController.getRoomOrThrow(room), target));
+            ack?.({ ok: true });
+        }));
+
+        socket.on('set_slow_mode', safeHandler(socket, 'set_slow_mode', async ({ room, seconds }, ack) => {
+            const { notice } = await moderation.setSlowMode(username, await roomsController.getRoomOrThrow(room), seconds);
+            announceModeration(room, notice);
+            ack?.({ ok: true });
+        }));
+
+        // Owners appoint moderators; the user's sockets learn their new 'room_role'
+        socket.on('set_room_role', safeHandler(socket, 'set_room_role', async ({ room, username: target, role }, ack) => {
+            const { room: updatedRoom, notice } = await moderation.setRole(username, await roomsController.getRoomOrThrow(room), target, role);
+            io.to(getUserChannel(target)).emit('room_role', { room, role: getRoomRole(updatedRoom, target) });
+            announceModeration(room, notice);
+            ack?.({ ok: true });
+        }));
+
+        // Replies with { ok: true, restrictions: { ban: { 'username': { by, reason, createdAt, until } }, mute: { ... } } }
+        socket.on('get_room_restrictions', safeHandler(socket, 'get_room_restrictions', async ({ room }, ack) => {
+            ack?.({ ok: true, restrictions: await moderation.getRestrictions(username, await roomsController.getRoomOrThrow(room)) });
+        }));
+
+        // --- Presence ---
+        // The status the user picked (see PRESENCE_STATUSES). Replies with { ok: true, status };
+        // the user's other tabs/devices get 'own_status', everyone gets the new presence.
+        socket.on('set_status', safeHandler(socket, 'set_status', async ({ status }, ack) => {
+            await presence.setStatus(username, status);
+            io.to(getUserChannel(username)).emit('own_status', status);
+            await refreshUserRooms();
+            await broadcastPresence(username);
+            ack?.({ ok: true, status });
+        }));
+
+        // The client reports when this tab has gone idle (no input for a while) and when it is used again.
+        // A user shows as away once all their tabs/devices are idle.
+        socket.on('set_idle', safeHandler(socket, 'set_idle', async ({ idle }) => {
+            const statusBefore = (await presence.getPresence(username)).status;
+            await presence.setIdle(socket.id, idle);
+            if ((await presence.getPresence(username)).status !== statusBefore) {
+                await broadcastPresence(username);
+            }
+        }));
+
+        // Typing Indicators (room-specific)
+        // Only count for the room this socket is in; anything else is a stale timer and is ignored.
+        // With `parentId` the user is typing a reply in that thread: the room gets
+        // 'user_typing_update_in_thread' { room, parentId, users } instead.
+        const emitTypingUpdate = (room, parentId, users) => {
+            // Broadcast to everyone in that room EXCEPT the user who is typing
+            if (parentId) {
+                socket.to(room).emit('user_typing_update_in_thread', { room, parentId, users });
+            } else {
+                socket.to(room).emit('user_typing_update_in_room', { room, users });
+            }
+        };
+
+        socket.on('typing', safeHandler(socket, 'typing', async ({ room, parentId }) => {
+            if (!socket.rooms.has(room)) return;
+            emitTypingUpdate(room, parentId, await typing.startTyping(room, username, parentId));
+        }));
+
+        socket.on('stop_typing', safeHandler(socket, 'stop_typing', async ({ room, parentId }) => {
+            if (!socket.rooms.has(room)) return;
+            emitTypingUpdate(room, parentId, await typing.stopTyping(room, username, parentId));
+        }));
+
+        // Handle disconnection
+        // The user only goes offline (and gets a last-seen time) when their last socket disconnects
+        socket.on('disconnect', safeHandler(socket, 'disconnect', async () => {
+            console.log(`User disconnected: ${socket.id} (Username: ${username})`);
+            await rateLimits.forgetConnection(socket.id);
+            const session = await presence.disconnect(socket.id);
+            if (!session) return;
+            if (session.currentRoom) {
+                await leaveRoom(session.currentRoom);
+            }
+            if (session.wentOffline) {
+                await broadcastPresence(username);
+            }
+        }));
+
+        // Send available rooms and unread counts to the newly connected client
+        // (after the handlers are registered, so no event is missed)
+        try {
+            if (!socket.data.wasOnline) {
+                await broadcastPresence(username);
+            }
+            socket.emit('available_rooms', await store.listRooms());
+            socket.emit('unread_counts', await messagesController.getUnreadCounts(username));
+            socket.emit('mention_counts', await mentionsController.getMentionCounts(username));
+            socket.emit('muted_rooms', await mentionsController.getMutedRooms(username));
+            socket.emit('own_status', await presence.getChosenStatus(username));
+            socket.emit('available_commands', commands.list());
+            // Presence of everyone online, and of the people we have DMs with (for their last-seen time)
+            const presenceUsernames = new Set([
+                ...await presence.getOnlineUsernames(),
+                ...await store.listConversationPartners(username)
+            ]);
+            const users = [];
+            for (const presenceUsername of presenceUsernames) {
+                users.push(await presence.getPresence(presenceUsername));
+            }
+            socket.emit('presence_snapshot', users);
+        } catch (err) {
+            console.error('Error sending initial room data:', err);
+        }
+    });
+
+    // Cluster workers don't listen: the primary accepts connections and hands them over (see cluster.js)
+    const start = () => new Promise((resolve, reject) => {
+        if (isClusterWorker) {
+            resolve(null);
+            return;
+        }
+        httpServer.once('error', reject);
+        httpServer.listen(port, host, () => {
+            httpServer.off('error', reject);
+            const address = httpServer.address();
+            console.log(`Server listening on port ${address.port}`);
+            resolve({ host: address.address, port: address.port });
+        });
+    });
+
+    // From here on /readyz answers 503. Outgoing webhook deliveries still pending are dropped. Closing io
+    // disconnects every socket and closes httpServer; the event handlers still running (the 'disconnect'
+    // ones among them, which record leave notices) are waited for. The last metrics are flushed to the
+    // shared state. The store is only closed when this process owns it.
+    let isStopping = false;
+    const stop = async () => {
+        isStopping = true;
+        webhooksController.stop();
+        await new Promise(resolve => io.close(() => resolve()));
+        while (runningHandlers.size > 0) {
+            await Promise.allSettled(runningHandlers);
+        }
+        await metrics.stop();
+        if (!isClusterWorker) {
+            await store.close?.();
+        }
+    };
+
+    return { app, io, httpServer, store, commands, start, stop };
+};
@@ -0,0 +1,76 @@
+// real-time-chat-app/server/cluster.js
+// Runs the chat server on several CPU cores: this primary process owns the shared services
+// (store, search index, shared state; see shared/services.js) and accepts every connection,
+// and CHAT_WORKERS worker processes (default: one per core) run server.js.
+// Socket.IO requests are pinned to the worker holding their session (sticky sessions), and
+// broadcasts reach the sockets of every worker through the cluster adapter.
+import 'dotenv/config';
+import cluster from 'cluster';
+import { createServer } from 'http';
+import { randomBytes } from 'crypto';
+import { availableParallelism } from 'os';
+import { fileURLToPath } from 'url';
+import { setupMaster } from '@socket.io/sticky';
+import { setupPrimary } from '@socket.io/cluster-adapter';
+import { createLocalServices } from './shared/services.js';
+import { serveOverIpc } from './shared/ipc.js';
+import { createPresenceController } from './controllers/presence.js';
+
+const PORT = process.env.PORT || 5000;
+const WORKER_COUNT = Number(process.env.CHAT_WORKERS) || availableParallelism();
+
+// Every worker must sign and verify tokens with the same secret (workers inherit our environment)
+if (!process.env.AUTH_SECRET) {
+    console.warn('AUTH_SECRET is not set: using a random secret, sessions will not survive a restart.');
+    process.env.AUTH_SECRET = randomBytes(32).toString('hex');
+}
+
+const services = await createLocalServices();
+const presence = createPresenceController(services);
+
+const httpServer = createServer();
+setupMaster(httpServer, { loadBalancingMethod: 'least-connection' });
+setupPrimary();
+// Structured-clone IPC, so service calls can pass undefined, Dates, ...
+cluster.setupPrimary({ exec: fileURLToPath(new URL('./server.js', import.meta.url)), serialization: 'advanced' });
+
+const startWorker = () => {
+    const worker = cluster.fork();
+    serveOverIpc(worker, services);
+};
+
+let isShuttingDown = false;
+
+cluster.on('exit', async (worker, code, signal) => {
+    if (isShuttingDown) return;
+    console.log(`Worker ${worker.process.pid} exited (${signal || code}), starting a new one`);
+    // Its sockets are gone: take them out of the shared presence
+    await presence.removeInstanceSessions(worker.id);
+    startWorker();
+});
+
+for (let i = 0; i < WORKER_COUNT; i++) {
+    startWorker();
+}
+
+httpServer.listen(PORT, '127.0.0.1', () => {
+    console.log(`Cluster primary listening on port ${PORT} with ${WORKER_COUNT} workers`);
+});
+
+// Graceful shutdown: stop accepting connections, let every worker shut down (see server.js),
+// then write the pending changes to the data file
+const shutDown = async (signal) => {
+    console.log(`${signal} received, shutting down the cluster`);
+    isShuttingDown = true;
+    httpServer.close();
+    const workers = Object.values(cluster.workers);
+    await Promise.all(workers.map(worker => new Promise((resolve) => {
+        if (worker.isDead()) return resolve(); // Ctrl+C reaches the workers too
+        worker.once('exit', resolve);
+        worker.process.kill('SIGTERM');
+    })));
+    await services.store.close?.();
+    process.exit(0);
+};
+process.once('SIGTERM', shutDown);
+process.once('SIGINT', shutDown);
@@ -0,0 +1,50 @@
+// real-time-chat-app/server/controllers/admin.js
+// A live view of the server for server admins (CHAT_ADMINS): every room with who is in it, and every
+// connected user with their sockets. Unlike what users see, invisible users are included.
+import { ChatError } from '../utils/errors.js';
+import { isServerAdmin } from './rooms.js';
+
+export const createAdminController = ({ store, presence }) => {
+    const checkServerAdmin = (username) => {
+        if (!isServerAdmin(username)) {
+            throw new ChatError(403, 'Only server admins can see this.');
+        }
+    };
+
+    // Every room (archived ones too) with its connected `users` and their `sockets` count
+    const listRooms = async (username) => {
+        checkServerAdmin(username);
+        const sessions = await presence.listSessions();
+        return (await store.listRooms()).map(room => {
+            const roomSessions = sessions.filter(session => session.currentRoom === room.id);
+            return {
+                ...room,
+                users: [...new Set(roomSessions.map(session => session.username))],
+                sockets: roomSessions.length
+            };
+        });
+    };
+
+    // Every connected user: { username, status, rooms, sockets: [{ id, room, idle, instanceId }] }.
+    // `status` is the one they picked; `instanceId` is the cluster worker holding the socket (0 when alone).
+    const listConnectedUsers = async (username) => {
+        checkServerAdmin(username);
+        const sessionsByUser = new Map();
+        (await presence.listSessions()).forEach(session => {
+            if (!sessionsByUser.has(session.username)) sessionsByUser.set(session.username, []);
+            sessionsByUser.get(session.username).push(session);
+        });
+        const users = [];
+        for (const [connectedUsername, sessions] of sessionsByUser) {
+            users.push({
+                username: connectedUsername,
+                status: await presence.getChosenStatus(connectedUsername),
+                rooms: [...new Set(sessions.map(session => session.currentRoom).filter(Boolean))],
+                sockets: sessions.map(({ socketId, currentRoom, idle, instanceId }) => ({ id: socketId, room: currentRoom, idle, instanceId }))
+            });
+        }
+        return users.sort((a, b) => a.username.localeCompare(b.username));
+    };
+
+    return { listRooms, listConnectedUsers };
+};
@@ -0,0 +1,134 @@
+// real-time-chat-app/server/controllers/commands.js
+// The built-in slash commands (see utils/commands.js for the registry).
+// Each runs with the context send_message builds: { username, roomInfo, postMessage(fields),
+// sendPrivateMessage(to, text) }, where roomInfo is the room the command was typed in.
+import { ChatError } from '../utils/errors.js';
+import { formatUsage } from '../utils/commands.js';
+import { sanitizeText } from '../utils/validation.js';
+import { DEFAULT_ROOM } from './rooms.js';
+
+export const MAX_DISPLAY_NAME_LENGTH = 30;
+
+const STATUS_LABELS = { away: 'away', dnd: 'do not disturb' };
+
+export const registerBuiltInCommands = (registry, { store, presence, roomsController, moderation }) => {
+    // A room by id or display name, with or without '#': '/join #Incident 42' finds 'incident-42'
+    const findRoom = async (nameOrId) => {
+        const wanted = nameOrId.replace(/^#/, '').toLowerCase();
+        const room = (await store.listRooms()).find(candidate => (
+            candidate.id === wanted || candidate.name.toLowerCase() === wanted
+        ));
+        if (!room) {
+            throw new ChatError(404, `Unknown room: ${nameOrId}`);
+        }
+        return room;
+    };
+
+    registry.register({
+        name: 'me',
+        description: 'Post an action, e.g. "/me waves" shows "* alice waves"',
+        args: [{ name: 'action', type: 'text' }],
+        run: async ({ postMessage }, { action }) => {
+            await postMessage({ message: action, isAction: true });
+        }
+    });
+
+    registry.register({
+        name: 'nick',
+        description: 'Set the name shown on your messages (leave empty to use your username)',
+        args: [{ name: 'name', type: 'text', optional: true }],
+        run: async ({ username }, { name }) => {
+            const displayName = name ? sanitizeText(name) : '';
+            if (displayName.length > MAX_DISPLAY_NAME_LENGTH) {
+                throw new ChatError(400, `Names can be at most ${MAX_DISPLAY_NAME_LENGTH} characters.`);
+            }
+            // Names are shown with the username, but another user's username would still read as them
+            if (displayName && displayName !== username && await store.getUser(displayName)) {
+                throw new ChatError(409, "That name is another user's username.");
+            }
+            await store.saveUser({ username, displayName: displayName && displayName !== username ? displayName : null });
+            return displayName ? `Your messages now show as "${displayName}".` : 'Your messages now show your username.';
+        }
+    });
+
+    registry.register({
+        name: 'topic',
+        description: "Show the room's topic, or set it (owners and moderators)",
+        args: [{ name: 'topic', type: 'text', optional: true }],
+        run: async ({ username, roomInfo }, { topic }) => {
+            if (!topic) {
+                return roomInfo.description ? `Topic: ${roomInfo.description}` : 'This room has no topic.';
+            }
+            const room = await roomsController.setTopic(username, roomInfo.id, topic);
+            return `Topic set to: ${room.description}`;
+        }
+    });
+
+    registry.register({
+        name: 'join',
+        description: 'Switch to another room',
+        args: [{ name: 'room', type: 'room' }],
+        run: async ({ username }, args) => {
+            const room = await findRoom(args.room);
+            await moderation.checkCanJoin(room, username);
+            return { feedback: `Joining #${room.name}.`, action: { type: 'join_room', room: room.id } };
+        }
+    });
+
+    registry.register({
+        name: 'leave',
+        description: `Leave this room and go back to #${DEFAULT_ROOM}`,
+        run: async ({ roomInfo }) => {
+            if (roomInfo.id === DEFAULT_ROOM) {
+                throw new ChatError(400, `You are in #${DEFAULT_ROOM}, there is nowhere to go back to.`);
+            }
+            return { feedback: `You left #${roomInfo.name}.`, action: { type: 'join_room', room: DEFAULT_ROOM } };
+        }
+    });
+
+    registry.register({
+        name: 'msg',
+        description: 'Send a direct message',
+        args: [{ name: 'user', type: 'user' }, { name: 'message', type: 'text' }],
+        run: async ({ sendPrivateMessage }, { user, message }) => {
+            await sendPrivateMessage(user, message);
+            return { feedback: `Message sent to ${user}.`, action: { type: 'open_private_chat', username: user } };
+        }
+    });
+
+    registry.register({
+        name: 'who',
+        description: 'List who is in this room, or in another one',
+        args: [{ name: 'room', type: 'room', optional: true }],
+        run: async ({ roomInfo }, args) => {
+            const room = args.room ? await findRoom(args.room) : roomInfo;
+            const usernames = await presence.getUsernamesInRoom(room.id);
+            if (usernames.length === 0) {
+                return `Nobody is in #${room.name}.`;
+            }
+            const entries = [];
+            for (const name of usernames.sort()) {
+                const { status } = await presence.getPresence(name);
+                entries.push(STATUS_LABELS[status] ? `${name} (${STATUS_LABELS[status]})` : name);
+            }
+            return `In #${room.name} (${usernames.length}): ${entries.join(', ')}`;
+        }
+    });
+
+    registry.register({
+        name: 'help',
+        description: 'List the commands, or explain one',
+        args: [{ name: 'command', type: 'command', optional: true }],
+        run: async (context, { command }) => {
+            if (command) {
+                const found = registry.get(command.replace(/^\//, '').toLowerCase());
+                if (!found) {
+                    throw new ChatError(404, `Unknown command: ${command}`);
+                }
+                return `${formatUsage(found)}: ${found.description}`;
+            }
+            return ['Commands (start a message with // to post a literal slash):',
+                ...registry.list().map(({ usage, description }) => `${usage}: ${description}`)].join('\n');
+        }
+    });
+};
@@ -0,0 +1,71 @@
+// real-time-chat-app/server/controllers/mentions.js
+// @mentions: records who a room message mentions, notifies them, and keeps per-room mute settings.
+import { ChatError } from '../utils/errors.js';
+import { extractMentions } from '../utils/mentions.js';
+
+export const createMentionsController = ({ store, io, getUserChannel }) => {
+    // Rooms whose mentions don't trigger alerts for this user
+    const getMutedRooms = async (username) => (await store.getUser(username))?.mutedRooms || [];
+
+    const setRoomMuted = async (username, room, muted) => {
+        if (!await store.getRoom(room)) {
+            throw new ChatError(404, 'Unknown room.');
+        }
+        const mutedRooms = (await getMutedRooms(username)).filter(mutedRoom => mutedRoom !== room);
+        if (muted) {
+            mutedRooms.push(room);
+        }
+        await store.saveUser({ username, mutedRooms });
+        return mutedRooms;
+    };
+
+    // Mentions newer than the user's read position in the room
+    const getMentionCount = async (username, room) => {
+        const position = (await store.getReadPositions(room))[username];
+        return (await store.getMentions(username, { room, after: position?.createdAt })).length;
+    };
+
+    // Returns { 'roomId': count } for every room
+    const getMentionCounts = async (username) => {
+        const counts = {};
+        for (const room of await store.listRooms()) {
+            counts[room.id] = await getMentionCount(username, room.id);
+        }
+        return counts;
+    };
+
+    // Records the mentions in a new room message and notifies each mentioned user's sockets:
+    // 'mention_counts' always, and a 'mention' event (for desktop alerts) unless they muted the room.
+    // @room mentions everyone who has read the room before, plus `onlineUsernames` (users in it right now).
+    const notifyMentions = async (message, onlineUsernames = []) => {
+        const { usernames, room: mentionsRoom } = extractMentions(message.message);
+        const targets = new Map(); // username -> 'user' | 'room'
+        if (mentionsRoom) {
+            const readers = Object.keys(await store.getReadPositions(message.room));
+            [...readers, ...onlineUsernames].forEach(username => targets.set(username, 'room'));
+        }
+        for (const username of usernames) {
+            if (await store.getUser(username)) {
+                targets.set(username, 'user');
+            }
+        }
+        targets.delete(message.username);
+
+        for (const [username, type] of targets) {
+            await store.addMention(username, {
+                messageId: message.id,
+                room: message.room,
+                from: message.username,
+                type,
+                createdAt: message.createdAt
+            });
+            io.to(getUserChannel(username)).emit('mention_counts', { [message.room]: await getMentionCount(username, message.room) });
+            if (!(await getMutedRooms(username)).includes(message.room)) {
+                io.to(getUserChannel(username)).emit('mention', { room: message.room, type, message });
+            }
+        }
+        return [...targets.keys()];
+    };
+
+    return { getMutedRooms, setRoomMuted, getMentionCount, getMentionCounts, notifyMentions };
+};
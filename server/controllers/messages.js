@@ -0,0 +1,264 @@
+// real-time-chat-app/server/controllers/messages.js
+// Posting, changing and reading room messages, and tracking what each user has read.
+// Used by both the socket events and the REST routes.
+import { randomUUID } from 'crypto';
+import { ChatError } from '../utils/errors.js';
+import { isRoomModerator } from './rooms.js';
+import { toAttachmentInfo } from '../utils/attachments.js';
+
+export const MESSAGE_PAGE_SIZE = 50;
+export const MAX_MESSAGE_PAGE_SIZE = 100;
+// More missed messages than this and a reconnecting client just reloads the latest page
+const MAX_MISSED_MESSAGES = 500;
+export const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+export const MAX_EMOJI_LENGTH = 16; // Enough for multi-codepoint emoji (skin tones, ZWJ sequences)
+// Longest message text accepted (room messages, edits and DMs)
+export const MAX_MESSAGE_LENGTH = Number(process.env.CHAT_MAX_MESSAGE_LENGTH) || 4000;
+
+// Rejects message text over MAX_MESSAGE_LENGTH (code 'message_too_long')
+export const checkMessageLength = (text) => {
+    if (typeof text === 'string' && text.length > MAX_MESSAGE_LENGTH) {
+        throw new ChatError(400, `Messages can be at most ${MAX_MESSAGE_LENGTH} characters.`, { code: 'message_too_long' });
+    }
+};
+
+// `searchIndex` (utils/searchIndex.js) is kept in sync with every message change. `state` (the shared
+// state) hands out the createdAt values.
+export const createMessagesController = ({ store, searchIndex, state }) => {
+    // Returns { messages, hasMore } with the newest `limit` messages older than `before`
+    // (an ISO createdAt; omit it for the latest page). Pass the oldest message's createdAt
+    // as the next `before` to keep paging back.
+    const getMessagePage = async (room, { before, limit = MESSAGE_PAGE_SIZE } = {}) => {
+        const pageSize = Math.min(Math.max(Number(limit) || MESSAGE_PAGE_SIZE, 1), MAX_MESSAGE_PAGE_SIZE);
+        // Fetch one extra message to know whether an older page exists
+        const messages = await store.getMessages(room, { before, limit: pageSize + 1, timeline: true });
+        const hasMore = messages.length > pageSize;
+        return { messages: hasMore ? messages.slice(1) : messages, hasMore };
+    };
+
+    // What a reconnecting client missed in a room since the last message it has (`lastMessageId`):
+    //   { reset: false, messages, updated }: messages posted after it, plus older ones edited, deleted or
+    //     replied to since it was posted (`updated`; the client replaces those by id). Reaction changes are
+    //     not replayed, nor are thread replies (clients load those when opening a thread).
+    //   { reset: true, messages, hasMore }: that message is gone or too much was missed; the client
+    //     replaces its history with this latest page, as on a first join.
+    const getMissedMessages = async (room, lastMessageId) => {
+        const lastMessage = typeof lastMessageId === 'string' ? await store.getMessage(room, lastMessageId) : null;
+        const missed = lastMessage ? await store.getMessages(room, { after: lastMessage.createdAt, timeline: true }) : null;
+        if (!missed || missed.length > MAX_MISSED_MESSAGES) {
+            return { reset: true, ...await getMessagePage(room) };
+        }
+        const updated = (await store.getMessages(room, { before: lastMessage.createdAt, timeline: true }))
+            .concat(lastMessage)
+            .filter(message => [message.editedAt, message.deletedAt, message.lastReplyAt]
+                .some(changedAt => changedAt && changedAt > lastMessage.createdAt));
+        return { reset: false, messages: missed, updated };
+    };
+
+    // Turns the attachment ids sent with a message into their public info. Users can only
+    // attach files they uploaded themselves.
+    const resolveAttachments = async (username, attachmentIds = []) => {
+        if (!Array.isArray(attachmentIds) || attachmentIds.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+            throw new ChatError(400, `A message can have at most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments.`);
+        }
+        const attachments = [];
+        for (const attachmentId of attachmentIds) {
+            const attachment = typeof attachmentId === 'string' ? await store.getAttachment(attachmentId) : null;
+            if (!attachment || attachment.uploadedBy !== username) {
+                throw new ChatError(400, 'Unknown attachment.');
+            }
+            attachments.push(toAttachmentInfo(attachment));
+        }
+        return attachments;
+    };
+
+    // Stores a new message from a user in a writable room and returns it.
+    // `attachments` is an optional list of ids returned by POST /api/attachments; `isAction` marks a /me message.
+    // The author's display name (/nick) is copied onto the message. Use postReply for thread replies.
+    // `bot` ({ webhookId, displayName }) marks a message posted through an incoming webhook (see
+    // controllers/webhooks.js): `username` is then its botUsername() and the display name is the bot's own.
+    const postMessage = async (username, roomInfo, { message, attachments, isAction = false, thread, bot }) => {
+        checkMessageLength(message);
+        const attachmentInfos = await resolveAttachments(username, attachments);
+        if (!message && attachmentInfos.length === 0) {
+            throw new ChatError(400, 'A message needs text or an attachment.');
+        }
+        const now = new Date(await state.now());
+        const fullMessage = {
+            username,
+            message: message || '',
+            room: roomInfo.id,
+            timestamp: now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+            createdAt: now.toISOString(),
+            id: randomUUID()
+        };
+        if (attachmentInfos.length > 0) {
+            fullMessage.attachments = attachmentInfos;
+        }
+        if (isAction) {
+            fullMessage.isAction = true;
+        }
+        if (thread) {
+            fullMessage.parentId = thread.parentId;
+            fullMessage.alsoInRoom = thread.alsoInRoom;
+        }
+        if (bot) {
+            fullMessage.isBot = true;
+            fullMessage.webhookId = bot.webhookId;
+        }
+        const displayName = bot ? bot.displayName : (await store.getUser(username))?.displayName;
+        if (displayName) {
+            fullMessage.displayName = displayName;
+        }
+
+        await store.addMessage(roomInfo.id, fullMessage);
+        await searchIndex.add(fullMessage);
+        console.log(`Message from ${username} in room '${roomInfo.id}': ${fullMessage.message}`);
+        return fullMessage;
+    };
+
+    // Posts a reply in the thread of a top-level message (`parentId`). With `alsoInRoom` the reply
+    // also shows in the room's timeline. Takes the same fields as postMessage and returns
+    // { reply, parent }, the parent carrying its updated `replyCount` and `lastReplyAt`.
+    const postReply = async (username, roomInfo, parentId, { alsoInRoom = false, ...fields }) => {
+        const parent = await getMessageOrThrow(roomInfo.id, parentId);
+        if (parent.parentId) {
+            throw new ChatError(400, 'Replies can only be made to messages in the room, not to other replies.');
+        }
+        const reply = await postMessage(username, roomInfo, { ...fields, thread: { parentId, alsoInRoom } });
+        const updatedParent = await store.incrementReplyCount(roomInfo.id, parentId, reply.createdAt);
+        return { reply, parent: updatedParent };
+    };
+
+    // Returns { parent, replies } with every reply in a thread, oldest first. The parent may be a
+    // tombstone: deleting a message keeps its thread.
+    const getThread = async (room, parentId) => {
+        const parent = await store.getMessage(room, parentId);
+        if (!parent || parent.parentId) {
+            throw new ChatError(404, 'Unknown thread.');
+        }
+        return { parent, replies: await store.getMessages(room, { parentId }) };
+    };
+
+    // Moves a user's read position in a room forward to the given message.
+    // Returns the new position { messageId, createdAt }, or null if it was already at or past it.
+    const markRead = async (username, room, messageId) => {
+        const message = await store.getMessage(room, messageId);
+        if (!message) {
+            throw new ChatError(404, 'Unknown message.');
+        }
+        const current = (await store.getReadPositions(room))[username];
+        if (current && current.createdAt >= message.createdAt) {
+            return null;
+        }
+        const position = { messageId: message.id, createdAt: message.createdAt };
+        await store.setReadPosition(room, username, position);
+        return position;
+    };
+
+    // Counts messages from others after the user's read position. A room the user never opened
+    // counts from when they registered, so new accounts don't start with the whole backlog unread.
+    const getUnreadCount = async (username, room) => {
+        const position = (await store.getReadPositions(room))[username];
+        const user = await store.getUser(username);
+        const after = position ? position.createdAt : user?.createdAt;
+        const unread = await store.getMessages(room, { after, timeline: true });
+        return unread.filter(message => message.username !== username).length;
+    };
+
+    // Returns { 'roomId': count } for every room
+    const getUnreadCounts = async (username) => {
+        const counts = {};
+        for (const room of await store.listRooms()) {
+            counts[room.id] = await getUnreadCount(username, room.id);
+        }
+        return counts;
+    };
+
+    const getMessageOrThrow = async (room, messageId) => {
+        const message = await store.getMessage(room, messageId);
+        if (!message) {
+            throw new ChatError(404, 'Unknown message.');
+        }
+        if (message.deleted) {
+            throw new ChatError(410, 'This message was deleted.');
+        }
+        return message;
+    };
+
+    // Bot messages have no author among the users, even one with the webhook's name
+    const isAuthor = (message, username) => message.username === username && !message.isBot;
+
+    // Only the author can edit. The previous text is kept in `edits` ([{ message, editedAt }], oldest first).
+    const editMessage = async (username, roomInfo, messageId, text) => {
+        const message = await getMessageOrThrow(roomInfo.id, messageId);
+        if (!isAuthor(message, username)) {
+            throw new ChatError(403, 'You can only edit your own messages.');
+        }
+        if (typeof text !== 'string' || !text.trim()) {
+            throw new ChatError(400, 'A message cannot be empty; delete it instead.');
+        }
+        checkMessageLength(text);
+        const editedAt = new Date().toISOString();
+        const updatedMessage = await store.updateMessage(roomInfo.id, messageId, {
+            message: text.trim(),
+            editedAt,
+            edits: [...(message.edits || []), { message: message.message, editedAt }]
+        });
+        await searchIndex.add(updatedMessage);
+        return updatedMessage;
+    };
+
+    // The author or a room moderator can delete. The message stays as a tombstone (so replies,
+    // receipts and pagination cursors still line up) but its text, edit history, reactions and
+    // attachments are dropped.
+    const deleteMessage = async (username, roomInfo, messageId) => {
+        const message = await getMessageOrThrow(roomInfo.id, messageId);
+        if (!isAuthor(message, username) && !isRoomModerator(roomInfo, username)) {
+            throw new ChatError(403, 'You can only delete your own messages.');
+        }
+        await searchIndex.remove(messageId);
+        return store.updateMessage(roomInfo.id, messageId, {
+            message: '',
+            edits: [],
+            reactions: {},
+            attachments: [],
+            deleted: true,
+            deletedBy: username,
+            deletedAt: new Date().toISOString()
+        });
+    };
+
+    const validateEmoji = (emoji) => {
+        if (typeof emoji !== 'string' || !emoji.trim() || emoji.length > MAX_EMOJI_LENGTH || /\s/.test(emoji)) {
+            throw new ChatError(400, 'Invalid reaction.');
+        }
+        return emoji;
+    };
+
+    // Anyone who can see a message can react to it, once per emoji
+    const addReaction = async (username, roomInfo, messageId, emoji) => {
+        await getMessageOrThrow(roomInfo.id, messageId);
+        return store.addReaction(roomInfo.id, messageId, validateEmoji(emoji), username);
+    };
+
+    const removeReaction = async (username, roomInfo, messageId, emoji) => {
+        await getMessageOrThrow(roomInfo.id, messageId);
+        return store.removeReaction(roomInfo.id, messageId, validateEmoji(emoji), username);
+    };
+
+    return {
+        getMessagePage,
+        getMissedMessages,
+        postMessage,
+        postReply,
+        getThread,
+        markRead,
+        getUnreadCount,
+        getUnreadCounts,
+        editMessage,
+        deleteMessage,
+        addReaction,
+        removeReaction
+    };
+};
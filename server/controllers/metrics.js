@@ -0,0 +1,146 @@
+// real-time-chat-app/server/controllers/metrics.js
+// Operational metrics, served by GET /metrics in the Prometheus text format (see routes/monitoring.js).
+// Counters and latency histograms are kept in the shared state, so in a cluster every worker adds to
+// the same totals and any of them can answer a scrape. Each process buffers its increments and
+// flushes them every FLUSH_INTERVAL_MS instead of making a shared state call per event.
+// Connection gauges are read from the shared presence when scraped.
+
+const FLUSH_INTERVAL_MS = 1000;
+const KEY_PREFIX = 'metrics:';
+
+// Upper bounds (seconds) of the event-handler latency histogram buckets (the Prometheus defaults)
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const METRICS = {
+    connectedSockets: { name: 'chat_connected_sockets', type: 'gauge', help: 'Open socket connections.' },
+    connectedUsers: { name: 'chat_connected_users', type: 'gauge', help: 'Users with at least one open socket.' },
+    roomUsers: { name: 'chat_room_users', type: 'gauge', help: 'Connected users in each room.' },
+    messages: { name: 'chat_messages_total', type: 'counter', help: 'Messages sent in each room (thread replies and bot messages included).' },
+    events: { name: 'chat_socket_events_total', type: 'counter', help: 'Socket events received, by event.' },
+    rejectedEvents: { name: 'chat_socket_events_rejected_total', type: 'counter', help: 'Socket events refused (rate limited, invalid, not allowed...), by event and error code.' },
+    eventDuration: { name: 'chat_socket_event_duration_seconds', type: 'histogram', help: 'Time spent handling a socket event, by event.' }
+};
+
+// Label values may hold any text: backslashes, quotes and newlines are escaped
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+// { event: 'join_room' } -> 'event="join_room"'. Also used as the field name in the shared state hashes.
+const formatLabels = (labels) => Object.entries(labels)
+    .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`)
+    .join(',');
+
+const formatSample = (name, labels, value) => `${name}${labels ? `{${labels}}` : ''} ${value}`;
+
+const formatHeader = ({ name, type, help }) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+
+// `presence` provides the connection gauges (see controllers/presence.js)
+export const createMetricsController = ({ state, presence }) => {
+    // Increments not flushed yet: shared state key -> Map(labels -> amount)
+    let pending = new Map();
+
+    const add = (key, labels, amount = 1) => {
+        if (!pending.has(key)) pending.set(key, new Map());
+        const counts = pending.get(key);
+        counts.set(labels, (counts.get(labels) || 0) + amount);
+    };
+
+    const flush = async () => {
+        const flushing = pending;
+        pending = new Map();
+        for (const [key, counts] of flushing) {
+            for (const [labels, amount] of counts) {
+                await state.hincrby(key, labels, amount);
+            }
+        }
+    };
+
+    const flushTimer = setInterval(() => {
+        flush().catch(err => console.error('Error flushing metrics:', err));
+    }, FLUSH_INTERVAL_MS);
+    flushTimer.unref(); // Never what keeps the process alive
+
+    // --- Recording ---
+    const countMessage = (room) => {
+        add(`${KEY_PREFIX}${METRICS.messages.name}`, formatLabels({ room }));
+    };
+
+    // Records one handled socket event: how long it took and, if it was refused, the error code
+    const countEvent = (event, durationSeconds, rejectionCode = null) => {
+        const labels = formatLabels({ event });
+        add(`${KEY_PREFIX}${METRICS.events.name}`, labels);
+        if (rejectionCode) {
+            add(`${KEY_PREFIX}${METRICS.rejectedEvents.name}`, formatLabels({ event, code: rejectionCode }));
+        }
+        // Histogram buckets are cumulative: the event counts in every bucket at least as large as its duration
+        const { name } = METRICS.eventDuration;
+        LATENCY_BUCKETS.filter(bound => durationSeconds <= bound).forEach(bound => {
+            add(`${KEY_PREFIX}${name}_bucket`, `${labels},le="${bound}"`);
+        });
+        add(`${KEY_PREFIX}${name}_sum`, labels, durationSeconds);
+        add(`${KEY_PREFIX}${name}_count`, labels);
+    };
+
+    // --- Exposition ---
+    const formatGauges = async () => {
+        const sessions = await presence.listSessions();
+        const usersByRoom = new Map();
+        sessions.filter(session => session.currentRoom).forEach(({ currentRoom, username }) => {
+            if (!usersByRoom.has(currentRoom)) usersByRoom.set(currentRoom, new Set());
+            usersByRoom.get(currentRoom).add(username);
+        });
+        return [
+            ...formatHeader(METRICS.connectedSockets),
+            formatSample(METRICS.connectedSockets.name, '', sessions.length),
+            ...formatHeader(METRICS.connectedUsers),
+            formatSample(METRICS.connectedUsers.name, '', new Set(sessions.map(session => session.username)).size),
+            ...formatHeader(METRICS.roomUsers),
+            ...[...usersByRoom].map(([room, usernames]) => formatSample(METRICS.roomUsers.name, formatLabels({ room }), usernames.size))
+        ];
+    };
+
+    const formatCounter = async (metric) => {
+        const counts = await state.hgetall(`${KEY_PREFIX}${metric.name}`);
+        return [
+            ...formatHeader(metric),
+            ...Object.entries(counts).map(([labels, value]) => formatSample(metric.name, labels, value))
+        ];
+    };
+
+    const formatHistogram = async (metric) => {
+        const { name } = metric;
+        const buckets = await state.hgetall(`${KEY_PREFIX}${name}_bucket`);
+        const sums = await state.hgetall(`${KEY_PREFIX}${name}_sum`);
+        const counts = await state.hgetall(`${KEY_PREFIX}${name}_count`);
+        const lines = formatHeader(metric);
+        Object.entries(counts).forEach(([labels, count]) => {
+            LATENCY_BUCKETS.forEach(bound => {
+                lines.push(formatSample(`${name}_bucket`, `${labels},le="${bound}"`, buckets[`${labels},le="${bound}"`] || 0));
+            });
+            lines.push(formatSample(`${name}_bucket`, `${labels},le="+Inf"`, count));
+            lines.push(formatSample(`${name}_sum`, labels, sums[labels] || 0));
+            lines.push(formatSample(`${name}_count`, labels, count));
+        });
+        return lines;
+    };
+
+    // Every metric in the Prometheus text format (version 0.0.4), this process's latest counts included
+    const render = async () => {
+        await flush();
+        const lines = [
+            ...await formatGauges(),
+            ...await formatCounter(METRICS.messages),
+            ...await formatCounter(METRICS.events),
+            ...await formatCounter(METRICS.rejectedEvents),
+            ...await formatHistogram(METRICS.eventDuration)
+        ];
+        return `${lines.join('\n')}\n`;
+    };
+
+    // Stops the flush timer and flushes what is left (when the server shuts down)
+    const stop = async () => {
+        clearInterval(flushTimer);
+        await flush();
+    };
+
+    return { countMessage, countEvent, render, stop };
+};
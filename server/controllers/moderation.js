@@ -0,0 +1,177 @@
+// real-time-chat-app/server/controllers/moderation.js
+// Room moderation: kicking, banning and muting users, slow mode and appointing moderators.
+// Roles come from the room record (see getRoomRole in rooms.js), bans and mutes are kept in the
+// store, and the time of each member's last post (for slow mode) in the shared state.
+import { ChatError } from '../utils/errors.js';
+import { getRoomRole } from './rooms.js';
+
+export const MAX_SLOW_MODE_SECONDS = 60 * 60;
+export const MAX_RESTRICTION_SECONDS = 365 * 24 * 60 * 60;
+export const MAX_REASON_LENGTH = 200;
+
+// Shared state hash per room: username -> time (ms) of their last message
+const getLastPostsKey = (room) => `moderation:lastPosts:${room}`;
+
+// Actions return a notice describing what happened, which the room is told about:
+// { action: 'kick' | 'ban' | 'unban' | 'mute' | 'unmute' | 'slow_mode' | 'role', by, username?, reason?, until?, seconds?, role? }
+export const createModerationController = ({ store, state, roomsController }) => {
+    const requireModerator = (roomInfo, username) => {
+        if (getRoomRole(roomInfo, username) === 'member') {
+            throw new ChatError(403, 'Only room moderators can do that.');
+        }
+    };
+
+    // Moderators can act on members; owners on moderators too. Nobody can act on an owner.
+    const checkTarget = async (roomInfo, username, target) => {
+        requireModerator(roomInfo, username);
+        if (target === username) {
+            throw new ChatError(400, "You can't moderate yourself.");
+        }
+        if (!await store.getUser(target)) {
+            throw new ChatError(404, `Unknown user: ${target}`);
+        }
+        const targetRole = getRoomRole(roomInfo, target);
+        if (targetRole === 'owner' || (targetRole === 'moderator' && getRoomRole(roomInfo, username) !== 'owner')) {
+            throw new ChatError(403, `You can't moderate ${target} in this room.`);
+        }
+    };
+
+    // A user's ban or mute in a room if it is still in force (expired ones are dropped on the way), or null
+    const getRestriction = async (room, kind, username) => {
+        const restriction = (await store.getRoomRestrictions(room))[kind][username];
+        if (!restriction) return null;
+        if (restriction.until && restriction.until <= new Date().toISOString()) {
+            await store.setRoomRestriction(room, kind, username, null);
+            return null;
+        }
+        return restriction;
+    };
+
+    // Bans and mutes in force, as { ban: { 'username': restriction }, mute: { ... } }. Moderators only.
+    const getRestrictions = async (username, roomInfo) => {
+        requireModerator(roomInfo, username);
+        const now = new Date().toISOString();
+        const inForce = (restrictions) => Object.fromEntries(
+            Object.entries(restrictions).filter(([, restriction]) => !restriction.until || restriction.until > now)
+        );
+        const { ban, mute } = await store.getRoomRestrictions(roomInfo.id);
+        return { ban: inForce(ban), mute: inForce(mute) };
+    };
+
+    // Throws if the user is banned from the room (code 'banned', with `until`)
+    const checkCanJoin = async (roomInfo, username) => {
+        if (getRoomRole(roomInfo, username) !== 'member') return;
+        const ban = await getRestriction(roomInfo.id, 'ban', username);
+        if (ban) {
+            throw new ChatError(403, 'You are banned from this room.', { code: 'banned', room: roomInfo.id, until: ban.until });
+        }
+    };
+
+    // Throws if the user is banned from the room or muted there (code 'muted_in_room', with `until`).
+    // Checked before anything that changes what the room sees: new messages, edits and reactions.
+    const checkNotMuted = async (roomInfo, username) => {
+        if (getRoomRole(roomInfo, username) !== 'member') return;
+        await checkCanJoin(roomInfo, username);
+        const mute = await getRestriction(roomInfo.id, 'mute', username);
+        if (mute) {
+            throw new ChatError(403, 'You are muted in this room.', { code: 'muted_in_room', room: roomInfo.id, until: mute.until });
+        }
+    };
+
+    // Throws if the user can't post in the room right now: banned, muted (see checkNotMuted) or
+    // posting faster than slow mode allows (code 'slow_mode', with `retryAfterMs`).
+    // Owners and moderators are never limited.
+    const checkCanPost = async (roomInfo, username) => {
+        if (getRoomRole(roomInfo, username) !== 'member') return;
+        await checkNotMuted(roomInfo, username);
+        if (roomInfo.slowModeSeconds > 0) {
+            const lastPostAt = await state.hget(getLastPostsKey(roomInfo.id), username);
+            const retryAfterMs = lastPostAt ? lastPostAt + roomInfo.slowModeSeconds * 1000 - Date.now() : 0;
+            if (retryAfterMs > 0) {
+                throw new ChatError(429, `Slow mode is on: you can post once every ${roomInfo.slowModeSeconds}s.`, {
+                    code: 'slow_mode',
+                    retryAfterMs
+                });
+            }
+            await state.hset(getLastPostsKey(roomInfo.id), username, Date.now());
+        }
+    };
+
+    // The caller takes the user's sockets out of the room; they can come back right away
+    const kick = async (username, roomInfo, target, reason = '') => {
+        await checkTarget(roomInfo, username, target);
+        console.log(`${username} kicked ${target} from room ${roomInfo.id}`);
+        return { action: 'kick', by: username, username: target, reason };
+    };
+
+    // Bans (kind 'ban') or mutes ('mute') a user, for `durationSeconds` or until lifted
+    const restrict = async (kind, username, roomInfo, target, { durationSeconds, reason = '' } = {}) => {
+        await checkTarget(roomInfo, username, target);
+        const now = new Date();
+        const until = durationSeconds ? new Date(now.getTime() + durationSeconds * 1000).toISOString() : null;
+        await store.setRoomRestriction(roomInfo.id, kind, target, { by: username, reason, createdAt: now.toISOString(), until });
+        console.log(`${username} ${kind === 'ban' ? 'banned' : 'muted'} ${target} in room ${roomInfo.id}${until ? ` until ${until}` : ''}`);
+        return { action: kind, by: username, username: target, reason, until };
+    };
+
+    const lift = async (kind, username, roomInfo, target) => {
+        requireModerator(roomInfo, username);
+        if (!await getRestriction(roomInfo.id, kind, target)) {
+            throw new ChatError(404, `${target} is not ${kind === 'ban' ? 'banned' : 'muted'} in this room.`);
+        }
+        await store.setRoomRestriction(roomInfo.id, kind, target, null);
+        console.log(`${username} lifted the ${kind} of ${target} in room ${roomInfo.id}`);
+        return { action: kind === 'ban' ? 'unban' : 'unmute', by: username, username: target };
+    };
+
+    // Returns { room, notice }. 0 seconds turns slow mode off.
+    const setSlowMode = async (username, roomInfo, seconds) => {
+        requireModerator(roomInfo, username);
+        const room = await store.updateRoom(roomInfo.id, { slowModeSeconds: seconds });
+        if (!seconds) {
+            await state.del(getLastPostsKey(roomInfo.id));
+        }
+        await roomsController.broadcastRooms();
+        return { room, notice: { action: 'slow_mode', by: username, seconds } };
+    };
+
+    // Makes a user a moderator (role 'moderator') or a plain member again ('member'). Owners only.
+    // Returns { room, notice }.
+    const setRole = async (username, roomInfo, target, role) => {
+        if (getRoomRole(roomInfo, username) !== 'owner') {
+            throw new ChatError(403, 'Only the room owner can appoint moderators.');
+        }
+        if (!await store.getUser(target)) {
+            throw new ChatError(404, `Unknown user: ${target}`);
+        }
+        if (getRoomRole(roomInfo, target) === 'owner') {
+            throw new ChatError(400, `${target} owns this room.`);
+        }
+        const moderators = (roomInfo.moderators || []).filter(moderator => moderator !== target);
+        if (role === 'moderator') {
+            moderators.push(target);
+        }
+        const room = await store.updateRoom(roomInfo.id, { moderators });
+        console.log(`${username} made ${target} a ${role} of room ${roomInfo.id}`);
+        await roomsController.broadcastRooms();
+        return { room, notice: { action: 'role', by: username, username: target, role } };
+    };
+
+    // Drops the slow mode state of a deleted room (its bans and mutes go with it in the store)
+    const clearRoom = (room) => state.del(getLastPostsKey(room));
+
+    return {
+        getRestrictions,
+        checkCanJoin,
+        checkNotMuted,
+        checkCanPost,
+        kick,
+        ban: (...args) => restrict('ban', ...args),
+        mute: (...args) => restrict('mute', ...args),
+        unban: (...args) => lift('ban', ...args),
+        unmute: (...args) => lift('mute', ...args),
+        setSlowMode,
+        setRole,
+        clearRoom
+    };
+};
@@ -0,0 +1,165 @@
+// real-time-chat-app/server/controllers/presence.js
+// Who is online, per user across all their sockets (tabs/devices), with a status and a last-seen time.
+// Kept in the shared state (shared/memoryState.js) so every server process sees the same presence.
+import { ChatError } from '../utils/errors.js';
+
+// Statuses a user can pick. 'invisible' users look offline to everyone else.
+export const PRESENCE_STATUSES = ['online', 'away', 'dnd', 'invisible'];
+
+// Shared state keys: socket.id -> { username, currentRoom, idle, instanceId }, and
+// username -> the status they picked (saved on the user record, restored when they connect)
+const SESSIONS_KEY = 'presence:sessions';
+const STATUSES_KEY = 'presence:statuses';
+
+// `instanceId` identifies this server process, so the sessions of a crashed worker can be dropped
+export const createPresenceController = ({ store, state, instanceId = 0 }) => {
+    const getSessions = async () => Object.values(await state.hgetall(SESSIONS_KEY));
+
+    const getUserSessions = async (username) => (
+        (await getSessions()).filter(session => session.username === username)
+    );
+
+    const getChosenStatus = async (username) => (await state.hget(STATUSES_KEY, username)) || 'online';
+
+    // The status everyone else sees: 'offline' without sockets (or when invisible), 'away' when
+    // every socket of an 'online' user has gone idle, otherwise what they picked
+    const getVisibleStatus = async (username, sessions) => {
+        const userSessions = sessions
+            ? sessions.filter(session => session.username === username)
+            : await getUserSessions(username);
+        const chosenStatus = await getChosenStatus(username);
+        if (userSessions.length === 0 || chosenStatus === 'invisible') return 'offline';
+        if (chosenStatus === 'online' && userSessions.every(session => session.idle)) return 'away';
+        return chosenStatus;
+    };
+
+    // Returns { username, status, lastSeenAt } as shown to other users
+    const getPresence = async (username) => {
+        const user = await store.getUser(username);
+        return { username, status: await getVisibleStatus(username), lastSeenAt: user?.lastSeenAt || null };
+    };
+
+    // `savedStatus` is the status stored on the user record, used if they have no other socket yet
+    const connect = async (socketId, username, savedStatus) => {
+        if ((await getUserSessions(username)).length === 0) {
+            await state.hset(STATUSES_KEY, username, savedStatus || 'online');
+        }
+        await state.hset(SESSIONS_KEY, socketId, { username, currentRoom: null, idle: false, instanceId });
+    };
+
+    // Forgets a socket. Returns its session; `wentOffline` is true if it was the user's last socket,
+    // in which case their last-seen time is saved (unless they were invisible).
+    const disconnect = async (socketId) => {
+        const session = await state.hget(SESSIONS_KEY, socketId);
+        if (!session) return null;
+        await state.hdel(SESSIONS_KEY, socketId);
+        const wentOffline = (await getUserSessions(session.username)).length === 0;
+        if (wentOffline) {
+            if (await getChosenStatus(session.username) !== 'invisible') {
+                await store.saveUser({ username: session.username, lastSeenAt: new Date().toISOString() });
+            }
+            await state.hdel(STATUSES_KEY, session.username);
+        }
+        return { ...session, wentOffline };
+    };
+
+    // Disconnects every socket a server process had (after it exited without cleaning up)
+    const removeInstanceSessions = async (exitedInstanceId) => {
+        const sessions = await state.hgetall(SESSIONS_KEY);
+        for (const [socketId, session] of Object.entries(sessions)) {
+            if (session.instanceId === exitedInstanceId) {
+                await disconnect(socketId);
+            }
+        }
+    };
+
+    const getSession = async (socketId) => state.hget(SESSIONS_KEY, socketId);
+
+    // Every open socket as { socketId, username, currentRoom, idle, instanceId }, invisible users' too
+    const listSessions = async () => (
+        Object.entries(await state.hgetall(SESSIONS_KEY)).map(([socketId, session]) => ({ socketId, ...session }))
+    );
+
+    const updateSession = async (socketId, changes) => {
+        const session = await state.hget(SESSIONS_KEY, socketId);
+        if (session) {
+            await state.hset(SESSIONS_KEY, socketId, { ...session, ...changes });
+        }
+    };
+
+    const setCurrentRoom = (socketId, room) => updateSession(socketId, { currentRoom: room });
+
+    // Whether any socket of the user (other than `exceptSocketId`) is in the room
+    const isInRoom = async (username, room, exceptSocketId) => (
+        Object.entries(await state.hgetall(SESSIONS_KEY)).some(([socketId, session]) => (
+            socketId !== exceptSocketId && session.username === username && session.currentRoom === room
+        ))
+    );
+
+    // Rooms any socket of the user is in
+    const getUserRooms = async (username) => [...new Set(
+        (await getUserSessions(username)).map(session => session.currentRoom).filter(Boolean)
+    )];
+
+    // Usernames in a room, once each however many sockets they have; invisible users are left out
+    const getUsernamesInRoom = async (room) => {
+        const sessions = await getSessions();
+        const usernames = [...new Set(
+            sessions.filter(session => session.currentRoom === room).map(session => session.username)
+        )];
+        const visible = [];
+        for (const username of usernames) {
+            if (await getVisibleStatus(username, sessions) !== 'offline') visible.push(username);
+        }
+        return visible;
+    };
+
+    // Every user with at least one socket who isn't invisible
+    const getOnlineUsernames = async () => {
+        const sessions = await getSessions();
+        const visible = [];
+        for (const username of new Set(sessions.map(session => session.username))) {
+            if (await getVisibleStatus(username, sessions) !== 'offline') visible.push(username);
+        }
+        return visible;
+    };
+
+    // Moves the sockets that were in a room out of it: everyone's (the room was deleted) or only
+    // `username`'s (they were kicked)
+    const clearRoom = async (room, username) => {
+        for (const [socketId, session] of Object.entries(await state.hgetall(SESSIONS_KEY))) {
+            if (session.currentRoom === room && (!username || session.username === username)) {
+                await updateSession(socketId, { currentRoom: null });
+            }
+        }
+    };
+
+    // Reported by the client after a period without input (and when input resumes)
+    const setIdle = (socketId, idle) => updateSession(socketId, { idle: Boolean(idle) });
+
+    const setStatus = async (username, status) => {
+        if (!PRESENCE_STATUSES.includes(status)) {
+            throw new ChatError(400, `Status must be one of: ${PRESENCE_STATUSES.join(', ')}.`);
+        }
+        await state.hset(STATUSES_KEY, username, status);
+        await store.saveUser({ username, status });
+    };
+
+    return {
+        getPresence,
+        connect,
+        disconnect,
+        removeInstanceSessions,
+        getSession,
+        listSessions,
+        setCurrentRoom,
+        isInRoom,
+        getUserRooms,
+        getUsernamesInRoom,
+        getOnlineUsernames,
+        clearRoom,
+        setIdle,
+        setStatus,
+        getChosenStatus
+    };
+};
@@ -0,0 +1,129 @@
+// real-time-chat-app/server/controllers/rateLimits.js
+// Flood and spam protection for socket events: token-bucket rate limits per user (across all their
+// sockets) and per connection, duplicate-message detection, and a temporary mute for users who keep
+// hitting the limits. All counters live in the shared state, so limits hold across cluster workers.
+import { ChatError } from '../utils/errors.js';
+
+// Per-event limits. `capacity` is the burst size, `refillPerSecond` the sustained rate.
+// Events without an entry use `default`. `silent` events are dropped without telling the client
+// (a typing indicator isn't worth an error), `mutable` ones are blocked while the user is muted.
+export const DEFAULT_RATE_LIMITS = {
+    default: { user: { capacity: 60, refillPerSecond: 10 }, connection: { capacity: 40, refillPerSecond: 10 } },
+    send_message: {
+        user: { capacity: 10, refillPerSecond: 1 },
+        connection: { capacity: 8, refillPerSecond: 1 },
+        mutable: true
+    },
+    private_message: {
+        user: { capacity: 10, refillPerSecond: 1 },
+        connection: { capacity: 8, refillPerSecond: 1 },
+        mutable: true
+    },
+    edit_message: { user: { capacity: 10, refillPerSecond: 0.5 }, mutable: true },
+    add_reaction: { user: { capacity: 20, refillPerSecond: 2 }, mutable: true },
+    typing: { connection: { capacity: 5, refillPerSecond: 1 }, silent: true, mutable: true }
+};
+
+// Reads the limits, with overrides from the CHAT_RATE_LIMITS environment variable (JSON in the
+// shape of DEFAULT_RATE_LIMITS, e.g. '{"send_message":{"user":{"capacity":20,"refillPerSecond":2}}}')
+export const loadRateLimits = () => {
+    const overrides = process.env.CHAT_RATE_LIMITS ? JSON.parse(process.env.CHAT_RATE_LIMITS) : {};
+    const limits = { ...DEFAULT_RATE_LIMITS };
+    Object.entries(overrides).forEach(([eventName, override]) => {
+        limits[eventName] = { ...limits[eventName], ...override };
+    });
+    return limits;
+};
+
+// Going over a limit is a strike. Running out of strikes (STRIKES in a row, regaining one every
+// STRIKE_REFILL_SECONDS) mutes the user for `muteSeconds`.
+const STRIKES = 3;
+const STRIKE_REFILL_SECONDS = 20;
+const MUTED_KEY = 'spam:muted'; // username -> muted until (ms timestamp)
+const LAST_MESSAGES_KEY = 'spam:last-messages'; // 'username|target' -> { text, sentAt }
+
+export const createRateLimitsController = ({
+    state,
+    limits = loadRateLimits(),
+    muteSeconds = Number(process.env.CHAT_MUTE_SECONDS) || 60,
+    duplicateWindowSeconds = Number(process.env.CHAT_DUPLICATE_WINDOW_SECONDS) || 30
+}) => {
+    // Counts a strike against the user; on the last one they are muted. Returns the mute end, if any.
+    const addStrike = async (username) => {
+        const { allowed } = await state.takeToken(`strikes:${username}`, STRIKES, 1 / STRIKE_REFILL_SECONDS);
+        if (allowed) return null;
+        const mutedUntil = Date.now() + muteSeconds * 1000;
+        await state.hset(MUTED_KEY, username, mutedUntil);
+        console.log(`${username} was muted for ${muteSeconds}s for flooding`);
+        return mutedUntil;
+    };
+
+    const throwMuted = (mutedUntil) => {
+        throw new ChatError(429, `You are muted for sending too much. Try again in ${Math.ceil((mutedUntil - Date.now()) / 1000)}s.`, {
+            code: 'muted',
+            retryAfterMs: mutedUntil - Date.now()
+        });
+    };
+
+    // Returns the end of the user's mute (ms timestamp), or null if they aren't muted
+    const getMutedUntil = async (username) => {
+        const mutedUntil = await state.hget(MUTED_KEY, username);
+        if (mutedUntil && mutedUntil > Date.now()) return mutedUntil;
+        if (mutedUntil) await state.hdel(MUTED_KEY, username);
+        return null;
+    };
+
+    // Checks one inbound event against its limits. Returns false for a silent event over its
+    // limit (the caller just drops it); throws a ChatError (code 'rate_limited' or 'muted') otherwise.
+    const checkEvent = async (username, socketId, eventName) => {
+        const limitName = limits[eventName] ? eventName : 'default'; // Events without limits share one budget
+        const eventLimits = limits[limitName];
+        if (eventLimits.mutable) {
+            const mutedUntil = await getMutedUntil(username);
+            if (mutedUntil) {
+                if (eventLimits.silent) return false;
+                throwMuted(mutedUntil);
+            }
+        }
+
+        const buckets = [
+            eventLimits.user && [`rate:${limitName}:user:${username}`, eventLimits.user],
+            eventLimits.connection && [`rate:${limitName}:socket:${socketId}`, eventLimits.connection]
+        ].filter(Boolean);
+        for (const [key, { capacity, refillPerSecond }] of buckets) {
+            const { allowed, retryAfterMs } = await state.takeToken(key, capacity, refillPerSecond);
+            if (allowed) continue;
+            if (eventLimits.silent) return false;
+            const mutedUntil = await addStrike(username);
+            if (mutedUntil) throwMuted(mutedUntil);
+            throw new ChatError(429, 'You are doing that too fast. Please slow down.', { code: 'rate_limited', retryAfterMs });
+        }
+        return true;
+    };
+
+    // Rejects a message identical to the user's previous one to the same room/person within the
+    // duplicate window (code 'duplicate_message'); repeats count as strikes.
+    const checkDuplicate = async (username, target, text) => {
+        if (typeof text !== 'string') return;
+        const key = `${username}|${target}`;
+        const normalizedText = text.trim().replace(/\s+/g, ' ').toLowerCase();
+        const previous = await state.hget(LAST_MESSAGES_KEY, key);
+        const now = Date.now();
+        if (normalizedText && previous && previous.text === normalizedText
+            && now - previous.sentAt < duplicateWindowSeconds * 1000) {
+            const mutedUntil = await addStrike(username);
+            if (mutedUntil) throwMuted(mutedUntil);
+            throw new ChatError(429, 'You just sent that message.', { code: 'duplicate_message' });
+        }
+        await state.hset(LAST_MESSAGES_KEY, key, { text: normalizedText, sentAt: now });
+    };
+
+    // Drops the per-connection buckets of a closed socket
+    const forgetConnection = async (socketId) => {
+        for (const limitName of Object.keys(limits)) {
+            await state.del(`rate:${limitName}:socket:${socketId}`);
+        }
+    };
+
+    return { checkEvent, checkDuplicate, getMutedUntil, forgetConnection };
+};
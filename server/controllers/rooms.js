@@ -0,0 +1,151 @@
+// real-time-chat-app/server/controllers/rooms.js
+// Room lifecycle (create, rename, archive, delete). Used by both the socket events and the REST routes,
+// so every change is validated the same way and broadcast to all connected clients.
+import { ChatError } from '../utils/errors.js';
+
+// Where clients go when they leave or lose a room
+export const DEFAULT_ROOM = 'general';
+const MAX_ROOM_NAME_LENGTH = 50;
+const MAX_DESCRIPTION_LENGTH = 200;
+
+// Room ids are slugs (see slugify), plus a '-2', '-3'... suffix when the slug was taken
+export const ROOM_ID_PATTERN = /^[a-z0-9-]{1,64}$/;
+
+// Turns a display name into a URL- and channel-safe id, e.g. 'Incident #42' -> 'incident-42'
+const slugify = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+const validateName = (name) => {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed || trimmed.length > MAX_ROOM_NAME_LENGTH || !slugify(trimmed)) {
+        throw new ChatError(400, `Room name must be 1-${MAX_ROOM_NAME_LENGTH} characters and contain a letter or number.`);
+    }
+    return trimmed;
+};
+
+const validateDescription = (description = '') => {
+    if (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH) {
+        throw new ChatError(400, `Room description must be at most ${MAX_DESCRIPTION_LENGTH} characters.`);
+    }
+    return description.trim();
+};
+
+// Server admins (CHAT_ADMINS, comma-separated usernames) own every room, including the built-in ones
+const SERVER_ADMINS = (process.env.CHAT_ADMINS || '').split(',').map(username => username.trim()).filter(Boolean);
+
+export const isServerAdmin = (username) => SERVER_ADMINS.includes(username);
+
+// A user's role in a room:
+//   'owner': the creator (and server admins); can do everything, including appointing moderators
+//   'moderator': can kick, ban and mute members, delete their messages and set slow mode
+//   'member': everyone else
+export const getRoomRole = (room, username) => {
+    if ((room.createdBy && room.createdBy === username) || isServerAdmin(username)) return 'owner';
+    if ((room.moderators || []).includes(username)) return 'moderator';
+    return 'member';
+};
+
+// Owners and moderators can remove other people's messages
+export const isRoomModerator = (room, username) => getRoomRole(room, username) !== 'member';
+
+// `onRoomDeleted(roomId)` lets the caller drop any per-room state it keeps (typing lists, current rooms...)
+export const createRoomsController = ({ store, io, onRoomDeleted = () => {} }) => {
+    // Sends the up-to-date room list to every connected client
+    const broadcastRooms = async () => {
+        io.emit('available_rooms', await store.listRooms());
+    };
+
+    const getRoomOrThrow = async (roomId) => {
+        const room = await store.getRoom(roomId);
+        if (!room) {
+            throw new ChatError(404, `Unknown room: ${roomId}`);
+        }
+        return room;
+    };
+
+    // Archived rooms are read-only: no new messages, edits or deletions
+    const getWritableRoomOrThrow = async (roomId) => {
+        const room = await getRoomOrThrow(roomId);
+        if (room.archived) {
+            throw new ChatError(403, 'This room is archived and is read-only.');
+        }
+        return room;
+    };
+
+    // Only owners (the creator and server admins) may rename, archive or delete a room, so the
+    // built-in rooms (no creator) can only be changed by server admins
+    const getOwnedRoomOrThrow = async (roomId, username) => {
+        const room = await getRoomOrThrow(roomId);
+        if (getRoomRole(room, username) !== 'owner') {
+            throw new ChatError(403, 'Only the room owner can change this room.');
+        }
+        return room;
+    };
+
+    const createRoom = async (username, { name, description }) => {
+        const roomName = validateName(name);
+        const baseId = slugify(roomName);
+        // Make the id unique: 'tech', 'tech-2', 'tech-3', ...
+        let id = baseId;
+        for (let suffix = 2; await store.getRoom(id); suffix++) {
+            id = `${baseId}-${suffix}`;
+        }
+
+        const room = await store.createRoom({
+            id,
+            name: roomName,
+            description: validateDescription(description),
+            createdBy: username,
+            createdAt: new Date().toISOString()
+        });
+        console.log(`${username} created room: ${id}`);
+        await broadcastRooms();
+        return room;
+    };
+
+    const renameRoom = async (username, roomId, { name, description }) => {
+        await getOwnedRoomOrThrow(roomId, username);
+        const changes = { name: validateName(name) };
+        if (description !== undefined) {
+            changes.description = validateDescription(description);
+        }
+        const room = await store.updateRoom(roomId, changes);
+        console.log(`${username} renamed room ${roomId} to '${room.name}'`);
+        await broadcastRooms();
+        return room;
+    };
+
+    // The topic is the room's description; owners and moderators can change it (/topic)
+    const setTopic = async (username, roomId, topic) => {
+        const roomInfo = await getWritableRoomOrThrow(roomId);
+        if (!isRoomModerator(roomInfo, username)) {
+            throw new ChatError(403, 'Only room moderators can change the topic.');
+        }
+        const room = await store.updateRoom(roomId, { description: validateDescription(topic) });
+        console.log(`${username} set the topic of room ${roomId}`);
+        await broadcastRooms();
+        return room;
+    };
+
+    // Archived rooms stay readable but no longer accept messages; pass archived: false to restore
+    const archiveRoom = async (username, roomId, archived = true) => {
+        await getOwnedRoomOrThrow(roomId, username);
+        const room = await store.updateRoom(roomId, { archived });
+        console.log(`${username} ${room.archived ? 'archived' : 'unarchived'} room ${roomId}`);
+        await broadcastRooms();
+        return room;
+    };
+
+    // Deletes the room with its history and moves everyone out of it
+    const deleteRoom = async (username, roomId) => {
+        await getOwnedRoomOrThrow(roomId, username);
+        await store.deleteRoom(roomId);
+        console.log(`${username} deleted room ${roomId}`);
+
+        io.to(roomId).emit('room_deleted', { room: roomId });
+        io.in(roomId).socketsLeave(roomId);
+        await onRoomDeleted(roomId);
+        await broadcastRooms();
+    };
+
+    return { broadcastRooms, getRoomOrThrow, getWritableRoomOrThrow, createRoom, renameRoom, setTopic, archiveRoom, deleteRoom };
+};
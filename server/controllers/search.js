@@ -0,0 +1,44 @@
+// real-time-chat-app/server/controllers/search.js
+// Full-text search over room messages, backed by the in-memory index in utils/searchIndex.js
+// (owned by the cluster primary when there are several processes, hence the awaits).
+import { tokenize } from '../utils/searchIndex.js';
+
+const DEFAULT_RESULT_LIMIT = 20;
+const MAX_RESULT_LIMIT = 50;
+const CONTEXT_SIZE = 2; // Messages shown around each hit
+
+export const createSearchController = ({ store, searchIndex }) => {
+    // Loads every stored room message into the index (the index itself is not persisted)
+    const rebuildIndex = async () => {
+        let count = 0;
+        for (const room of await store.listRooms()) {
+            for (const message of await store.getMessages(room.id)) {
+                await searchIndex.add(message);
+                count++;
+            }
+        }
+        console.log(`Search index built from ${count} messages`);
+    };
+
+    // Returns { query, terms, results: [{ message, score, context: { before, after } }] }.
+    // `terms` are the normalized query words, for highlighting.
+    const search = async ({ q, room, user, before, after, limit }) => {
+        const query = typeof q === 'string' ? q.trim() : '';
+        const resultLimit = Math.min(Math.max(Number(limit) || DEFAULT_RESULT_LIMIT, 1), MAX_RESULT_LIMIT);
+        const hits = await searchIndex.search(query, { room, user, before, after, limit: resultLimit });
+
+        const results = [];
+        for (const { messageId, room: hitRoom, score } of hits) {
+            const message = await store.getMessage(hitRoom, messageId);
+            if (!message) continue;
+            results.push({
+                message,
+                score,
+                context: await store.getMessageContext(hitRoom, messageId, CONTEXT_SIZE)
+            });
+        }
+        return { query, terms: [...new Set(tokenize(query))], results };
+    };
+
+    return { rebuildIndex, search };
+};
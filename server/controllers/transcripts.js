@@ -0,0 +1,98 @@
+// real-time-chat-app/server/controllers/transcripts.js
+// Room transcripts: the join/leave notices kept for them, exporting a room's history
+// (formats in utils/transcripts.js) and importing a JSON export back into a room.
+import { randomUUID, createHash } from 'crypto';
+import { ChatError } from '../utils/errors.js';
+import { validatePayload } from '../utils/validation.js';
+import { toAttachmentInfo } from '../utils/attachments.js';
+import { TRANSCRIPT_FORMATS } from '../utils/transcripts.js';
+import { TRANSCRIPT_SCHEMA } from '../schemas/transcript.js';
+import { getRoomRole } from './rooms.js';
+
+// Optional fields a transcript left out come back from validation as undefined
+const dropUndefined = (record) => Object.fromEntries(Object.entries(record).filter(([, value]) => value !== undefined));
+
+// Turns a from/to query value (any date Date.parse reads) into an ISO bound
+const toDateBound = (value, field) => {
+    if (value === undefined || value === '') return undefined;
+    const time = typeof value === 'string' ? Date.parse(value) : NaN;
+    if (Number.isNaN(time)) {
+        throw new ChatError(400, `Invalid '${field}': must be a date.`);
+    }
+    return new Date(time).toISOString();
+};
+
+// `io` tells the room's clients to reload its history after an import
+export const createTranscriptsController = ({ store, searchIndex, io }) => {
+    // Keeps a 'join' or 'leave' notice, so transcripts can show who came and went
+    const recordNotice = async (room, type, username) => {
+        await store.addRoomNotices(room, [{ id: randomUUID(), type, username, createdAt: new Date().toISOString() }]);
+    };
+
+    // Prepares a room's export: returns { contentType, filename, chunks } where `chunks` yields the transcript.
+    // `from`/`to` limit it to messages (and notices) created in that range, both included;
+    // `notices` adds the join/leave notices. `baseUrl` is this server's URL, for attachment links.
+    const exportRoom = async (roomInfo, { format = 'json', from, to, notices = false, baseUrl }) => {
+        const transcriptFormat = Object.hasOwn(TRANSCRIPT_FORMATS, format) ? TRANSCRIPT_FORMATS[format] : null;
+        if (!transcriptFormat) {
+            throw new ChatError(400, `Unknown export format: ${format}. Use one of: ${Object.keys(TRANSCRIPT_FORMATS).join(', ')}.`);
+        }
+        const range = { from: toDateBound(from, 'from'), to: toDateBound(to, 'to') };
+        const isInRange = ({ createdAt = '' }) => (!range.from || createdAt >= range.from) && (!range.to || createdAt <= range.to);
+
+        const exportedAt = new Date().toISOString();
+        const chunks = transcriptFormat.write({
+            room: roomInfo,
+            messages: (await store.getMessages(roomInfo.id)).filter(isInRange),
+            notices: notices ? (await store.getRoomNotices(roomInfo.id)).filter(isInRange) : null,
+            ...range,
+            exportedAt,
+            baseUrl
+        });
+        return {
+            contentType: transcriptFormat.contentType,
+            filename: `${roomInfo.id}-${exportedAt.slice(0, 10)}.${transcriptFormat.extension}`,
+            chunks
+        };
+    };
+
+    // Restores a JSON export into a room (owners only). Messages keep their authors and times; ones
+    // the room already has are skipped, so importing the same file twice adds nothing.
+    // Attachment files are not part of an export: their links only work if the files were copied over.
+    // Returns counts: { imported, skipped } messages and the `notices` added. The room's clients
+    // get 'room_history_imported' { room, imported } and reload its history.
+    const importRoom = async (username, roomInfo, transcript) => {
+        if (getRoomRole(roomInfo, username) !== 'owner') {
+            throw new ChatError(403, 'Only the room owner can import messages.');
+        }
+        const { room: sourceRoom, messages, notices } = validatePayload(TRANSCRIPT_SCHEMA, transcript);
+        // Message ids must be unique across rooms (the search index is keyed by them), so messages
+        // copied from another room get ids derived from the original ones. The same file still
+        // maps to the same ids, which keeps re-imports from adding anything.
+        const toImportedId = (id) => (
+            sourceRoom.id === roomInfo.id ? id : createHash('sha256').update(`${roomInfo.id}/${id}`).digest('hex').slice(0, 32)
+        );
+        const records = messages.map(message => ({
+            ...dropUndefined(message),
+            id: toImportedId(message.id),
+            room: roomInfo.id,
+            ...(message.parentId && { parentId: toImportedId(message.parentId) }),
+            ...(message.attachments && { attachments: message.attachments.map(toAttachmentInfo) })
+        }));
+
+        const added = await store.importMessages(roomInfo.id, records);
+        for (const message of added.filter(message => !message.deleted)) {
+            await searchIndex.add(message);
+        }
+        const addedNotices = await store.addRoomNotices(roomInfo.id, notices);
+        console.log(`${username} imported ${added.length} messages into room '${roomInfo.id}'`);
+
+        const result = { imported: added.length, skipped: records.length - added.length, notices: addedNotices.length };
+        if (added.length > 0) {
+            io.to(roomInfo.id).emit('room_history_imported', { room: roomInfo.id, imported: added.length });
+        }
+        return result;
+    };
+
+    return { recordNotice, exportRoom, importRoom };
+};
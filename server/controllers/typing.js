@@ -0,0 +1,28 @@
+// real-time-chat-app/server/controllers/typing.js
+// Who is typing in each room, kept in the shared state so every server process agrees.
+
+// One hash per room: username -> true when typing in the room's message box, or the parent message id
+// when typing a reply in that thread. A user leaving the room stops both.
+const getTypingKey = (room) => `typing:${room}`;
+
+export const createTypingController = ({ state }) => {
+    // Who is typing in the room, or with `parentId`, in that thread
+    const getTypingUsers = async (room, parentId = null) => Object.entries(await state.hgetall(getTypingKey(room)))
+        .filter(([, typingIn]) => typingIn === (parentId || true))
+        .map(([username]) => username);
+
+    // Both return the updated list of typing usernames of the room (or of the `parentId` thread)
+    const startTyping = async (room, username, parentId = null) => {
+        await state.hset(getTypingKey(room), username, parentId || true);
+        return getTypingUsers(room, parentId);
+    };
+
+    const stopTyping = async (room, username, parentId = null) => {
+        await state.hdel(getTypingKey(room), username);
+        return getTypingUsers(room, parentId);
+    };
+
+    const clearRoom = (room) => state.del(getTypingKey(room));
+
+    return { getTypingUsers, startTyping, stopTyping, clearRoom };
+};
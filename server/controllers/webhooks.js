@@ -0,0 +1,212 @@
+// real-time-chat-app/server/controllers/webhooks.js
+// Room webhooks, set up by room owners:
+//   incoming: a secret URL (POST /api/webhooks/:webhookId/:token) that CI, alerting or bots use to
+//     post into the room. Their messages are marked `isBot`, posted as botUsername(webhook id) and
+//     show the webhook's name (or the display name the bot sends) as the author.
+//   outgoing: a URL the server POSTs every new room message to (optionally only the ones containing
+//     one of `keywords`), signed with the webhook's secret and retried with backoff when it fails.
+//     Bot messages are never sent out, so a bot answering through an incoming webhook can't loop.
+// A receiver checks a delivery by computing HMAC-SHA256(secret, `${X-Chat-Timestamp}.${body}`) and
+// comparing it with X-Chat-Signature ('sha256=<hex>'). X-Chat-Delivery stays the same across retries.
+import { randomBytes, randomUUID, createHash, createHmac, timingSafeEqual } from 'crypto';
+import { lookup } from 'dns/promises';
+import { BlockList, isIP } from 'net';
+import { ChatError } from '../utils/errors.js';
+import { validatePayload } from '../utils/validation.js';
+import { WEBHOOK_SCHEMAS } from '../schemas/webhooks.js';
+import { getRoomRole } from './rooms.js';
+
+const MAX_WEBHOOKS_PER_ROOM = 20;
+const DELIVERY_TIMEOUT_MS = 5000;
+// A failed delivery is tried again after 1s, 2s, 4s... (plus up to 20% jitter), DELIVERY_ATTEMPTS times in all
+const DELIVERY_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 1000;
+
+// Outgoing webhooks can't reach loopback, private or link-local addresses, so a room owner can't
+// make the server call services on its own network. Set CHAT_WEBHOOK_ALLOW_PRIVATE_URLS=true to
+// allow them (e.g. for bots running next to the server).
+const ALLOW_PRIVATE_URLS = process.env.CHAT_WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+const PRIVATE_ADDRESSES = new BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]
+    .forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]
+    .forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => {
+    const mappedIpv4 = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)?.[1]; // e.g. ::ffff:127.0.0.1
+    if (mappedIpv4) return PRIVATE_ADDRESSES.check(mappedIpv4, 'ipv4');
+    return PRIVATE_ADDRESSES.check(address, isIP(address) === 6 ? 'ipv6' : 'ipv4');
+};
+
+// The author of an incoming webhook's messages. Usernames can't contain ':', so no user can have it:
+// a bot never shares a user's rate limits, mutes or messages, whatever its webhook is called.
+export const botUsername = (webhookId) => `webhook:${webhookId}`;
+export const BOT_USERNAME_PATTERN = /^webhook:[\w-]{1,64}$/;
+
+const hashToken = (token) => createHash('sha256').update(token).digest();
+
+// What owners see of a webhook: never its token (only shown when created) or its secret
+const toWebhookInfo = ({ tokenHash, secret, ...webhook }) => webhook;
+
+// `publishBotMessage(webhook, roomInfo, fields)` stores and broadcasts an incoming webhook's message
+// the way send_message does, and resolves with it. `rateLimits` applies the send_message limits to
+// each incoming webhook.
+export const createWebhooksController = ({ store, roomsController, rateLimits, publishBotMessage }) => {
+    const checkOwner = (roomInfo, username) => {
+        if (getRoomRole(roomInfo, username) !== 'owner') {
+            throw new ChatError(403, 'Only the room owner can manage its webhooks.');
+        }
+    };
+
+    // --- Setup (room owners) ---
+    const listWebhooks = async (username, roomInfo) => {
+        checkOwner(roomInfo, username);
+        return (await store.listWebhooks(roomInfo.id)).map(toWebhookInfo);
+    };
+
+    // Adds a webhook ({ direction, name, url, keywords }, see schemas/webhooks.js). Returns its info plus,
+    // this once, the secret part: `path` for an incoming webhook, `secret` for an outgoing one.
+    const createWebhook = async (username, roomInfo, payload) => {
+        checkOwner(roomInfo, username);
+        const { direction, name, url, keywords } = validatePayload(WEBHOOK_SCHEMAS.create, payload);
+        if ((await store.listWebhooks(roomInfo.id)).length >= MAX_WEBHOOKS_PER_ROOM) {
+            throw new ChatError(400, `A room can have at most ${MAX_WEBHOOKS_PER_ROOM} webhooks.`);
+        }
+        const webhook = { id: randomUUID(), room: roomInfo.id, direction, name, createdBy: username, createdAt: new Date().toISOString() };
+
+        if (direction === 'incoming') {
+            const token = randomBytes(24).toString('hex');
+            await store.saveWebhook({ ...webhook, tokenHash: hashToken(token).toString('hex') });
+            console.log(`${username} added incoming webhook '${name}' to room '${roomInfo.id}'`);
+            return { ...webhook, path: `/api/webhooks/${webhook.id}/${token}` };
+        }
+
+        let parsedUrl;
+        try {
+            parsedUrl = new URL(url);
+        } catch {
+            throw new ChatError(400, 'An outgoing webhook needs a valid http(s) URL.');
+        }
+        if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+            throw new ChatError(400, 'An outgoing webhook needs a valid http(s) URL.');
+        }
+        const secret = randomBytes(32).toString('hex');
+        const outgoing = { ...webhook, url: parsedUrl.href, keywords: [...new Set(keywords.map(keyword => keyword.toLowerCase()))] };
+        await store.saveWebhook({ ...outgoing, secret });
+        console.log(`${username} added outgoing webhook '${name}' to room '${roomInfo.id}'`);
+        return { ...outgoing, secret };
+    };
+
+    const deleteWebhook = async (username, roomInfo, webhookId) => {
+        checkOwner(roomInfo, username);
+        const webhook = await store.getWebhook(webhookId);
+        if (!webhook || webhook.room !== roomInfo.id) {
+            throw new ChatError(404, 'Unknown webhook.');
+        }
+        await store.deleteWebhook(webhookId);
+    };
+
+    // --- Incoming ---
+    // Posts a bot message through an incoming webhook (payload: see WEBHOOK_SCHEMAS.message) and returns it
+    const receiveMessage = async (webhookId, token, payload) => {
+        const webhook = await store.getWebhook(webhookId);
+        const isValidToken = webhook?.direction === 'incoming' && typeof token === 'string'
+            && timingSafeEqual(hashToken(token), Buffer.from(webhook.tokenHash, 'hex'));
+        if (!isValidToken) {
+            throw new ChatError(404, 'Unknown webhook.');
+        }
+        const { text, displayName, parentId, alsoInRoom } = validatePayload(WEBHOOK_SCHEMAS.message, payload);
+        const roomInfo = await roomsController.getWritableRoomOrThrow(webhook.room);
+        await rateLimits.checkEvent(botUsername(webhook.id), `webhook:${webhook.id}`, 'send_message');
+        return publishBotMessage(webhook, roomInfo, { message: text, displayName, parentId, alsoInRoom });
+    };
+
+    // --- Outgoing ---
+    const pendingRetries = new Set(); // Timers of deliveries waiting to be retried
+    const stopController = new AbortController(); // Aborts deliveries in flight on stop()
+
+    // Throws (without retrying) when the URL's host resolves to an address we don't call
+    const checkDestination = async (url) => {
+        if (ALLOW_PRIVATE_URLS) return;
+        const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+        const addresses = isIP(hostname) ? [{ address: hostname }] : await lookup(hostname, { all: true });
+        if (addresses.some(({ address }) => isPrivateAddress(address))) {
+            throw new ChatError(400, `${hostname} is a private address.`);
+        }
+    };
+
+    // POSTs one delivery; on a network error, a timeout, a 5xx or a 429 it is scheduled again with backoff
+    const deliver = async (webhook, deliveryId, body, attempt = 1) => {
+        if (stopController.signal.aborted) return;
+        let failure;
+        let canRetry = true;
+        try {
+            await checkDestination(webhook.url);
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            const signature = createHmac('sha256', webhook.secret).update(`${timestamp}.${body}`).digest('hex');
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'chat-webhooks',
+                    'X-Chat-Webhook-Id': webhook.id,
+                    'X-Chat-Delivery': deliveryId,
+                    'X-Chat-Timestamp': timestamp,
+                    'X-Chat-Signature': `sha256=${signature}`
+                },
+                body,
+                redirect: 'manual', // A redirect could lead anywhere, including a private address
+                signal: AbortSignal.any([AbortSignal.timeout(DELIVERY_TIMEOUT_MS), stopController.signal])
+            });
+            await response.body?.cancel();
+            if (response.ok) return;
+            failure = `HTTP ${response.status}`;
+            canRetry = response.status >= 500 || response.status === 429;
+        } catch (err) {
+            if (stopController.signal.aborted) return;
+            failure = err.message;
+            canRetry = !(err instanceof ChatError);
+        }
+
+        if (!canRetry || attempt >= DELIVERY_ATTEMPTS) {
+            console.warn(`Webhook '${webhook.name}' (${webhook.id}): giving up on delivery ${deliveryId} after ${attempt} attempt(s): ${failure}`);
+            return;
+        }
+        const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1) * (1 + Math.random() * 0.2);
+        const timer = setTimeout(() => {
+            pendingRetries.delete(timer);
+            deliver(webhook, deliveryId, body, attempt + 1);
+        }, delay);
+        pendingRetries.add(timer);
+    };
+
+    const matchesKeywords = (webhook, message) => (
+        webhook.keywords.length === 0
+        || webhook.keywords.some(keyword => message.message.toLowerCase().includes(keyword))
+    );
+
+    // Sends a new room message to the room's outgoing webhooks. Deliveries run in the background.
+    const dispatchMessage = async (roomInfo, message) => {
+        if (message.isBot || stopController.signal.aborted) return;
+        const webhooks = (await store.listWebhooks(roomInfo.id))
+            .filter(webhook => webhook.direction === 'outgoing' && matchesKeywords(webhook, message));
+        for (const webhook of webhooks) {
+            const body = JSON.stringify({
+                event: 'message',
+                webhookId: webhook.id,
+                room: { id: roomInfo.id, name: roomInfo.name },
+                message
+            });
+            deliver(webhook, randomUUID(), body);
+        }
+    };
+
+    // Cancels pending retries and deliveries in flight (when the server shuts down)
+    const stop = () => {
+        stopController.abort();
+        pendingRetries.forEach(timer => clearTimeout(timer));
+        pendingRetries.clear();
+    };
+
+    return { listWebhooks, createWebhook, deleteWebhook, receiveMessage, dispatchMessage, stop };
+};
@@ -0,0 +1,22 @@
+// real-time-chat-app/server/routes/admin.js
+// Read-only admin API for watching the service and debugging live sessions. Server admins only
+// (CHAT_ADMINS, see controllers/rooms.js).
+import express from 'express';
+import { requireAuth } from '../utils/auth.js';
+
+export const createAdminRouter = ({ adminController }) => {
+    const router = express.Router();
+    router.use(requireAuth);
+
+    // GET /api/admin/rooms -> [{ id, name, ..., users: [username], sockets }]
+    router.get('/rooms', async (req, res) => {
+        res.json(await adminController.listRooms(req.user.username));
+    });
+
+    // GET /api/admin/users -> [{ username, status, rooms, sockets: [{ id, room, idle, instanceId }] }]
+    router.get('/users', async (req, res) => {
+        res.json(await adminController.listConnectedUsers(req.user.username));
+    });
+
+    return router;
+};
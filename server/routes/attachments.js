@@ -0,0 +1,69 @@
+// real-time-chat-app/server/routes/attachments.js
+// File uploads for chat attachments. Files are stored on local disk under their attachment id;
+// the metadata lives in the store. Messages reference attachments by id (see send_message).
+import express from 'express';
+import multer from 'multer';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { requireAuth } from '../utils/auth.js';
+import { ChatError } from '../utils/errors.js';
+import { receiveSingleFile } from '../utils/uploads.js';
+import { UPLOAD_DIR, MAX_UPLOAD_BYTES, ALLOWED_MIME_TYPES, toAttachmentInfo } from '../utils/attachments.js';
+
+export const createAttachmentsRouter = ({ store }) => {
+    const router = express.Router();
+
+    const upload = multer({
+        storage: multer.diskStorage({
+            destination: UPLOAD_DIR,
+            // Never trust the client's file name on disk
+            filename: (req, file, cb) => cb(null, randomUUID())
+        }),
+        limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+        fileFilter: (req, file, cb) => {
+            if (!ALLOWED_MIME_TYPES.has(file.mimetype)) {
+                return cb(new ChatError(415, `Files of type ${file.mimetype || 'unknown'} are not allowed.`));
+            }
+            cb(null, true);
+        }
+    });
+
+    const receiveFile = receiveSingleFile(upload, `Files can be at most ${Math.floor(MAX_UPLOAD_BYTES / (1024 * 1024))} MB.`);
+
+    // POST /api/attachments (multipart/form-data, field 'file') -> 201 { id, name, size, mimeType, url }
+    router.post('/', requireAuth, receiveFile, async (req, res) => {
+        if (!req.file) {
+            throw new ChatError(400, 'No file was uploaded.');
+        }
+        const attachment = await store.saveAttachment({
+            id: req.file.filename,
+            name: path.basename(req.file.originalname).slice(0, 255),
+            size: req.file.size,
+            mimeType: req.file.mimetype,
+            uploadedBy: req.user.username,
+            uploadedAt: new Date().toISOString()
+        });
+        console.log(`${req.user.username} uploaded attachment ${attachment.id} (${attachment.name})`);
+        res.status(201).json(toAttachmentInfo(attachment));
+    });
+
+    // GET /api/attachments/:id
+    // Not behind requireAuth so <img> tags and plain links work: the random id is the access key.
+    router.get('/:id', async (req, res) => {
+        const attachment = await store.getAttachment(req.params.id);
+        if (!attachment) {
+            throw new ChatError(404, 'Unknown attachment.');
+        }
+        // Images display inline; everything else is downloaded rather than opened by the browser.
+        // res.attachment() also guesses a Content-Type from the name, so the stored type is set after it.
+        res.attachment(attachment.name);
+        res.type(attachment.mimeType);
+        res.set('X-Content-Type-Options', 'nosniff');
+        if (attachment.mimeType.startsWith('image/')) {
+            res.set('Content-Disposition', res.get('Content-Disposition').replace(/^attachment/, 'inline'));
+        }
+        res.sendFile(attachment.id, { root: UPLOAD_DIR });
+    });
+
+    return router;
+};
@@ -0,0 +1,55 @@
+// real-time-chat-app/server/routes/auth.js
+// REST routes for registering and logging in. Both return { token, user } on success.
+import express from 'express';
+import { hashPassword, verifyPassword, signToken, USERNAME_PATTERN } from '../utils/auth.js';
+import { ROOM_MENTION } from '../utils/mentions.js';
+
+const MIN_PASSWORD_LENGTH = 6;
+
+export const createAuthRouter = ({ store }) => {
+    const router = express.Router();
+
+    // POST /api/auth/register { username, password }
+    router.post('/register', async (req, res) => {
+        const { username, password } = req.body || {};
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            return res.status(400).json({ error: 'Username must be 3-30 letters, numbers, dots, dashes or underscores.' });
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+        }
+        // '@room' mentions everyone in a room, so it can't be a username. Nor can the names of
+        // Object.prototype members ('constructor', '__proto__', ...), which ids may not be (see utils/validation.js).
+        if (username.toLowerCase() === ROOM_MENTION || username in Object.prototype) {
+            return res.status(409).json({ error: 'That username is reserved.' });
+        }
+
+        if (await store.getUser(username)) {
+            return res.status(409).json({ error: 'That username is already taken.' });
+        }
+
+        // Checked again when saving: another registration may have taken the name while we hashed
+        const user = await store.createUser({
+            username,
+            passwordHash: await hashPassword(password),
+            createdAt: new Date().toISOString()
+        });
+        if (!user) {
+            return res.status(409).json({ error: 'That username is already taken.' });
+        }
+        console.log(`User registered: ${username}`);
+        res.status(201).json({ token: signToken(user), user: { username } });
+    });
+
+    // POST /api/auth/login { username, password }
+    router.post('/login', async (req, res) => {
+        const { username, password } = req.body || {};
+        const user = typeof username === 'string' ? await store.getUser(username) : null;
+        if (!user || typeof password !== 'string' || !await verifyPassword(password, user.passwordHash)) {
+            return res.status(401).json({ error: 'Invalid username or password.' });
+        }
+        res.json({ token: signToken(user), user: { username } });
+    });
+
+    return router;
+};
@@ -0,0 +1,48 @@
+// real-time-chat-app/server/routes/monitoring.js
+// Probes and metrics for orchestrators and monitoring, outside /api:
+//   GET /healthz: the process is up (liveness)
+//   GET /readyz: it can serve traffic: not shutting down, and the store answers (readiness)
+//   GET /metrics: Prometheus metrics (see controllers/metrics.js). When CHAT_METRICS_TOKEN is set,
+//     scrapers must send it as 'Authorization: Bearer <token>'.
+import express from 'express';
+import { timingSafeEqual } from 'crypto';
+
+const METRICS_TOKEN = process.env.CHAT_METRICS_TOKEN || '';
+
+const isMetricsTokenValid = (header = '') => {
+    if (!METRICS_TOKEN) return true;
+    const expected = Buffer.from(`Bearer ${METRICS_TOKEN}`);
+    const actual = Buffer.from(header);
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+};
+
+// `isStopping()` tells whether the server has started shutting down
+export const createMonitoringRouter = ({ store, metrics, isStopping }) => {
+    const router = express.Router();
+
+    router.get('/healthz', (req, res) => {
+        res.json({ status: 'ok' });
+    });
+
+    router.get('/readyz', async (req, res) => {
+        if (isStopping()) {
+            return res.status(503).json({ status: 'unavailable', reason: 'Shutting down.' });
+        }
+        try {
+            await store.listRooms();
+        } catch (err) {
+            console.error('Readiness check failed:', err);
+            return res.status(503).json({ status: 'unavailable', reason: 'The store is not responding.' });
+        }
+        res.json({ status: 'ready' });
+    });
+
+    router.get('/metrics', async (req, res) => {
+        if (!isMetricsTokenValid(req.get('Authorization'))) {
+            return res.status(401).json({ error: 'Authentication required.' });
+        }
+        res.type('text/plain; version=0.0.4').send(await metrics.render());
+    });
+
+    return router;
+};
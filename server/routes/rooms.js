@@ -0,0 +1,148 @@
+// real-time-chat-app/server/routes/rooms.js
+// REST equivalents of the room socket events, plus transcript export and import and webhook setup.
+// Changes are broadcast to socket clients by the controller. Bodies are checked against the schema of
+// the matching socket event, so both APIs accept exactly the same fields.
+import express from 'express';
+import multer from 'multer';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { requireAuth } from '../utils/auth.js';
+import { ChatError } from '../utils/errors.js';
+import { receiveSingleFile } from '../utils/uploads.js';
+import { validatePayload } from '../utils/validation.js';
+import { SOCKET_EVENT_SCHEMAS, roomId } from '../schemas/socketEvents.js';
+import { getRoomRole } from '../controllers/rooms.js';
+
+// Largest transcript file POST /api/rooms/:room/import accepts
+const MAX_IMPORT_BYTES = Number(process.env.CHAT_MAX_IMPORT_BYTES) || 50 * 1024 * 1024; // 50 MB
+
+export const createRoomsRouter = ({ store, roomsController, messagesController, transcriptsController, webhooksController }) => {
+    const router = express.Router();
+    router.use(requireAuth);
+
+    // Every :room is checked with the room id rule before any route looks it up (400 'invalid_payload')
+    router.param('room', (req, res, next, room) => {
+        try {
+            validatePayload({ room: roomId() }, { room });
+            next();
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    // Imported transcripts are parsed in memory, never written to disk
+    const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_IMPORT_BYTES, files: 1 } });
+    const receiveTranscript = receiveSingleFile(upload, `Transcripts can be at most ${Math.floor(MAX_IMPORT_BYTES / (1024 * 1024))} MB.`);
+
+    // GET /api/rooms
+    router.get('/', async (req, res) => {
+        res.json(await store.listRooms());
+    });
+
+    // POST /api/rooms { name, description }
+    router.post('/', async (req, res) => {
+        const room = await roomsController.createRoom(req.user.username, validatePayload(SOCKET_EVENT_SCHEMAS.create_room, req.body || {}));
+        res.status(201).json(room);
+    });
+
+    // GET /api/rooms/:room
+    router.get('/:room', async (req, res) => {
+        res.json(await roomsController.getRoomOrThrow(req.params.room));
+    });
+
+    // GET /api/rooms/:room/messages?before=<ISO createdAt>&limit=50 -> { messages, hasMore }
+    router.get('/:room/messages', async (req, res) => {
+        await roomsController.getRoomOrThrow(req.params.room);
+        const { before, limit } = req.query;
+        res.json(await messagesController.getMessagePage(req.params.room, { before, limit }));
+    });
+
+    // GET /api/rooms/:room/messages/:messageId/thread -> { parent, replies }
+    router.get('/:room/messages/:messageId/thread', async (req, res) => {
+        await roomsController.getRoomOrThrow(req.params.room);
+        res.json(await messagesController.getThread(req.params.room, req.params.messageId));
+    });
+
+    // GET /api/rooms/:room/export?format=json|csv|md|html&from=<date>&to=<date>&notices=true
+    // Downloads the room's history (thread replies included) as a file, streamed. `from`/`to` limit it
+    // to a time range, `notices` adds who joined and left. Only JSON exports can be imported back.
+    router.get('/:room/export', async (req, res) => {
+        const roomInfo = await roomsController.getRoomOrThrow(req.params.room);
+        const { format, from, to, notices } = req.query;
+        const { contentType, filename, chunks } = await transcriptsController.exportRoom(roomInfo, {
+            format,
+            from,
+            to,
+            notices: notices === 'true' || notices === '1',
+            baseUrl: `${req.protocol}://${req.get('host')}`
+        });
+        res.attachment(filename);
+        res.type(contentType);
+        res.set('X-Content-Type-Options', 'nosniff');
+        await pipeline(Readable.from(chunks), res);
+    });
+
+    // POST /api/rooms/:room/import (multipart/form-data, field 'file': a JSON export) -> { imported, skipped, notices }
+    // Room owners only; see transcriptsController.importRoom.
+    // The room and role are checked before the upload is read, so others can't make us buffer a large file.
+    router.post('/:room/import', async (req, res, next) => {
+        const roomInfo = await roomsController.getWritableRoomOrThrow(req.params.room);
+        if (getRoomRole(roomInfo, req.user.username) !== 'owner') {
+            throw new ChatError(403, 'Only the room owner can import messages.');
+        }
+        req.roomInfo = roomInfo;
+        next();
+    }, receiveTranscript, async (req, res) => {
+        if (!req.file) {
+            throw new ChatError(400, 'No file was uploaded.');
+        }
+        let transcript;
+        try {
+            transcript = JSON.parse(req.file.buffer.toString('utf8'));
+        } catch {
+            throw new ChatError(400, 'The file is not a JSON export.');
+        }
+        res.json(await transcriptsController.importRoom(req.user.username, req.roomInfo, transcript));
+    });
+
+    // --- Webhooks (room owners; see controllers/webhooks.js) ---
+    // GET /api/rooms/:room/webhooks -> [{ id, direction, name, url, keywords, createdBy, createdAt }]
+    router.get('/:room/webhooks', async (req, res) => {
+        const roomInfo = await roomsController.getRoomOrThrow(req.params.room);
+        res.json(await webhooksController.listWebhooks(req.user.username, roomInfo));
+    });
+
+    // POST /api/rooms/:room/webhooks { direction: 'incoming', name } -> 201 { ..., path }
+    // POST /api/rooms/:room/webhooks { direction: 'outgoing', name, url, keywords } -> 201 { ..., secret }
+    router.post('/:room/webhooks', async (req, res) => {
+        const roomInfo = await roomsController.getRoomOrThrow(req.params.room);
+        res.status(201).json(await webhooksController.createWebhook(req.user.username, roomInfo, req.body || {}));
+    });
+
+    // DELETE /api/rooms/:room/webhooks/:webhookId
+    router.delete('/:room/webhooks/:webhookId', async (req, res) => {
+        const roomInfo = await roomsController.getRoomOrThrow(req.params.room);
+        await webhooksController.deleteWebhook(req.user.username, roomInfo, req.params.webhookId);
+        res.status(204).end();
+    });
+
+    // PATCH /api/rooms/:room { name, description }
+    router.patch('/:room', async (req, res) => {
+        const { room, ...changes } = validatePayload(SOCKET_EVENT_SCHEMAS.rename_room, { ...req.body, room: req.params.room });
+        res.json(await roomsController.renameRoom(req.user.username, room, changes));
+    });
+
+    // POST /api/rooms/:room/archive { archived = true }
+    router.post('/:room/archive', async (req, res) => {
+        const { room, archived } = validatePayload(SOCKET_EVENT_SCHEMAS.archive_room, { ...req.body, room: req.params.room });
+        res.json(await roomsController.archiveRoom(req.user.username, room, archived));
+    });
+
+    // DELETE /api/rooms/:room
+    router.delete('/:room', async (req, res) => {
+        await roomsController.deleteRoom(req.user.username, req.params.room);
+        res.status(204).end();
+    });
+
+    return router;
+};
@@ -0,0 +1,17 @@
+// real-time-chat-app/server/routes/search.js
+import express from 'express';
+import { requireAuth } from '../utils/auth.js';
+
+export const createSearchRouter = ({ searchController }) => {
+    const router = express.Router();
+    router.use(requireAuth);
+
+    // GET /api/search?q=deploy failed&room=&user=&before=&after=&limit=20
+    // `before`/`after` are ISO dates. Every word of `q` must match (the last one as a prefix).
+    router.get('/', async (req, res) => {
+        const { q, room, user, before, after, limit } = req.query;
+        res.json(await searchController.search({ q, room, user, before, after, limit }));
+    });
+
+    return router;
+};
@@ -0,0 +1,17 @@
+// real-time-chat-app/server/routes/webhooks.js
+// Incoming webhooks: CI, alerting and bots post into a room here, without a user login. The URL
+// itself (webhook id and token) is the credential; room owners set webhooks up under
+// /api/rooms/:room/webhooks (see controllers/webhooks.js).
+import express from 'express';
+
+export const createWebhooksRouter = ({ webhooksController }) => {
+    const router = express.Router();
+
+    // POST /api/webhooks/:webhookId/:token { text, displayName, parentId, alsoInRoom } -> 201 message
+    router.post('/:webhookId/:token', async (req, res) => {
+        const { webhookId, token } = req.params;
+        res.status(201).json(await webhooksController.receiveMessage(webhookId, token, req.body || {}));
+    });
+
+    return router;
+};
@@ -0,0 +1,76 @@
+// real-time-chat-app/server/schemas/socketEvents.js
+// What each socket event accepts from clients (validators in utils/validation.js). safeHandler in
+// server.js checks every inbound payload against its event's schema before the handler runs, so
+// handlers only ever see these fields, with the right types and sanitized text.
+// Limits that depend on stored data (room name rules, message length, ...) stay in the controllers,
+// which the REST routes share.
+import { text, id, boolean, integer, oneOf, isoDate, arrayOf, recordOf } from '../utils/validation.js';
+import { USERNAME_PATTERN } from '../utils/auth.js';
+import { ROOM_ID_PATTERN } from '../controllers/rooms.js';
+import { MAX_MESSAGE_PAGE_SIZE, MAX_ATTACHMENTS_PER_MESSAGE, MAX_EMOJI_LENGTH } from '../controllers/messages.js';
+import { PRESENCE_STATUSES } from '../controllers/presence.js';
+import { MAX_SLOW_MODE_SECONDS, MAX_RESTRICTION_SECONDS, MAX_REASON_LENGTH } from '../controllers/moderation.js';
+
+// Message and attachment ids are UUIDs; messages stored before that used the sender's socket id
+const RECORD_ID_PATTERN = /^[\w-]{1,64}$/;
+// A reconnecting client can't have cached more rooms than this
+const MAX_CATCH_UP_ROOMS = 200;
+
+// Validators for the ids every schema uses (also used by schemas/transcript.js)
+export const roomId = (options) => id({ pattern: ROOM_ID_PATTERN, ...options });
+export const messageId = (options) => id({ pattern: RECORD_ID_PATTERN, ...options });
+export const username = (options) => id({ pattern: USERNAME_PATTERN, ...options });
+export const emoji = () => id({ pattern: /^\S+$/u, maxLength: MAX_EMOJI_LENGTH });
+const reason = () => text({ optional: true, allowEmpty: true, maxLength: MAX_REASON_LENGTH });
+// Omitted: until lifted
+const duration = () => integer({ optional: true, min: 1, max: MAX_RESTRICTION_SECONDS });
+
+export const SOCKET_EVENT_SCHEMAS = {
+    join_room: { room: roomId(), lastMessageId: messageId({ optional: true }) },
+    // Text may be empty when the message only carries attachments. `parentId` makes it a thread reply.
+    send_message: {
+        room: roomId(),
+        message: text({ optional: true, allowEmpty: true, fallback: '' }),
+        attachments: arrayOf(messageId(), { optional: true, maxItems: MAX_ATTACHMENTS_PER_MESSAGE }),
+        parentId: messageId({ optional: true }),
+        alsoInRoom: boolean({ optional: true, fallback: false })
+    },
+    mark_read: { room: roomId(), messageId: messageId() },
+    mute_room: { room: roomId(), muted: boolean({ optional: true, fallback: true }) },
+
+    edit_message: { room: roomId(), messageId: messageId(), message: text() },
+    delete_message: { room: roomId(), messageId: messageId() },
+    add_reaction: { room: roomId(), messageId: messageId(), emoji: emoji() },
+    remove_reaction: { room: roomId(), messageId: messageId(), emoji: emoji() },
+
+    catch_up: { rooms: recordOf(roomId(), messageId(), { optional: true, fallback: {}, maxEntries: MAX_CATCH_UP_ROOMS }) },
+    load_thread: { room: roomId(), parentId: messageId() },
+    load_older_messages: {
+        room: roomId(),
+        before: isoDate({ optional: true }),
+        limit: integer({ optional: true, min: 1, max: MAX_MESSAGE_PAGE_SIZE })
+    },
+
+    private_message: { to: username(), message: text() },
+    load_private_messages: { withUser: username() },
+
+    create_room: { name: text(), description: text({ optional: true, allowEmpty: true }) },
+    rename_room: { room: roomId(), name: text(), description: text({ optional: true, allowEmpty: true }) },
+    archive_room: { room: roomId(), archived: boolean({ optional: true, fallback: true }) },
+    delete_room: { room: roomId() },
+
+    kick_user: { room: roomId(), username: username(), reason: reason() },
+    ban_user: { room: roomId(), username: username(), durationSeconds: duration(), reason: reason() },
+    unban_user: { room: roomId(), username: username() },
+    mute_user: { room: roomId(), username: username(), durationSeconds: duration(), reason: reason() },
+    unmute_user: { room: roomId(), username: username() },
+    set_slow_mode: { room: roomId(), seconds: integer({ min: 0, max: MAX_SLOW_MODE_SECONDS }) },
+    set_room_role: { room: roomId(), username: username(), role: oneOf(['moderator', 'member']) },
+    get_room_restrictions: { room: roomId() },
+
+    set_status: { status: oneOf(PRESENCE_STATUSES) },
+    set_idle: { idle: boolean() },
+
+    typing: { room: roomId(), parentId: messageId({ optional: true }) },
+    stop_typing: { room: roomId(), parentId: messageId({ optional: true }) }
+};
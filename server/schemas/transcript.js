@@ -0,0 +1,62 @@
+// real-time-chat-app/server/schemas/transcript.js
+// What a JSON transcript must look like to be imported (see utils/transcripts.js for how it is
+// written and controllers/transcripts.js for the import). Checked with the same validators as the
+// socket events, so imported records only carry known fields, with the right types and sanitized text.
+import { text, id, boolean, integer, oneOf, isoDate, arrayOf, recordOf, objectOf } from '../utils/validation.js';
+import { USERNAME_PATTERN } from '../utils/auth.js';
+import { roomId, messageId, username, emoji } from './socketEvents.js';
+import { MAX_MESSAGE_LENGTH, MAX_ATTACHMENTS_PER_MESSAGE } from '../controllers/messages.js';
+import { MAX_DISPLAY_NAME_LENGTH } from '../controllers/commands.js';
+import { BOT_USERNAME_PATTERN } from '../controllers/webhooks.js';
+import { TRANSCRIPT_TYPE, TRANSCRIPT_VERSION } from '../utils/transcripts.js';
+
+// Most messages (and notices) one import can add
+export const MAX_IMPORTED_RECORDS = 50000;
+
+const messageText = () => text({ optional: true, allowEmpty: true, fallback: '', maxLength: MAX_MESSAGE_LENGTH });
+
+// Messages are by users, or by incoming webhooks (bot messages)
+const MESSAGE_AUTHOR_PATTERN = new RegExp(`${USERNAME_PATTERN.source}|${BOT_USERNAME_PATTERN.source}`);
+
+const TRANSCRIPT_MESSAGE_SCHEMA = {
+    id: messageId(),
+    username: id({ pattern: MESSAGE_AUTHOR_PATTERN }),
+    displayName: text({ optional: true, maxLength: MAX_DISPLAY_NAME_LENGTH }),
+    message: messageText(),
+    createdAt: isoDate(),
+    timestamp: text({ optional: true, allowEmpty: true, maxLength: 20 }),
+    isAction: boolean({ optional: true }),
+    isBot: boolean({ optional: true }),
+    parentId: messageId({ optional: true }),
+    alsoInRoom: boolean({ optional: true }),
+    replyCount: integer({ optional: true, min: 0 }),
+    lastReplyAt: isoDate({ optional: true }),
+    editedAt: isoDate({ optional: true }),
+    edits: arrayOf(objectOf({ message: messageText(), editedAt: isoDate() }), { optional: true }),
+    deleted: boolean({ optional: true }),
+    deletedBy: username({ optional: true }),
+    deletedAt: isoDate({ optional: true }),
+    reactions: recordOf(emoji(), arrayOf(username()), { optional: true }),
+    // The url is left out: it is rebuilt from the id, so it always points at this server
+    attachments: arrayOf(objectOf({
+        id: messageId(),
+        name: text({ maxLength: 255 }),
+        size: integer({ min: 0 }),
+        mimeType: text({ maxLength: 255 })
+    }), { optional: true, maxItems: MAX_ATTACHMENTS_PER_MESSAGE })
+};
+
+const TRANSCRIPT_NOTICE_SCHEMA = {
+    id: messageId(),
+    type: oneOf(['join', 'leave']),
+    username: username(),
+    createdAt: isoDate()
+};
+
+export const TRANSCRIPT_SCHEMA = {
+    type: oneOf([TRANSCRIPT_TYPE]),
+    version: oneOf([TRANSCRIPT_VERSION]),
+    room: objectOf({ id: roomId() }, { optional: true, fallback: {} }),
+    messages: arrayOf(objectOf(TRANSCRIPT_MESSAGE_SCHEMA), { maxItems: MAX_IMPORTED_RECORDS }),
+    notices: arrayOf(objectOf(TRANSCRIPT_NOTICE_SCHEMA), { optional: true, fallback: [], maxItems: MAX_IMPORTED_RECORDS })
+};
@@ -0,0 +1,30 @@
+// real-time-chat-app/server/schemas/webhooks.js
+// What the webhook REST routes accept (see controllers/webhooks.js), checked with the same
+// validators as the socket events.
+import { text, boolean, oneOf, arrayOf } from '../utils/validation.js';
+import { messageId } from './socketEvents.js';
+import { MAX_MESSAGE_LENGTH } from '../controllers/messages.js';
+import { MAX_DISPLAY_NAME_LENGTH } from '../controllers/commands.js';
+
+export const MAX_WEBHOOK_KEYWORDS = 20;
+const MAX_KEYWORD_LENGTH = 50;
+const MAX_URL_LENGTH = 2000;
+
+export const WEBHOOK_SCHEMAS = {
+    // POST /api/rooms/:room/webhooks. The name is what the room sees as the author of an incoming
+    // webhook's messages (unless a message brings its own displayName).
+    create: {
+        direction: oneOf(['incoming', 'outgoing']),
+        name: text({ maxLength: MAX_DISPLAY_NAME_LENGTH }),
+        url: text({ optional: true, maxLength: MAX_URL_LENGTH }),
+        keywords: arrayOf(text({ maxLength: MAX_KEYWORD_LENGTH }), { optional: true, fallback: [], maxItems: MAX_WEBHOOK_KEYWORDS })
+    },
+    // POST /api/webhooks/:webhookId/:token: a message from a bot. `displayName` overrides the name
+    // shown on this message; `parentId` posts it as a reply in that message's thread.
+    message: {
+        text: text({ maxLength: MAX_MESSAGE_LENGTH }),
+        displayName: text({ optional: true, maxLength: MAX_DISPLAY_NAME_LENGTH }),
+        parentId: messageId({ optional: true }),
+        alsoInRoom: boolean({ optional: true, fallback: false })
+    }
+};
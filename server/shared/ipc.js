@@ -0,0 +1,71 @@
+// real-time-chat-app/server/shared/ipc.js
+// Lets cluster workers use services (store, search index, shared state) that live in the primary
+// process. A worker gets a proxy whose methods send { service, method, args } to the primary and
+// resolve with what the real method returned there. Every service method must be async-safe and
+// take/return plain data (the cluster uses the 'advanced' serialization, so undefined survives).
+// A ChatError thrown in the primary is rebuilt in the worker, so its status and code still reach the client.
+import { ChatError } from '../utils/errors.js';
+
+const REQUEST = 'chat:ipc-request';
+const RESPONSE = 'chat:ipc-response';
+
+// --- Primary side ---
+// Answers the requests of one worker with the given { serviceName: service } map
+export const serveOverIpc = (worker, services) => {
+    worker.on('message', async (message) => {
+        if (message?.type !== REQUEST) return;
+        const { id, service, method, args } = message;
+        try {
+            const target = services[service];
+            if (!target || typeof target[method] !== 'function') {
+                throw new Error(`Unknown shared method: ${service}.${method}`);
+            }
+            const result = await target[method](...args);
+            worker.send({ type: RESPONSE, id, result });
+        } catch (err) {
+            const chatError = err instanceof ChatError
+                ? { status: err.status, code: err.code, details: err.details }
+                : undefined;
+            worker.send({ type: RESPONSE, id, error: err.message, chatError });
+        }
+    });
+};
+
+// --- Worker side ---
+let nextRequestId = 1;
+const pendingRequests = new Map(); // request id -> { resolve, reject }
+let isListening = false;
+
+const listenForResponses = () => {
+    if (isListening) return;
+    isListening = true;
+    process.on('message', (message) => {
+        if (message?.type !== RESPONSE) return;
+        const request = pendingRequests.get(message.id);
+        if (!request) return;
+        pendingRequests.delete(message.id);
+        if (message.chatError) {
+            const { status, code, details } = message.chatError;
+            request.reject(new ChatError(status, message.error, { ...details, code }));
+        } else if (message.error !== undefined) {
+            request.reject(new Error(message.error));
+        } else {
+            request.resolve(message.result);
+        }
+    });
+};
+
+// Returns an object whose every method is forwarded to `serviceName` in the primary
+export const createIpcProxy = (serviceName) => {
+    listenForResponses();
+    return new Proxy({}, {
+        get: (target, method) => {
+            if (method === 'then') return undefined; // Not a promise (so it can be awaited/returned safely)
+            return (...args) => new Promise((resolve, reject) => {
+                const id = nextRequestId++;
+                pendingRequests.set(id, { resolve, reject });
+                process.send({ type: REQUEST, id, service: serviceName, method, args });
+            });
+        }
+    });
+};
@@ -0,0 +1,77 @@
+// real-time-chat-app/server/shared/memoryState.js
+// In-memory implementation of the shared state backend: short-lived state that every server
+// process must agree on (who is connected where, who is typing, ...), as hashes of JSON values.
+// The interface is async and Redis-like so a networked backend can replace it. In a cluster the
+// primary process holds this one and the workers reach it over IPC (see shared/ipc.js).
+
+export const createMemoryState = () => {
+    // key -> Map(field -> value)
+    const hashes = new Map();
+    // key -> { tokens, updatedAt } for takeToken()
+    const buckets = new Map();
+    // Last value returned by now()
+    let lastTime = 0;
+
+    return {
+        async hget(key, field) {
+            return hashes.get(key)?.get(field) ?? null;
+        },
+
+        async hset(key, field, value) {
+            if (!hashes.has(key)) hashes.set(key, new Map());
+            hashes.get(key).set(field, value);
+        },
+
+        // Returns true if the field existed
+        async hdel(key, field) {
+            const hash = hashes.get(key);
+            if (!hash || !hash.delete(field)) return false;
+            if (hash.size === 0) hashes.delete(key);
+            return true;
+        },
+
+        // Adds `increment` (may be fractional) to a numeric field, starting from 0. Returns the new value.
+        // Atomic, unlike a hget + hset, so counters updated by several processes don't lose increments.
+        async hincrby(key, field, increment) {
+            if (!hashes.has(key)) hashes.set(key, new Map());
+            const hash = hashes.get(key);
+            const value = (hash.get(field) || 0) + increment;
+            hash.set(field, value);
+            return value;
+        },
+
+        // Returns { field: value } (empty for an unknown key)
+        async hgetall(key) {
+            return Object.fromEntries(hashes.get(key) || []);
+        },
+
+        async del(key) {
+            hashes.delete(key);
+            buckets.delete(key);
+        },
+
+        // Token bucket: holds up to `capacity` tokens and regains `refillPerSecond` of them per second.
+        // Takes one token if there is one. Returns { allowed, retryAfterMs } (the wait for the next token).
+        // Atomic, unlike a hget + hset, so concurrent processes can't both take the last token.
+        async takeToken(key, capacity, refillPerSecond) {
+            const now = Date.now();
+            const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+            bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond);
+            bucket.updatedAt = now;
+            buckets.set(key, bucket);
+            if (bucket.tokens >= 1) {
+                bucket.tokens -= 1;
+                return { allowed: true, retryAfterMs: 0 };
+            }
+            return { allowed: false, retryAfterMs: Math.ceil(((1 - bucket.tokens) / refillPerSecond) * 1000) };
+        },
+
+        // Like Date.now(), but never returns the same millisecond twice. Message createdAt values are
+        // used as cursors (paging, missed messages, read positions), so two messages must not share one.
+        // Only the primary holds the shared state, so this holds across every process of a cluster.
+        async now() {
+            lastTime = Math.max(Date.now(), lastTime + 1);
+            return lastTime;
+        }
+    };
+};
@@ -0,0 +1,38 @@
+// real-time-chat-app/server/shared/services.js
+// The services every server process must share: the store, the search index and the shared state.
+// A single process owns them directly; in a cluster the primary owns them and workers use proxies.
+import { createStore } from '../store/index.js';
+import { createSearchIndex } from '../utils/searchIndex.js';
+import { createSearchController } from '../controllers/search.js';
+import { createMemoryState } from './memoryState.js';
+import { createIpcProxy } from './ipc.js';
+
+// Rooms every new store starts with
+export const DEFAULT_ROOMS = ['general', 'random', 'tech', 'sports']; // Example: Add more default rooms
+
+// Creates and loads the services. `store` is a store type, 'file' (default) or 'memory', or a store
+// object that still has to be loaded (see store/index.js); the CHAT_STORE and CHAT_DATA_FILE
+// environment variables pick the type and data file when not given.
+export const createLocalServices = async ({
+    store: storeOption = process.env.CHAT_STORE,
+    dataFile = process.env.CHAT_DATA_FILE,
+    defaultRooms = DEFAULT_ROOMS
+} = {}) => {
+    const store = typeof storeOption === 'object' && storeOption !== null
+        ? storeOption
+        : createStore({ type: storeOption || 'file', filePath: dataFile, defaultRooms });
+    await store.init();
+
+    // Full-text index over room messages, rebuilt from the store on startup
+    const searchIndex = createSearchIndex();
+    await createSearchController({ store, searchIndex }).rebuildIndex();
+
+    return { store, searchIndex, state: createMemoryState() };
+};
+
+// Services of the cluster primary, for a worker (see cluster.js)
+export const connectToPrimaryServices = () => ({
+    store: createIpcProxy('store'),
+    searchIndex: createIpcProxy('searchIndex'),
+    state: createIpcProxy('state')
+});
@@ -0,0 +1,91 @@
+// real-time-chat-app/server/store/fileStore.js
+// JSON-file implementation of the chat store. Data is kept in memory and the whole snapshot is
+// written to disk WRITE_DELAY_MS after a change (with every change made meanwhile), so history
+// survives restarts without a write per message. close() writes what is still waiting.
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createEmptyData, createRoomRecord, createStoreFromData } from './memoryStore.js';
+
+const WRITE_DELAY_MS = Number(process.env.CHAT_STORE_WRITE_DELAY_MS) || 1000;
+
+export const createFileStore = ({ filePath, defaultRooms = [] }) => {
+    const data = createEmptyData(defaultRooms);
+    let writeTimer = null;
+    let writeInProgress = null;
+    let writePending = false;
+
+    // Writes to a temp file first and renames it, so a crash mid-write can't corrupt the data file
+    const writeSnapshot = async () => {
+        const tempPath = `${filePath}.tmp`;
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(tempPath, JSON.stringify(data));
+        await fs.rename(tempPath, filePath);
+    };
+
+    // Saves the snapshot. Changes made while a write is running are coalesced into one follow-up write.
+    const save = () => {
+        if (writeInProgress) {
+            writePending = true;
+            return writeInProgress;
+        }
+        writeInProgress = (async () => {
+            try {
+                do {
+                    writePending = false;
+                    await writeSnapshot();
+                } while (writePending);
+            } finally {
+                writeInProgress = null;
+            }
+        })();
+        return writeInProgress;
+    };
+
+    // Called after every change: schedules a save unless one is already scheduled. Doesn't wait for it,
+    // so a failed write is only logged (the next change tries again).
+    const persist = () => {
+        if (writeTimer) return;
+        writeTimer = setTimeout(() => {
+            writeTimer = null;
+            save().catch(err => console.error('Error saving chat data:', err));
+        }, WRITE_DELAY_MS);
+    };
+
+    const store = createStoreFromData(data, persist);
+
+    return {
+        ...store,
+
+        // Loads the existing data file, if any, on top of the default rooms
+        async init() {
+            let saved;
+            try {
+                saved = JSON.parse(await fs.readFile(filePath, 'utf8'));
+            } catch (err) {
+                if (err.code === 'ENOENT') return; // First run: nothing saved yet
+                throw err;
+            }
+            Object.entries(saved.rooms || {}).forEach(([id, room]) => {
+                data.rooms[id] = createRoomRecord(id, room);
+            });
+            Object.assign(data.privateMessages, saved.privateMessages);
+            Object.assign(data.users, saved.users);
+            Object.assign(data.readPositions, saved.readPositions);
+            Object.assign(data.attachments, saved.attachments);
+            Object.assign(data.mentions, saved.mentions);
+            Object.assign(data.restrictions, saved.restrictions);
+            Object.assign(data.webhooks, saved.webhooks);
+        },
+
+        // Writes the changes still waiting for their save, or waits for the write in progress
+        async close() {
+            if (writeTimer) {
+                clearTimeout(writeTimer);
+                writeTimer = null;
+                await save();
+            } else if (writeInProgress) {
+                await writeInProgress;
+            }
+        }
+    };
+};
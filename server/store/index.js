@@ -0,0 +1,21 @@
+// real-time-chat-app/server/store/index.js
+// Picks the store implementation. Every store exposes the same async interface
+// (see memoryStore.js), so server code doesn't care where data lives.
+import { fileURLToPath } from 'url';
+import { createMemoryStore } from './memoryStore.js';
+import { createFileStore } from './fileStore.js';
+
+// type: 'file' (default, persisted to disk) or 'memory'
+export const createStore = ({ type = 'file', filePath, defaultRooms = [] } = {}) => {
+    switch (type) {
+        case 'memory':
+            return createMemoryStore({ defaultRooms });
+        case 'file':
+            return createFileStore({
+                filePath: filePath || fileURLToPath(new URL('../data/chat.json', import.meta.url)),
+                defaultRooms
+            });
+        default:
+            throw new Error(`Unknown store type: ${type}`);
+    }
+};
@@ -0,0 +1,393 @@
+// real-time-chat-app/server/store/memoryStore.js
+// In-memory implementation of the chat store. Everything is lost when the process exits.
+
+// Builds a room record. Rooms are keyed by a stable `id`; `name` is the display name and can be renamed.
+// Records saved before room metadata existed only have `messages`, so every field gets a default.
+export const createRoomRecord = (id, fields = {}) => ({
+    id,
+    name: id,
+    description: '',
+    createdBy: null, // null for the built-in rooms
+    createdAt: new Date().toISOString(),
+    archived: false,
+    moderators: [], // Usernames the owner made moderators
+    slowModeSeconds: 0, // Members can post once per this many seconds (0 = off)
+    messages: [],
+    notices: [], // Join/leave notices, for transcripts: [{ id, type: 'join' | 'leave', username, createdAt }]
+    ...fields
+});
+
+// Strips the messages and notices off a room record, leaving its metadata
+const toRoomMetadata = ({ messages, notices, ...metadata }) => metadata;
+
+// Only the newest notices of a room are kept
+const MAX_ROOM_NOTICES = 5000;
+
+// Orders messages/notices by createdAt; ones saved before createdAt existed sort as the oldest
+const byCreatedAt = (a, b) => (a.createdAt || '').localeCompare(b.createdAt || '');
+
+// Looks up a record by key. Own keys only: 'constructor' or '__proto__' must not find Object.prototype's members.
+const getOwn = (records, key) => (Object.hasOwn(records, key) ? records[key] : null);
+
+// Whether a message shows in its room's timeline: thread replies only do when also posted to the room
+const isInTimeline = (message) => !message.parentId || message.alsoInRoom === true;
+
+// Builds an empty data snapshot with the given rooms
+export const createEmptyData = (defaultRooms = []) => ({
+    // { 'roomId': { id, name, description, createdBy, createdAt, archived, messages: [{ messageObject }, ...] } }
+    rooms: Object.fromEntries(defaultRooms.map(room => [room, createRoomRecord(room)])),
+    // { 'alice|bob': [{ messageObject }, ...] }
+    privateMessages: {},
+    // { 'username': { username, passwordHash, createdAt, mutedRooms: ['roomId', ...] } }
+    users: {},
+    // Last message each user has read per room: { 'roomId': { 'username': { messageId, createdAt } } }
+    readPositions: {},
+    // Uploaded file metadata (the files live on disk): { 'attachmentId': { id, name, size, mimeType, uploadedBy, uploadedAt } }
+    attachments: {},
+    // Messages that mentioned each user: { 'username': [{ messageId, room, from, type: 'user' | 'room', createdAt }] }
+    mentions: {},
+    // Bans and mutes per room: { 'roomId': { ban: { 'username': restriction }, mute: { ... } } }
+    // where a restriction is { by, reason, createdAt, until } (until is null when it doesn't expire)
+    restrictions: {},
+    // Room webhooks (see controllers/webhooks.js): { 'webhookId': { id, room, direction: 'incoming' | 'outgoing', ... } }
+    webhooks: {}
+});
+
+// Builds an order-independent key for a DM conversation
+export const getConversationKey = (userA, userB) => [userA, userB].sort().join('|');
+
+// Wraps a data snapshot with the store interface.
+// `onChange` is called after every mutation (used by persistent stores to save the snapshot).
+export const createStoreFromData = (data, onChange = () => {}) => {
+    return {
+        async init() {},
+
+        async close() {},
+
+        // --- Rooms ---
+        // Room methods return metadata only; messages are read through getMessages()
+        async listRooms() {
+            return Object.values(data.rooms).map(toRoomMetadata);
+        },
+
+        async getRoom(room) {
+            const record = getOwn(data.rooms, room);
+            return record ? toRoomMetadata(record) : null;
+        },
+
+        async createRoom({ id, ...fields }) {
+            data.rooms[id] = createRoomRecord(id, fields);
+            await onChange();
+            return toRoomMetadata(data.rooms[id]);
+        },
+
+        // Updates metadata fields (name, description, archived, ...); returns null for an unknown room
+        async updateRoom(room, changes) {
+            if (!getOwn(data.rooms, room)) return null;
+            data.rooms[room] = {
+                ...data.rooms[room],
+                ...changes,
+                id: room,
+                messages: data.rooms[room].messages,
+                notices: data.rooms[room].notices
+            };
+            await onChange();
+            return toRoomMetadata(data.rooms[room]);
+        },
+
+        // Deletes a room and its whole history
+        async deleteRoom(room) {
+            if (!getOwn(data.rooms, room)) return false;
+            delete data.rooms[room];
+            delete data.readPositions[room];
+            delete data.restrictions[room];
+            Object.values(data.webhooks).filter(webhook => webhook.room === room).forEach(webhook => {
+                delete data.webhooks[webhook.id];
+            });
+            Object.keys(data.mentions).forEach(username => {
+                data.mentions[username] = data.mentions[username].filter(mention => mention.room !== room);
+            });
+            await onChange();
+            return true;
+        },
+
+        // --- Room messages ---
+        // Returns messages in chronological order. With `before`/`after` (ISO createdAt values), only
+        // messages older/newer than that; with `limit`, only the newest `limit` of those.
+        // Thread replies (messages with a `parentId`) are stored with the room's other messages:
+        // `timeline: true` leaves out the ones not also posted to the room, `parentId` keeps only the
+        // replies to that message.
+        async getMessages(room, { before, after, limit, timeline = false, parentId } = {}) {
+            if (!getOwn(data.rooms, room)) return [];
+            let messages = data.rooms[room].messages;
+            if (timeline) {
+                messages = messages.filter(isInTimeline);
+            }
+            if (parentId) {
+                messages = messages.filter(message => message.parentId === parentId);
+            }
+            // Messages saved before createdAt existed sort as the oldest
+            if (before) {
+                messages = messages.filter(message => (message.createdAt || '') < before);
+            }
+            if (after) {
+                messages = messages.filter(message => (message.createdAt || '') > after);
+            }
+            return limit ? messages.slice(-limit) : [...messages];
+        },
+
+        async getMessage(room, messageId) {
+            return getOwn(data.rooms, room)?.messages.find(message => message.id === messageId) || null;
+        },
+
+        // Returns { before, after }: up to `size` messages on each side of a message, in chronological order.
+        // The neighbours of a thread reply are the other replies in its thread.
+        async getMessageContext(room, messageId, size) {
+            const allMessages = getOwn(data.rooms, room)?.messages || [];
+            const target = allMessages.find(message => message.id === messageId);
+            if (!target) return { before: [], after: [] };
+            const messages = target.parentId
+                ? allMessages.filter(message => message.parentId === target.parentId)
+                : allMessages.filter(isInTimeline);
+            const index = messages.findIndex(message => message.id === messageId);
+            return {
+                before: messages.slice(Math.max(index - size, 0), index),
+                after: messages.slice(index + 1, index + 1 + size)
+            };
+        },
+
+        // Replaces fields of a stored message; returns the updated message, or null if it doesn't exist
+        async updateMessage(room, messageId, changes) {
+            const messages = getOwn(data.rooms, room)?.messages;
+            const index = messages ? messages.findIndex(message => message.id === messageId) : -1;
+            if (index === -1) return null;
+            messages[index] = { ...messages[index], ...changes, id: messageId };
+            await onChange();
+            return messages[index];
+        },
+
+        // Counts a new reply in a thread: adds 1 to the parent's replyCount and moves its lastReplyAt
+        // forward to `repliedAt`. Returns the updated parent, or null if it doesn't exist.
+        // Reads and writes in one step, so concurrent replies can't lose a count.
+        async incrementReplyCount(room, parentId, repliedAt) {
+            const message = getOwn(data.rooms, room)?.messages.find(msg => msg.id === parentId);
+            if (!message) return null;
+            message.replyCount = (message.replyCount || 0) + 1;
+            if (!message.lastReplyAt || repliedAt > message.lastReplyAt) {
+                message.lastReplyAt = repliedAt;
+            }
+            await onChange();
+            return message;
+        },
+
+        // Adds/removes a user's reaction. Reactions are stored on the message as
+        // { 'emoji': ['username', ...] }; an emoji nobody uses anymore is dropped.
+        async addReaction(room, messageId, emoji, username) {
+            const message = getOwn(data.rooms, room)?.messages.find(msg => msg.id === messageId);
+            if (!message) return null;
+            const users = message.reactions?.[emoji] || [];
+            if (!users.includes(username)) {
+                message.reactions = { ...message.reactions, [emoji]: [...users, username] };
+                await onChange();
+            }
+            return message;
+        },
+
+        async removeReaction(room, messageId, emoji, username) {
+            const message = getOwn(data.rooms, room)?.messages.find(msg => msg.id === messageId);
+            if (!message) return null;
+            const users = message.reactions?.[emoji] || [];
+            if (users.includes(username)) {
+                const { [emoji]: removed, ...otherReactions } = message.reactions;
+                const remainingUsers = removed.filter(user => user !== username);
+                message.reactions = remainingUsers.length > 0
+                    ? { ...otherReactions, [emoji]: remainingUsers }
+                    : otherReactions;
+                await onChange();
+            }
+            return message;
+        },
+
+        // Appends a message to an existing room
+        async addMessage(room, message) {
+            if (!getOwn(data.rooms, room)) {
+                throw new Error(`Unknown room: ${room}`);
+            }
+            data.rooms[room].messages.push(message);
+            await onChange();
+            return message;
+        },
+
+        // Adds messages restored from an export, keeping their ids and times; messages whose id the
+        // room already has are skipped. Returns the messages that were added.
+        async importMessages(room, messages) {
+            if (!getOwn(data.rooms, room)) {
+                throw new Error(`Unknown room: ${room}`);
+            }
+            const existingIds = new Set(data.rooms[room].messages.map(message => message.id));
+            const added = messages.filter(message => !existingIds.has(message.id));
+            if (added.length > 0) {
+                data.rooms[room].messages = [...data.rooms[room].messages, ...added].sort(byCreatedAt);
+                await onChange();
+            }
+            return added;
+        },
+
+        // --- Room notices ---
+        // Returns a room's join/leave notices in chronological order, optionally only those
+        // older/newer than `before`/`after` (ISO createdAt values)
+        async getRoomNotices(room, { before, after } = {}) {
+            let notices = getOwn(data.rooms, room)?.notices || [];
+            if (before) {
+                notices = notices.filter(notice => notice.createdAt < before);
+            }
+            if (after) {
+                notices = notices.filter(notice => notice.createdAt > after);
+            }
+            return [...notices];
+        },
+
+        // Adds notices to a room (skipping ids it already has), dropping the oldest beyond MAX_ROOM_NOTICES.
+        // Returns the notices that were added.
+        async addRoomNotices(room, notices) {
+            if (!getOwn(data.rooms, room)) return [];
+            const existingIds = new Set(data.rooms[room].notices.map(notice => notice.id));
+            const added = notices.filter(notice => !existingIds.has(notice.id));
+            if (added.length > 0) {
+                data.rooms[room].notices = [...data.rooms[room].notices, ...added].sort(byCreatedAt).slice(-MAX_ROOM_NOTICES);
+                await onChange();
+            }
+            return added;
+        },
+
+        // --- Read positions ---
+        // Returns { 'username': { messageId, createdAt } } for a room
+        async getReadPositions(room) {
+            return { ...data.readPositions[room] };
+        },
+
+        async setReadPosition(room, username, position) {
+            if (!data.readPositions[room]) {
+                data.readPositions[room] = {};
+            }
+            data.readPositions[room][username] = position;
+            await onChange();
+        },
+
+        // --- Mentions ---
+        // Returns a user's mentions in chronological order, optionally only those in `room` / newer than `after`
+        async getMentions(username, { room, after } = {}) {
+            return (getOwn(data.mentions, username) || []).filter(mention => (
+                (!room || mention.room === room) && (!after || mention.createdAt > after)
+            ));
+        },
+
+        async addMention(username, mention) {
+            if (!getOwn(data.mentions, username)) {
+                data.mentions[username] = [];
+            }
+            data.mentions[username].push(mention);
+            await onChange();
+            return mention;
+        },
+
+        // --- Moderation ---
+        // Returns { ban: { 'username': restriction }, mute: { ... } } for a room
+        async getRoomRestrictions(room) {
+            return { ban: { ...data.restrictions[room]?.ban }, mute: { ...data.restrictions[room]?.mute } };
+        },
+
+        // Sets (or with `restriction` null, lifts) a user's 'ban' or 'mute' in a room
+        async setRoomRestriction(room, kind, username, restriction) {
+            if (!data.restrictions[room]) {
+                data.restrictions[room] = { ban: {}, mute: {} };
+            }
+            if (restriction) {
+                data.restrictions[room][kind][username] = restriction;
+            } else {
+                delete data.restrictions[room][kind][username];
+            }
+            await onChange();
+        },
+
+        // --- Webhooks ---
+        async listWebhooks(room) {
+            return Object.values(data.webhooks).filter(webhook => webhook.room === room);
+        },
+
+        async getWebhook(webhookId) {
+            return Object.hasOwn(data.webhooks, webhookId) ? data.webhooks[webhookId] : null;
+        },
+
+        async saveWebhook(webhook) {
+            data.webhooks[webhook.id] = webhook;
+            await onChange();
+            return webhook;
+        },
+
+        async deleteWebhook(webhookId) {
+            if (!Object.hasOwn(data.webhooks, webhookId)) return false;
+            delete data.webhooks[webhookId];
+            await onChange();
+            return true;
+        },
+
+        // --- Attachments ---
+        async getAttachment(attachmentId) {
+            return getOwn(data.attachments, attachmentId);
+        },
+
+        async saveAttachment(attachment) {
+            data.attachments[attachment.id] = attachment;
+            await onChange();
+            return attachment;
+        },
+
+        // --- Direct messages ---
+        async getPrivateMessages(userA, userB) {
+            return [...(data.privateMessages[getConversationKey(userA, userB)] || [])];
+        },
+
+        async addPrivateMessage(userA, userB, message) {
+            const key = getConversationKey(userA, userB);
+            if (!data.privateMessages[key]) {
+                data.privateMessages[key] = [];
+            }
+            data.privateMessages[key].push(message);
+            await onChange();
+            return message;
+        },
+
+        // Lists the usernames a user has DM history with
+        async listConversationPartners(username) {
+            return Object.keys(data.privateMessages)
+                         .map(key => key.split('|'))
+                         .filter(pair => pair.includes(username))
+                         .map(([userA, userB]) => (userA === username ? userB : userA));
+        },
+
+        // --- Users ---
+        async getUser(username) {
+            return getOwn(data.users, username);
+        },
+
+        // Adds a new user; returns null (and changes nothing) if the username is taken.
+        // Checks and writes in one step, so two registrations can't both claim a name.
+        async createUser(user) {
+            if (Object.hasOwn(data.users, user.username)) return null;
+            data.users[user.username] = { ...user };
+            await onChange();
+            return data.users[user.username];
+        },
+
+        async saveUser(user) {
+            data.users[user.username] = { ...data.users[user.username], ...user };
+            await onChange();
+            return data.users[user.username];
+        }
+    };
+};
+
+export const createMemoryStore = ({ defaultRooms = [] } = {}) => {
+    return createStoreFromData(createEmptyData(defaultRooms));
+};
@@ -0,0 +1,631 @@
+// real-time-chat-app/server/test/chatServer.test.js
+// Integration tests: a chat server on a free port with an in-memory store, driven by real
+// socket.io-client connections. Run with `npm test`.
+import { describe, test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { EventEmitter } from 'events';
+import { io as connectClient } from 'socket.io-client';
+import { createStore } from '../store/index.js';
+import { serveOverIpc, createIpcProxy } from '../shared/ipc.js';
+import { ChatError } from '../utils/errors.js';
+
+// Outgoing webhooks in these tests post to a server on this machine. Read when the modules load.
+process.env.CHAT_WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+const { createChatServer } = await import('../chatServer.js');
+
+const EVENT_TIMEOUT_MS = 2000;
+
+let chatServer;
+let serverUrl;
+// Every client a test opened, disconnected after it
+const openClients = new Set();
+let nextUserId = 1;
+
+// Registers a new user and returns { username, token }
+const registerUser = async (name) => {
+    const username = `${name}${nextUserId++}`;
+    const response = await fetch(`${serverUrl}/api/auth/register`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password: 'secret123' })
+    });
+    assert.equal(response.status, 201);
+    return { username, token: (await response.json()).token };
+};
+
+// Resolves with the payload of the next `eventName` matching `predicate`; rejects after EVENT_TIMEOUT_MS
+const waitForEvent = (socket, eventName, predicate = () => true) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+        socket.off(eventName, listener);
+        reject(new Error(`Timed out waiting for '${eventName}'`));
+    }, EVENT_TIMEOUT_MS);
+    const listener = (payload) => {
+        if (!predicate(payload)) return;
+        clearTimeout(timer);
+        socket.off(eventName, listener);
+        resolve(payload);
+    };
+    socket.on(eventName, listener);
+});
+
+// Opens a socket for a user. Resolves once connected, with the rooms the server sent on connection.
+const connectUser = async ({ token }) => {
+    const socket = connectClient(serverUrl, { auth: { token }, transports: ['websocket'], autoConnect: false, reconnection: false });
+    openClients.add(socket);
+    const availableRooms = waitForEvent(socket, 'available_rooms');
+    socket.connect();
+    return { socket, rooms: await availableRooms };
+};
+
+// Joins a room and resolves with its 'initial_messages_in_room' payload
+const joinRoom = async (socket, room) => {
+    const initialMessages = waitForEvent(socket, 'initial_messages_in_room', payload => payload.room === room);
+    socket.emit('join_room', { room });
+    return initialMessages;
+};
+
+// Registers a user, connects and joins a room
+const userInRoom = async (name, room) => {
+    const user = await registerUser(name);
+    const { socket } = await connectUser(user);
+    await joinRoom(socket, room);
+    return { ...user, socket };
+};
+
+before(async () => {
+    chatServer = await createChatServer({ port: 0, store: 'memory', defaultRooms: ['general', 'random'] });
+    const { port } = await chatServer.start();
+    serverUrl = `http://127.0.0.1:${port}`;
+});
+
+afterEach(() => {
+    openClients.forEach(socket => socket.disconnect());
+    openClients.clear();
+});
+
+after(async () => {
+    await chatServer.stop();
+});
+
+describe('connecting', () => {
+    test('sends the available rooms to an authenticated client', async () => {
+        const { rooms } = await connectUser(await registerUser('alice'));
+        assert.deepEqual(rooms.map(room => room.id), ['general', 'random']);
+    });
+
+    test('rejects a client without a valid token', async () => {
+        const socket = connectClient(serverUrl, { auth: { token: 'not-a-token' }, transports: ['websocket'], reconnection: false });
+        openClients.add(socket);
+        const error = await waitForEvent(socket, 'connect_error');
+        assert.equal(error.message, 'Authentication failed');
+    });
+
+    test('registers a username only once, even when asked twice at the same time', async () => {
+        const register = () => fetch(`${serverUrl}/api/auth/register`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username: 'carol-race', password: 'secret123' })
+        });
+        const statuses = (await Promise.all([register(), register()])).map(response => response.status);
+        assert.deepEqual(statuses.sort(), [201, 409]);
+    });
+
+    test('refuses the names of Object.prototype members as usernames', async () => {
+        const register = await fetch(`${serverUrl}/api/auth/register`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username: 'toString', password: 'secret123' })
+        });
+        assert.equal(register.status, 409);
+        assert.equal((await register.json()).error, 'That username is reserved.');
+        const login = await fetch(`${serverUrl}/api/auth/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username: 'constructor', password: 'secret123' })
+        });
+        assert.equal(login.status, 401);
+    });
+});
+
+describe('rooms', () => {
+    test('joining sends the history and announces the user', async () => {
+        const alice = await userInRoom('alice', 'general');
+        const bob = await registerUser('bob');
+        const { socket } = await connectUser(bob);
+
+        const joined = waitForEvent(alice.socket, 'user_joined_notification_in_room');
+        const onlineUsers = waitForEvent(alice.socket, 'online_users_update_in_room', ({ users }) => users.includes(bob.username));
+        const initialMessages = await joinRoom(socket, 'general');
+
+        assert.deepEqual(initialMessages, { room: 'general', messages: [], hasMore: false });
+        assert.deepEqual(await joined, { username: bob.username, room: 'general' });
+        assert.ok((await onlineUsers).users.includes(alice.username));
+    });
+
+    test('switching rooms leaves the previous one', async () => {
+        const alice = await userInRoom('alice', 'general');
+        const bob = await userInRoom('bob', 'general');
+
+        const left = waitForEvent(alice.socket, 'user_left_notification_in_room', ({ username }) => username === bob.username);
+        const onlineUsers = waitForEvent(alice.socket, 'online_users_update_in_room', ({ room, users }) => (
+            room === 'general' && !users.includes(bob.username)
+        ));
+        await joinRoom(bob.socket, 'random');
+
+        assert.deepEqual(await left, { username: bob.username, room: 'general' });
+        assert.ok((await onlineUsers).users.includes(alice.username));
+    });
+
+    test('joining an unknown room fails through the ack', async () => {
+        const { socket } = await connectUser(await registerUser('alice'));
+        const response = await socket.emitWithAck('join_room', { room: 'no-such-room' });
+        assert.equal(response.ok, false);
+        assert.equal(response.code, 'not_found');
+    });
+
+    test('refuses REST room requests with a bad room id or fields of the wrong type', async () => {
+        const alice = await registerUser('alice');
+        const authHeaders = { 'Content-Type': 'application/json', Authorization: `Bearer ${alice.token}` };
+        const room = await (await fetch(`${serverUrl}/api/rooms`, {
+            method: 'POST',
+            headers: authHeaders,
+            body: JSON.stringify({ name: 'Strict' })
+        })).json();
+
+        const archive = await fetch(`${serverUrl}/api/rooms/${room.id}/archive`, {
+            method: 'POST',
+            headers: authHeaders,
+            body: JSON.stringify({ archived: 'false' })
+        });
+        assert.equal(archive.status, 400);
+        assert.equal((await archive.json()).code, 'invalid_payload');
+        const rename = await fetch(`${serverUrl}/api/rooms/${room.id}`, {
+            method: 'PATCH',
+            headers: authHeaders,
+            body: JSON.stringify({ name: 42 })
+        });
+        assert.equal(rename.status, 400);
+        const { archived } = await (await fetch(`${serverUrl}/api/rooms/${room.id}`, { headers: authHeaders })).json();
+        assert.notEqual(archived, true);
+        for (const path of ['/api/rooms/constructor', '/api/rooms/__proto__/messages', '/api/rooms/Not%20an%20id/export']) {
+            assert.equal((await fetch(`${serverUrl}${path}`, { headers: authHeaders })).status, 400, path);
+        }
+    });
+});
+
+describe('messaging', () => {
+    test('delivers a message to the room and acks the sender', async () => {
+        const alice = await userInRoom('alice', 'general');
+        const bob = await userInRoom('bob', 'general');
+        const carol = await userInRoom('carol', 'random');
+
+        const received = waitForEvent(bob.socket, 'receive_message');
+        const unread = waitForEvent(carol.socket, 'new_message_in_room');
+        const response = await alice.socket.emitWithAck('send_message', { room: 'general', message: 'Hello, world' });
+
+        assert.equal(response.ok, true);
+        assert.equal(response.message.username, alice.username);
+        assert.equal(response.message.message, 'Hello, world');
+        assert.deepEqual(await received, response.message);
+        assert.deepEqual(await unread, { room: 'general', message: response.message });
+    });
+
+    test('sends the history to users joining later', async () => {
+        const alice = await userInRoom('alice', 'random');
+        const { message } = await alice.socket.emitWithAck('send_message', { room: 'random', message: 'Anyone here?' });
+
+        const { socket } = await connectUser(await registerUser('bob'));
+        const { messages } = await joinRoom(socket, 'random');
+        assert.equal(messages.at(-1).id, message.id);
+    });
+
+    test('rejects an invalid payload', async () => {
+        const alice = await userInRoom('alice', 'general');
+        const response = await alice.socket.emitWithAck('send_message', { room: 'general', message: 42 });
+        assert.equal(response.ok, false);
+        assert.equal(response.code, 'invalid_payload');
+    });
+
+    test('stores Markdown as typed and skips mentions inside code', async () => {
+        const alice = await userInRoom('alice', 'general');
+        const bob = await userInRoom('bob', 'general');
+        const mentions = [];
+        bob.socket.on('mention', ({ message }) => mentions.push(message.message));
+
+        const source = `**Deploy** with:\n\`\`\`sh\nnpm i @${bob.username}/cli\n\`\`\``;
+        const received = waitForEvent(bob.socket, 'receive_message', ({ message }) => message === source);
+        await alice.socket.emitWithAck('send_message', { room: 'general', message: source });
+        await received;
+        const mentioned = waitForEvent(bob.socket, 'mention');
+        await alice.socket.emitWithAck('send_message', { room: 'general', message: `Thanks \`@x\` @${bob.username}` });
+        await mentioned;
+
+        assert.deepEqual(mentions, [`Thanks \`@x\` @${bob.username}`]);
+    });
+
+    test("/nick can't take another user's username", async () => {
+        const alice = await userInRoom('alice', 'general');
+        const bob = await registerUser('bob');
+
+        const response = await alice.socket.emitWithAck('send_message', { room: 'general', message: `/nick ${bob.username}` });
+        assert.equal(response.ok, false);
+        assert.equal(response.code, 'conflict');
+    });
+
+    test('counts every reply of a thread, even when they arrive together', async () => {
+        const alice = await userInRoom('alice', 'general');
+        const { message: parent } = await alice.socket.emitWithAck('send_message', { room: 'general', message: 'Thread starter' });
+
+        const replies = await Promise.all([1, 2, 3, 4].map(n => (
+            alice.socket.emitWithAck('send_message', { room: 'general', parentId: parent.id, message: `Reply ${n}` })
+        )));
+        assert.ok(replies.every(reply => reply.ok));
+        const { parent: updated } = await (await fetch(`${serverUrl}/api/rooms/general/messages/${parent.id}/thread`, {
+            headers: { Authorization: `Bearer ${alice.token}` }
+        })).json();
+        assert.equal(updated.replyCount, 4);
+    });
+});
+
+describe('private messages', () => {
+    test('acks a direct message, and refuses one to an unknown user through the ack', async () => {
+        const alice = await registerUser('alice');
+        const bob = await registerUser('bob');
+        const { socket } = await connectUser(alice);
+
+        const sent = await socket.emitWithAck('private_message', { to: bob.username, message: 'Hi Bob' });
+        assert.equal(sent.ok, true);
+        assert.equal(sent.message.to, bob.username);
+        const refused = await socket.emitWithAck('private_message', { to: 'nobody-here', message: 'Hello?' });
+        assert.equal(refused.ok, false);
+        assert.equal(refused.code, 'not_found');
+    });
+});
+
+describe('moderation', () => {
+    test('a user muted in a room can neither edit messages nor react', async () => {
+        const alice = await registerUser('alice');
+        const room = await (await fetch(`${serverUrl}/api/rooms`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${alice.token}` },
+            body: JSON.stringify({ name: 'Moderated' })
+        })).json();
+        const { socket: aliceSocket } = await connectUser(alice);
+        await joinRoom(aliceSocket, room.id);
+        const bob = await userInRoom('bob', room.id);
+        const { message } = await bob.socket.emitWithAck('send_message', { room: room.id, message: 'Before the mute' });
+
+        assert.equal((await aliceSocket.emitWithAck('mute_user', { room: room.id, username: bob.username })).ok, true);
+
+        const edit = await bob.socket.emitWithAck('edit_message', { room: room.id, messageId: message.id, message: 'Rewritten' });
+        assert.equal(edit.code, 'muted_in_room');
+        const reaction = await bob.socket.emitWithAck('add_reaction', { room: room.id, messageId: message.id, emoji: '👍' });
+        assert.equal(reaction.code, 'muted_in_room');
+    });
+});
+
+describe('typing', () => {
+    test('tells the room who is typing', async () => {
+        const alice = await userInRoom('alice', 'general');
+        const bob = await userInRoom('bob', 'general');
+
+        const typing = waitForEvent(bob.socket, 'user_typing_update_in_room', ({ users }) => users.includes(alice.username));
+        alice.socket.emit('typing', { room: 'general' });
+        assert.equal((await typing).room, 'general');
+
+        const stopped = waitForEvent(bob.socket, 'user_typing_update_in_room', ({ users }) => !users.includes(alice.username));
+        alice.socket.emit('stop_typing', { room: 'general' });
+        await stopped;
+    });
+
+    test('ignores typing in a room the user is not in', async () => {
+        const alice = await userInRoom('alice', 'random');
+        const bob = await userInRoom('bob', 'general');
+
+        let updates = 0;
+        bob.socket.on('user_typing_update_in_room', () => updates++);
+        alice.socket.emit('typing', { room: 'general' });
+        // A round trip after the typing event, so the server has handled it
+        await alice.socket.emitWithAck('load_older_messages', { room: 'random' });
+        assert.equal(updates, 0);
+    });
+});
+
+describe('disconnecting', () => {
+    test('the room hears that the user left and they go offline', async () => {
+        const alice = await userInRoom('alice', 'general');
+        const bob = await userInRoom('bob', 'general');
+
+        const left = waitForEvent(alice.socket, 'user_left_notification_in_room', ({ username }) => username === bob.username);
+        const offline = waitForEvent(alice.socket, 'presence_update', ({ username }) => username === bob.username);
+        bob.socket.disconnect();
+
+        assert.deepEqual(await left, { username: bob.username, room: 'general' });
+        const presence = await offline;
+        assert.equal(presence.status, 'offline');
+        assert.ok(presence.lastSeenAt);
+    });
+
+    test('a user with another tab open stays in the room', async () => {
+        const alice = await userInRoom('alice', 'general');
+        const bob = await userInRoom('bob', 'general');
+        const { socket: secondTab } = await connectUser(bob);
+        await joinRoom(secondTab, 'general');
+
+        const onlineUsers = waitForEvent(alice.socket, 'online_users_update_in_room');
+        let leftNotices = 0;
+        alice.socket.on('user_left_notification_in_room', () => leftNotices++);
+        bob.socket.disconnect();
+
+        assert.ok((await onlineUsers).users.includes(bob.username));
+        assert.equal(leftNotices, 0);
+    });
+
+    test('stopping the server waits for the leave notices of the users it disconnects', async () => {
+        // A slow store (like one reached over IPC in a cluster). It is closed last: what it holds by
+        // then is what a file store would have saved.
+        const store = createStore({ type: 'memory', defaultRooms: ['general'] });
+        const { addRoomNotices } = store;
+        store.addRoomNotices = async (...args) => {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            return addRoomNotices(...args);
+        };
+        let noticesWhenClosed;
+        store.close = async () => {
+            noticesWhenClosed = await store.getRoomNotices('general');
+        };
+        const server = await createChatServer({ port: 0, store, defaultRooms: ['general'] });
+        const { port } = await server.start();
+        const url = `http://127.0.0.1:${port}`;
+        const { token } = await (await fetch(`${url}/api/auth/register`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username: 'last-user', password: 'secret123' })
+        })).json();
+        const socket = connectClient(url, { auth: { token }, transports: ['websocket'], reconnection: false });
+        openClients.add(socket);
+        const joined = waitForEvent(socket, 'initial_messages_in_room');
+        socket.emit('join_room', { room: 'general' });
+        await joined;
+
+        await server.stop();
+        assert.deepEqual(noticesWhenClosed.map(notice => notice.type), ['join', 'leave']);
+    });
+});
+
+describe('transcripts', () => {
+    test('exports the room history with join and leave notices', async () => {
+        const alice = await userInRoom('alice', 'random');
+        const { message } = await alice.socket.emitWithAck('send_message', { room: 'random', message: 'For the record' });
+        const left = waitForEvent(alice.socket, 'online_users_update_in_room', ({ room }) => room === 'general');
+        await joinRoom(alice.socket, 'general');
+        await left;
+
+        const response = await fetch(`${serverUrl}/api/rooms/random/export?format=json&notices=true`, {
+            headers: { Authorization: `Bearer ${alice.token}` }
+        });
+        assert.equal(response.status, 200);
+        const transcript = await response.json();
+        assert.equal(transcript.room.id, 'random');
+        assert.ok(transcript.messages.some(({ id }) => id === message.id));
+        const notices = transcript.notices.filter(({ username }) => username === alice.username);
+        assert.deepEqual(notices.map(({ type }) => type), ['join', 'leave']);
+    });
+
+    test('escapes user text in the CSV, Markdown and HTML exports', async () => {
+        const alice = await registerUser('alice');
+        const authHeaders = { 'Content-Type': 'application/json', Authorization: `Bearer ${alice.token}` };
+        const room = await (await fetch(`${serverUrl}/api/rooms`, {
+            method: 'POST',
+            headers: authHeaders,
+            body: JSON.stringify({ name: 'Untrusted' })
+        })).json();
+        const { socket } = await connectUser(alice);
+        await joinRoom(socket, room.id);
+        await socket.emitWithAck('send_message', { room: room.id, message: '=HYPERLINK("http://example.com")' });
+        await socket.emitWithAck('send_message', { room: room.id, message: '<script>alert(1)</script> **bold**' });
+        const exportAs = async (format) => (await fetch(`${serverUrl}/api/rooms/${room.id}/export?format=${format}`, {
+            headers: authHeaders
+        })).text();
+
+        const csv = await exportAs('csv');
+        assert.ok(csv.includes(`"'=HYPERLINK(""http://example.com"")"`));
+        assert.ok(!csv.split(/\r\n|,/).some(field => field.startsWith('=')));
+        const markdown = await exportAs('md');
+        assert.ok(markdown.includes('&lt;script&gt;alert(1)&lt;/script&gt; **bold**'));
+        assert.ok(!markdown.includes('<script>'));
+        const html = await exportAs('html');
+        assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+        assert.ok(!html.includes('<script>'));
+    });
+
+    test('imports a JSON export once, and only for the room owner', async () => {
+        const alice = await registerUser('alice');
+        const bob = await registerUser('bob');
+        const authHeaders = { 'Content-Type': 'application/json', Authorization: `Bearer ${alice.token}` };
+        const createRoom = async (name) => (await fetch(`${serverUrl}/api/rooms`, {
+            method: 'POST',
+            headers: authHeaders,
+            body: JSON.stringify({ name })
+        })).json();
+        const source = await createRoom('Old home');
+        const { socket } = await connectUser(alice);
+        await joinRoom(socket, source.id);
+        const { message: parent } = await socket.emitWithAck('send_message', { room: source.id, message: 'Moving out' });
+        await socket.emitWithAck('send_message', { room: source.id, parentId: parent.id, message: 'Packed' });
+        const exported = await (await fetch(`${serverUrl}/api/rooms/${source.id}/export?format=json`, { headers: authHeaders })).text();
+        const target = await createRoom('New home');
+        const importAs = async ({ token }) => {
+            const form = new FormData();
+            form.append('file', new Blob([exported], { type: 'application/json' }), 'transcript.json');
+            return fetch(`${serverUrl}/api/rooms/${target.id}/import`, {
+                method: 'POST',
+                headers: { Authorization: `Bearer ${token}` },
+                body: form
+            });
+        };
+
+        assert.equal((await importAs(bob)).status, 403);
+        assert.deepEqual(await (await importAs(alice)).json(), { imported: 2, skipped: 0, notices: 0 });
+        assert.deepEqual(await (await importAs(alice)).json(), { imported: 0, skipped: 2, notices: 0 });
+        const { messages } = await (await fetch(`${serverUrl}/api/rooms/${target.id}/messages`, { headers: authHeaders })).json();
+        assert.deepEqual(messages.map(message => message.message), ['Moving out']);
+        assert.equal(messages[0].replyCount, 1);
+    });
+});
+
+describe('webhooks', () => {
+    test('an incoming webhook posts a bot message to the room', async () => {
+        const alice = await registerUser('alice');
+        const authHeaders = { 'Content-Type': 'application/json', Authorization: `Bearer ${alice.token}` };
+        const room = await (await fetch(`${serverUrl}/api/rooms`, {
+            method: 'POST',
+            headers: authHeaders,
+            body: JSON.stringify({ name: 'Deploys' })
+        })).json();
+        const webhook = await (await fetch(`${serverUrl}/api/rooms/${room.id}/webhooks`, {
+            method: 'POST',
+            headers: authHeaders,
+            body: JSON.stringify({ direction: 'incoming', name: 'ci-bot' })
+        })).json();
+        const { socket } = await connectUser(alice);
+        await joinRoom(socket, room.id);
+
+        const received = waitForEvent(socket, 'receive_message');
+        const response = await fetch(`${serverUrl}${webhook.path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ text: 'Build passed', displayName: 'CI' })
+        });
+        assert.equal(response.status, 201);
+        const message = await received;
+        assert.equal(message.username, `webhook:${webhook.id}`);
+        assert.equal(message.displayName, 'CI');
+        assert.equal(message.message, 'Build passed');
+        assert.equal(message.isBot, true);
+    });
+
+    test("an incoming webhook named like a user doesn't post as that user", async () => {
+        const alice = await registerUser('alice');
+        const bob = await registerUser('bob');
+        const authHeaders = { 'Content-Type': 'application/json', Authorization: `Bearer ${alice.token}` };
+        const room = await (await fetch(`${serverUrl}/api/rooms`, {
+            method: 'POST',
+            headers: authHeaders,
+            body: JSON.stringify({ name: 'Impostors' })
+        })).json();
+        const webhook = await (await fetch(`${serverUrl}/api/rooms/${room.id}/webhooks`, {
+            method: 'POST',
+            headers: authHeaders,
+            body: JSON.stringify({ direction: 'incoming', name: bob.username })
+        })).json();
+        const { socket } = await connectUser(alice);
+        await joinRoom(socket, room.id);
+
+        const received = waitForEvent(socket, 'receive_message');
+        await fetch(`${serverUrl}${webhook.path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ text: 'Hello from a bot' })
+        });
+        const message = await received;
+        assert.equal(message.username, `webhook:${webhook.id}`);
+        assert.equal(message.displayName, bob.username);
+    });
+
+    test("a mention of a name that isn't a user (@constructor) doesn't stop outgoing webhooks", async () => {
+        const deliveries = [];
+        const receiver = createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                deliveries.push(JSON.parse(body));
+                res.end();
+            });
+        });
+        await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+        try {
+            const alice = await registerUser('alice');
+            const authHeaders = { 'Content-Type': 'application/json', Authorization: `Bearer ${alice.token}` };
+            const room = await (await fetch(`${serverUrl}/api/rooms`, {
+                method: 'POST',
+                headers: authHeaders,
+                body: JSON.stringify({ name: 'Hooked' })
+            })).json();
+            await fetch(`${serverUrl}/api/rooms/${room.id}/webhooks`, {
+                method: 'POST',
+                headers: authHeaders,
+                body: JSON.stringify({ direction: 'outgoing', name: 'relay', url: `http://127.0.0.1:${receiver.address().port}/` })
+            });
+            const { socket } = await connectUser(alice);
+            await joinRoom(socket, room.id);
+            const errors = [];
+            socket.on('error', error => errors.push(error));
+
+            const sent = await socket.emitWithAck('send_message', { room: room.id, message: '@constructor @__proto__ hi' });
+            assert.equal(sent.ok, true);
+            // A round trip after the message, so the server has finished publishing it
+            await socket.emitWithAck('load_older_messages', { room: room.id });
+            for (let waited = 0; deliveries.length === 0 && waited < EVENT_TIMEOUT_MS; waited += 50) {
+                await new Promise(resolve => setTimeout(resolve, 50));
+            }
+            assert.equal(deliveries.length, 1);
+            assert.equal(deliveries[0].message.id, sent.message.id);
+            assert.deepEqual(errors, []);
+        } finally {
+            receiver.close();
+        }
+    });
+});
+
+describe('monitoring', () => {
+    test('answers the health and readiness probes', async () => {
+        assert.equal((await fetch(`${serverUrl}/healthz`)).status, 200);
+        const readiness = await fetch(`${serverUrl}/readyz`);
+        assert.equal(readiness.status, 200);
+        assert.deepEqual(await readiness.json(), { status: 'ready' });
+    });
+
+    test('counts messages and refused events in the metrics', async () => {
+        const alice = await userInRoom('alice', 'random');
+        await alice.socket.emitWithAck('send_message', { room: 'random', message: 'Counted' });
+        await alice.socket.emitWithAck('send_message', { room: 'random', message: 42 });
+
+        const response = await fetch(`${serverUrl}/metrics`);
+        assert.equal(response.status, 200);
+        const metrics = await response.text();
+        assert.match(metrics, /^chat_messages_total\{room="random"\} [1-9]/m);
+        assert.match(metrics, /^chat_socket_events_rejected_total\{event="send_message",code="invalid_payload"\} [1-9]/m);
+        assert.match(metrics, /^chat_room_users\{room="random"\} [1-9]/m);
+    });
+
+    test('keeps the admin API to server admins', async () => {
+        const alice = await registerUser('alice');
+        const response = await fetch(`${serverUrl}/api/admin/users`, { headers: { Authorization: `Bearer ${alice.token}` } });
+        assert.equal(response.status, 403);
+    });
+});
+
+describe('cluster', () => {
+    test('a ChatError thrown by a service in the primary reaches the worker with its status and code', async () => {
+        // This process plays both sides: a fake worker handle for the primary, process.send for the worker
+        const worker = new EventEmitter();
+        worker.send = (message) => process.emit('message', message);
+        serveOverIpc(worker, {
+            store: { getRoom: async (room) => { throw new ChatError(404, `Unknown room: ${room}`, { room }); } }
+        });
+        const originalSend = process.send;
+        process.send = (message) => worker.emit('message', message);
+        try {
+            const error = await createIpcProxy('store').getRoom('nowhere').catch(err => err);
+            assert.ok(error instanceof ChatError);
+            assert.equal(error.status, 404);
+            assert.equal(error.code, 'not_found');
+            assert.equal(error.message, 'Unknown room: nowhere');
+            assert.deepEqual(error.details, { room: 'nowhere' });
+        } finally {
+            process.send = originalSend;
+        }
+    });
+});
@@ -0,0 +1,32 @@
+// real-time-chat-app/server/utils/attachments.js
+// Upload settings and the public shape of attachments
+import { fileURLToPath } from 'url';
+
+export const UPLOAD_DIR = process.env.UPLOAD_DIR || fileURLToPath(new URL('../uploads', import.meta.url));
+export const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_BYTES) || 10 * 1024 * 1024; // 10 MB
+
+// Screenshots, logs and common documents. No SVG or HTML: they could run scripts when opened.
+export const ALLOWED_MIME_TYPES = new Set([
+    'image/png',
+    'image/jpeg',
+    'image/gif',
+    'image/webp',
+    'text/plain',
+    'text/csv',
+    'application/json',
+    'application/pdf',
+    'application/zip',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+]);
+
+// The public shape of an attachment, as sent to clients and stored on messages
+export const toAttachmentInfo = ({ id, name, size, mimeType }) => ({
+    id,
+    name,
+    size,
+    mimeType,
+    url: `/api/attachments/${id}`
+});
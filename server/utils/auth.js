@@ -0,0 +1,73 @@
+// real-time-chat-app/server/utils/auth.js
+// Password hashing (scrypt) and signed session tokens (HMAC-SHA256, JWT-compatible format).
+import crypto from 'crypto';
+
+const TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60; // Sessions last a week
+export const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,30}$/;
+
+// Tokens are signed with AUTH_SECRET. Without it, a random secret is used and every restart logs everyone out.
+const secret = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.AUTH_SECRET) {
+    console.warn('AUTH_SECRET is not set: using a random secret, sessions will not survive a restart.');
+}
+
+const scrypt = (password, salt) => new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (err, derivedKey) => (err ? reject(err) : resolve(derivedKey)));
+});
+
+// Returns 'salt:hash' (hex) for storing
+export const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt);
+    return `${salt}:${hash.toString('hex')}`;
+};
+
+export const verifyPassword = async (password, storedHash) => {
+    const [salt, hash] = (storedHash || '').split(':');
+    if (!salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, salt);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+const sign = (data) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+// Creates a token for the given user: header.payload.signature
+export const signToken = ({ username }) => {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({ sub: username, iat: now, exp: now + TOKEN_TTL_SECONDS }));
+    return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+};
+
+// Returns { username } for a valid, unexpired token, or null
+export const verifyToken = (token) => {
+    if (typeof token !== 'string') return null;
+    const [header, payload, signature] = token.split('.');
+    if (!header || !payload || !signature) return null;
+
+    const expected = Buffer.from(sign(`${header}.${payload}`));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+        const { sub, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (!sub || exp < Math.floor(Date.now() / 1000)) return null;
+        return { username: sub };
+    } catch {
+        return null;
+    }
+};
+
+// Express middleware for REST routes: requires 'Authorization: Bearer <token>' and sets req.user
+export const requireAuth = (req, res, next) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    const identity = scheme === 'Bearer' ? verifyToken(token) : null;
+    if (!identity) {
+        return res.status(401).json({ error: 'Authentication required.' });
+    }
+    req.user = identity;
+    next();
+};
@@ -0,0 +1,86 @@
+// real-time-chat-app/server/utils/commands.js
+// Registry of slash commands ('/me waves', '/msg bob hi'). A message starting with '/' is run as a
+// command instead of being posted; '//' posts the rest with one leading slash, e.g. '//shrug' -> '/shrug'.
+//
+// A command is { name, description, args, run }:
+//   args: [{ name, type, optional }] in order. `type` is 'user', 'room', 'command' or 'text' (clients
+//     use it to autocomplete). Each arg takes one word, except a last 'text' arg, which takes the rest.
+//   run(context, args): `args` is { argName: value }; `context` is what the caller passes to execute().
+//     Returns the feedback for the issuer: a string, or { feedback, action } (action tells the client
+//     to do something, e.g. { type: 'join_room', room }), or nothing.
+import { ChatError } from './errors.js';
+
+const COMMAND_NAME_PATTERN = /^[a-z][a-z0-9_-]*$/;
+
+// '/msg bob hi there' -> { name: 'msg', args: 'bob hi there' }; null if the text isn't a command
+export const parseCommand = (text) => {
+    if (typeof text !== 'string' || !text.startsWith('/') || text.startsWith('//')) return null;
+    const match = /^\/(\S+)\s*([\s\S]*)$/.exec(text);
+    return match ? { name: match[1].toLowerCase(), args: match[2].trim() } : null;
+};
+
+// '/msg <user> <message>'
+export const formatUsage = (command) => [
+    `/${command.name}`,
+    ...command.args.map(arg => (arg.optional ? `[${arg.name}]` : `<${arg.name}>`))
+].join(' ');
+
+export const createCommandRegistry = () => {
+    const commands = new Map();
+
+    // Adds a command, replacing any command with the same name
+    const register = (command) => {
+        if (!COMMAND_NAME_PATTERN.test(command.name || '') || typeof command.run !== 'function') {
+            throw new Error(`Invalid command definition: ${command.name}`);
+        }
+        commands.set(command.name, { description: '', args: [], ...command });
+    };
+
+    const unregister = (name) => commands.delete(name);
+
+    const get = (name) => commands.get(name) || null;
+
+    // Public info of every command, sorted by name: [{ name, usage, description, args }]
+    const list = () => [...commands.values()]
+        .sort((commandA, commandB) => commandA.name.localeCompare(commandB.name))
+        .map(command => ({
+            name: command.name,
+            usage: formatUsage(command),
+            description: command.description,
+            args: command.args.map(({ name, type, optional = false }) => ({ name, type, optional }))
+        }));
+
+    // Splits the text after the command name into its declared args
+    const parseArgs = (command, argsText) => {
+        const args = {};
+        let rest = argsText;
+        command.args.forEach((arg, index) => {
+            const isLast = index === command.args.length - 1;
+            let value;
+            if (isLast && arg.type === 'text') {
+                value = rest;
+                rest = '';
+            } else {
+                [, value = '', rest = ''] = /^(\S*)\s*([\s\S]*)$/.exec(rest);
+            }
+            if (!value && !arg.optional) {
+                throw new ChatError(400, `Usage: ${formatUsage(command)}`, { code: 'invalid_command' });
+            }
+            args[arg.name] = value || undefined;
+        });
+        return args;
+    };
+
+    // Runs a command message. Returns { name, feedback, action } (feedback/action may be undefined).
+    const execute = async (text, context) => {
+        const parsed = parseCommand(text);
+        const command = parsed && commands.get(parsed.name);
+        if (!command) {
+            throw new ChatError(400, `Unknown command: /${parsed ? parsed.name : ''}. Type /help for the list.`, { code: 'unknown_command' });
+        }
+        const result = await command.run(context, parseArgs(command, parsed.args));
+        return typeof result === 'string' ? { name: command.name, feedback: result } : { name: command.name, ...result };
+    };
+
+    return { register, unregister, get, list, execute };
+};
@@ -0,0 +1,25 @@
+// real-time-chat-app/server/utils/errors.js
+
+// An expected, user-facing failure (bad input, missing permission, ...).
+// REST routes answer with its `status`; socket handlers send its message back to the client.
+// `code` is a stable machine-readable reason (e.g. 'rate_limited'; derived from the status when
+// not given) and `details` extra fields for the client (e.g. { retryAfterMs }).
+
+const STATUS_CODES = {
+    400: 'bad_request',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    410: 'gone',
+    429: 'rate_limited'
+};
+
+export class ChatError extends Error {
+    constructor(status, message, { code, ...details } = {}) {
+        super(message);
+        this.name = 'ChatError';
+        this.status = status;
+        this.code = code || STATUS_CODES[status] || 'error';
+        this.details = details;
+    }
+}
@@ -0,0 +1,32 @@
+// real-time-chat-app/server/utils/mentions.js
+// Parses @mentions out of message text. Usernames follow the pattern enforced at registration.
+import { USERNAME_PATTERN } from './auth.js';
+
+// Mentions everyone in the room instead of one user (reserved, so nobody can register it)
+export const ROOM_MENTION = 'room';
+
+// '@' not preceded by a word character, so e-mail addresses like bob@example.com don't count
+const MENTION_PATTERN = /(?<![\w@])@([A-Za-z0-9_.-]+)/g;
+
+// Messages are Markdown (rendered by the clients, see client/src/markdown/Markdown.jsx). Their code, fenced
+// ``` blocks (up to the closing fence or the end) and `inline` spans, is shown as typed, so it mentions nobody.
+const CODE_PATTERN = /^ {0,3}```.*$[\s\S]*?(?:^ {0,3}```[ \t]*$|(?![\s\S]))|`[^`\n]+`/gm;
+
+// Returns { usernames: [...], room: true if @room is used }, e.g.
+// 'hey @alice and @bob.' -> { usernames: ['alice', 'bob'], room: false }
+export const extractMentions = (text) => {
+    const usernames = new Set();
+    let room = false;
+    const prose = (typeof text === 'string' ? text : '').replace(CODE_PATTERN, ' ');
+    for (const [, name] of prose.matchAll(MENTION_PATTERN)) {
+        // A trailing '.' or '-' is punctuation ('thanks @bob.'), not part of the name
+        const username = name.replace(/[.-]+$/, '');
+        if (username === ROOM_MENTION) {
+            room = true;
+        } else if (USERNAME_PATTERN.test(username) && !(username in Object.prototype)) {
+            // Only what could be a username (the rules of the id() validator), so '@constructor' mentions nobody
+            usernames.add(username);
+        }
+    }
+    return { usernames: [...usernames], room };
+};
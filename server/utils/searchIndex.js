@@ -0,0 +1,123 @@
+// real-time-chat-app/server/utils/searchIndex.js
+// In-memory inverted index over room messages, ranked with BM25. Lookups only touch the
+// messages containing the query terms, never the whole history.
+
+// BM25 tuning constants (the usual defaults)
+const K1 = 1.2;
+const B = 0.75;
+const MIN_TOKEN_LENGTH = 2;
+// Prefix matches ('deploy' -> 'deployment') rank below exact ones
+const PREFIX_MATCH_WEIGHT = 0.5;
+
+// Lowercased words (letters/digits in any script), e.g. 'Deploy FAILED on db-2!' -> ['deploy', 'failed', 'on', 'db']
+export const tokenize = (text) => (
+    (typeof text === 'string' ? text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [] : [])
+        .filter(token => token.length >= MIN_TOKEN_LENGTH)
+);
+
+export const createSearchIndex = () => {
+    // token -> Map(messageId -> number of occurrences)
+    const postings = new Map();
+    // messageId -> { room, username, createdAt, length, tokens }
+    const documents = new Map();
+    // room -> Set(messageId), to drop a deleted room in one go
+    const documentsByRoom = new Map();
+    let totalLength = 0;
+
+    const remove = (messageId) => {
+        const document = documents.get(messageId);
+        if (!document) return;
+        document.tokens.forEach(token => {
+            const tokenPostings = postings.get(token);
+            tokenPostings.delete(messageId);
+            if (tokenPostings.size === 0) postings.delete(token);
+        });
+        documents.delete(messageId);
+        documentsByRoom.get(document.room)?.delete(messageId);
+        totalLength -= document.length;
+    };
+
+    // Indexes a message (re-indexes it if it was already there). Deleted messages are not searchable.
+    const add = (message) => {
+        remove(message.id);
+        if (message.deleted) return;
+        const tokens = tokenize(message.message);
+        if (tokens.length === 0) return;
+
+        const counts = new Map();
+        tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+        counts.forEach((count, token) => {
+            if (!postings.has(token)) postings.set(token, new Map());
+            postings.get(token).set(message.id, count);
+        });
+        documents.set(message.id, {
+            room: message.room,
+            username: message.username,
+            createdAt: message.createdAt || '',
+            length: tokens.length,
+            tokens: [...counts.keys()]
+        });
+        if (!documentsByRoom.has(message.room)) documentsByRoom.set(message.room, new Set());
+        documentsByRoom.get(message.room).add(message.id);
+        totalLength += tokens.length;
+    };
+
+    const removeRoom = (room) => {
+        [...(documentsByRoom.get(room) || [])].forEach(remove);
+        documentsByRoom.delete(room);
+    };
+
+    // Returns the index tokens matching a query term: the exact token, plus (for the last
+    // term of the query, so results update while typing) every token it is a prefix of
+    const expandTerm = (term, allowPrefix) => {
+        if (!allowPrefix) return postings.has(term) ? [term] : [];
+        return [...postings.keys()].filter(token => token.startsWith(term));
+    };
+
+    // Every query term must match. Returns [{ messageId, score }], best first (newest first on ties).
+    // Filters: room, user (exact username), before/after (ISO createdAt), limit.
+    const search = (query, { room, user, before, after, limit = 20 } = {}) => {
+        const terms = [...new Set(tokenize(query))];
+        if (terms.length === 0 || documents.size === 0) return [];
+        const averageLength = totalLength / documents.size;
+
+        let scores = null;
+        terms.forEach((term, index) => {
+            const termScores = new Map();
+            expandTerm(term, index === terms.length - 1).forEach(token => {
+                const tokenPostings = postings.get(token);
+                const idf = Math.log(1 + (documents.size - tokenPostings.size + 0.5) / (tokenPostings.size + 0.5));
+                tokenPostings.forEach((count, messageId) => {
+                    const { length } = documents.get(messageId);
+                    const weight = token === term ? 1 : PREFIX_MATCH_WEIGHT;
+                    const score = weight * idf * (count * (K1 + 1)) / (count + K1 * (1 - B + B * (length / averageLength)));
+                    termScores.set(messageId, Math.max(termScores.get(messageId) || 0, score));
+                });
+            });
+            // Keep only messages matching every term so far
+            const nextScores = new Map();
+            termScores.forEach((score, messageId) => {
+                if (scores === null || scores.has(messageId)) {
+                    nextScores.set(messageId, (scores ? scores.get(messageId) : 0) + score);
+                }
+            });
+            scores = nextScores;
+        });
+
+        return [...scores.entries()]
+            .filter(([messageId]) => {
+                const document = documents.get(messageId);
+                return (!room || document.room === room)
+                    && (!user || document.username === user)
+                    && (!before || document.createdAt < before)
+                    && (!after || document.createdAt > after);
+            })
+            .sort(([idA, scoreA], [idB, scoreB]) => (
+                scoreB - scoreA || documents.get(idB).createdAt.localeCompare(documents.get(idA).createdAt)
+            ))
+            .slice(0, limit)
+            .map(([messageId, score]) => ({ messageId, room: documents.get(messageId).room, score }));
+    };
+
+    return { add, remove, removeRoom, search };
+};
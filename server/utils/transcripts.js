@@ -0,0 +1,220 @@
+// real-time-chat-app/server/utils/transcripts.js
+// Room transcript formats. Each writer is a generator yielding the transcript in chunks, so the
+// export route can stream it. They all take { room, messages, notices, from, to, exportedAt, baseUrl }:
+// room metadata, messages (thread replies included) and notices in chronological order (notices is
+// null when they weren't asked for), the requested range and the server's URL for attachment links.
+// Times are shown in UTC.
+
+// Identifies a JSON transcript (the only format that can be imported back, see controllers/transcripts.js)
+export const TRANSCRIPT_TYPE = 'chat-transcript';
+export const TRANSCRIPT_VERSION = 1;
+
+const NOTICE_TEXTS = { join: 'joined the room', leave: 'left the room' };
+
+const getDay = (item) => (item.createdAt ? item.createdAt.slice(0, 10) : 'Undated');
+const getTime = (item) => (item.createdAt ? item.createdAt.slice(11, 16) : item.timestamp || '');
+const getAuthor = (message) => (
+    message.displayName && message.displayName !== message.username
+        ? `${message.displayName} (${message.username})`
+        : message.username
+);
+const getAttachmentUrl = (attachment, baseUrl) => `${baseUrl}${attachment.url}`;
+
+// Orders the messages and notices for reading: days of { item, isNotice, replies } entries.
+// Replies are listed under their parent; a reply whose parent is outside the range stands on its own.
+const groupByDay = (messages, notices) => {
+    const ids = new Set(messages.map(message => message.id));
+    const repliesByParent = new Map();
+    const entries = [];
+    messages.forEach(message => {
+        if (message.parentId && ids.has(message.parentId)) {
+            if (!repliesByParent.has(message.parentId)) repliesByParent.set(message.parentId, []);
+            repliesByParent.get(message.parentId).push(message);
+        } else {
+            entries.push({ item: message, isNotice: false });
+        }
+    });
+    (notices || []).forEach(notice => entries.push({ item: notice, isNotice: true }));
+    entries.sort((a, b) => (a.item.createdAt || '').localeCompare(b.item.createdAt || ''));
+
+    const days = [];
+    entries.forEach(entry => {
+        const day = getDay(entry.item);
+        if (days.at(-1)?.day !== day) days.push({ day, entries: [] });
+        days.at(-1).entries.push({ ...entry, replies: repliesByParent.get(entry.item.id) || [] });
+    });
+    return days;
+};
+
+const describeRange = ({ from, to }) => {
+    if (from && to) return `from ${from} to ${to}`;
+    if (from) return `since ${from}`;
+    if (to) return `until ${to}`;
+    return 'full history';
+};
+
+// --- JSON ---
+// { type, version, exportedAt, room, from, to, messages, notices? }: the stored records, unchanged
+function* writeJson({ room, messages, notices, from, to, exportedAt }) {
+    const header = {
+        type: TRANSCRIPT_TYPE,
+        version: TRANSCRIPT_VERSION,
+        exportedAt,
+        room: { id: room.id, name: room.name, description: room.description },
+        from: from || null,
+        to: to || null
+    };
+    yield `${JSON.stringify(header).slice(0, -1)},"messages":[`;
+    for (const [index, message] of messages.entries()) {
+        yield `${index > 0 ? ',' : ''}\n${JSON.stringify(message)}`;
+    }
+    yield '\n]';
+    if (notices) {
+        yield ',"notices":[';
+        for (const [index, notice] of notices.entries()) {
+            yield `${index > 0 ? ',' : ''}\n${JSON.stringify(notice)}`;
+        }
+        yield '\n]';
+    }
+    yield '}\n';
+}
+
+// --- CSV ---
+// One row per message or notice in time order; replies carry their thread's parent id
+const CSV_COLUMNS = ['id', 'createdAt', 'type', 'username', 'displayName', 'message', 'parentId', 'attachments', 'editedAt'];
+
+// Quotes a field when needed. Fields starting like a formula get a leading quote so spreadsheets show them as text.
+const toCsvField = (value) => {
+    let field = value === undefined || value === null ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(field)) field = `'${field}`;
+    return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+};
+
+const getMessageType = (message) => {
+    if (message.deleted) return 'deleted';
+    return message.isAction ? 'action' : 'message';
+};
+
+function* writeCsv({ messages, notices, baseUrl }) {
+    yield `\uFEFF${CSV_COLUMNS.join(',')}\r\n`; // The BOM makes spreadsheets read the file as UTF-8
+    const rows = [
+        ...messages.map(message => ({
+            ...message,
+            type: getMessageType(message),
+            attachments: (message.attachments || []).map(attachment => getAttachmentUrl(attachment, baseUrl)).join(' ')
+        })),
+        ...(notices || [])
+    ].sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+    for (const row of rows) {
+        yield `${CSV_COLUMNS.map(column => toCsvField(row[column])).join(',')}\r\n`;
+    }
+}
+
+// --- Markdown ---
+// User text is kept as typed (it may use Markdown itself), but HTML in it is escaped
+const escapeMarkdownHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const formatMarkdownLine = ({ item, isNotice }, baseUrl, indent) => {
+    const time = `**${getTime(item)}**`;
+    if (isNotice) {
+        return `${indent}- ${time} _${escapeMarkdownHtml(item.username)} ${NOTICE_TEXTS[item.type]}_`;
+    }
+    const author = escapeMarkdownHtml(getAuthor(item));
+    const prefix = item.parentId && !indent ? '↳ in a thread: ' : '';
+    let line;
+    if (item.deleted) {
+        line = `_message from ${author} deleted_`;
+    } else if (item.isAction) {
+        line = `_* ${author} ${escapeMarkdownHtml(item.message)}_`;
+    } else {
+        line = `**${author}**: ${escapeMarkdownHtml(item.message)}`;
+    }
+    if (item.editedAt && !item.deleted) line += ' _(edited)_';
+    const lines = [`${indent}- ${time} ${prefix}${line}`.replace(/\n/g, `\n${indent}  `)];
+    (item.attachments || []).forEach(attachment => {
+        lines.push(`${indent}  - 📎 [${escapeMarkdownHtml(attachment.name)}](<${getAttachmentUrl(attachment, baseUrl)}>)`);
+    });
+    return lines.join('\n');
+};
+
+function* writeMarkdown({ room, messages, notices, exportedAt, baseUrl, ...range }) {
+    yield `# #${escapeMarkdownHtml(room.name)}\n\n`;
+    if (room.description) yield `> ${escapeMarkdownHtml(room.description)}\n\n`;
+    yield `Transcript (${describeRange(range)}), exported ${exportedAt}. All times are UTC.\n`;
+    for (const { day, entries } of groupByDay(messages, notices)) {
+        yield `\n## ${day}\n\n`;
+        for (const entry of entries) {
+            yield `${formatMarkdownLine(entry, baseUrl, '')}\n`;
+            for (const reply of entry.replies) {
+                yield `${formatMarkdownLine({ item: reply, isNotice: false }, baseUrl, '  ')}\n`;
+            }
+        }
+    }
+}
+
+// --- HTML ---
+// A standalone page; every piece of user text is escaped
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const HTML_STYLE = `body { font-family: sans-serif; max-width: 800px; margin: 2em auto; color: #222; }
+li { margin: 0.3em 0; list-style: none; }
+.time { color: #888; margin-right: 0.5em; }
+.text { white-space: pre-wrap; }
+.notice, .deleted { color: #888; font-style: italic; }
+.replies { border-left: 2px solid #ddd; padding-left: 1em; }`;
+
+const formatHtmlItem = ({ item, isNotice }, baseUrl, isNested) => {
+    const time = `<span class="time">${escapeHtml(getTime(item))}</span>`;
+    if (isNotice) {
+        return `${time}<span class="notice">${escapeHtml(item.username)} ${NOTICE_TEXTS[item.type]}</span>`;
+    }
+    const author = escapeHtml(getAuthor(item));
+    const prefix = item.parentId && !isNested ? '↳ in a thread: ' : '';
+    let body;
+    if (item.deleted) {
+        body = `<span class="deleted">message from ${author} deleted</span>`;
+    } else if (item.isAction) {
+        body = `<em class="text">* ${author} ${escapeHtml(item.message)}</em>`;
+    } else {
+        body = `<strong>${author}</strong>: <span class="text">${escapeHtml(item.message)}</span>`;
+    }
+    if (item.editedAt && !item.deleted) body += ' <small>(edited)</small>';
+    const attachments = (item.attachments || []).map(attachment => (
+        `<div>📎 <a href="${escapeHtml(getAttachmentUrl(attachment, baseUrl))}">${escapeHtml(attachment.name)}</a></div>`
+    )).join('');
+    return `${time}${prefix}${body}${attachments}`;
+};
+
+function* writeHtml({ room, messages, notices, exportedAt, baseUrl, ...range }) {
+    yield `<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n<title>#${escapeHtml(room.name)}</title>\n`;
+    yield `<style>\n${HTML_STYLE}\n</style>\n</head>\n<body>\n<h1>#${escapeHtml(room.name)}</h1>\n`;
+    if (room.description) yield `<p>${escapeHtml(room.description)}</p>\n`;
+    yield `<p><small>Transcript (${escapeHtml(describeRange(range))}), exported ${escapeHtml(exportedAt)}. All times are UTC.</small></p>\n`;
+    for (const { day, entries } of groupByDay(messages, notices)) {
+        yield `<h2>${escapeHtml(day)}</h2>\n<ul>\n`;
+        for (const entry of entries) {
+            yield `<li>${formatHtmlItem(entry, baseUrl, false)}`;
+            if (entry.replies.length > 0) {
+                yield `<ul class="replies">${entry.replies.map(reply => (
+                    `<li>${formatHtmlItem({ item: reply, isNotice: false }, baseUrl, true)}</li>`
+                )).join('')}</ul>`;
+            }
+            yield '</li>\n';
+        }
+        yield '</ul>\n';
+    }
+    yield '</body>\n</html>\n';
+}
+
+// format -> { write, contentType, extension }
+export const TRANSCRIPT_FORMATS = {
+    json: { write: writeJson, contentType: 'application/json', extension: 'json' },
+    csv: { write: writeCsv, contentType: 'text/csv', extension: 'csv' },
+    md: { write: writeMarkdown, contentType: 'text/markdown', extension: 'md' },
+    html: { write: writeHtml, contentType: 'text/html', extension: 'html' }
+};
@@ -0,0 +1,17 @@
+// real-time-chat-app/server/utils/uploads.js
+// Receiving multipart uploads with multer, for the routes that accept a file
+import multer from 'multer';
+import { ChatError } from './errors.js';
+
+// Middleware reading the single file in field 'file' with `upload` (a multer instance) and turning
+// multer's errors into ChatErrors: 413 with `sizeLimitMessage` for a file over the size limit, else 400
+export const receiveSingleFile = (upload, sizeLimitMessage) => (req, res, next) => {
+    upload.single('file')(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            return next(err.code === 'LIMIT_FILE_SIZE'
+                ? new ChatError(413, sizeLimitMessage)
+                : new ChatError(400, err.message));
+        }
+        next(err);
+    });
+};
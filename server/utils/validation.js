@@ -0,0 +1,101 @@
+// real-time-chat-app/server/utils/validation.js
+// A small schema checker for the payloads clients send with socket events.
+// A schema maps each accepted field to a validator, e.g. { room: id(), message: text({ optional: true }) };
+// validatePayload() returns a clean copy with only those fields, or throws a ChatError with code
+// 'invalid_payload' naming the first bad field.
+import { ChatError } from './errors.js';
+
+// Control characters other than tab and newline, and the bidi overrides that make text display
+// differently from how it was typed
+const UNSAFE_TEXT_CHARACTERS = /[\u0000-\u0008\u000B-\u001F\u007F\u202A-\u202E\u2066-\u2069]/g;
+
+// Normalizes text typed by a user: Unicode NFC, '\r\n' -> '\n', unsafe characters removed, trimmed
+export const sanitizeText = (text) => (
+    text.normalize('NFC').replace(/\r\n?/g, '\n').replace(UNSAFE_TEXT_CHARACTERS, '').trim()
+);
+
+const invalid = (field, reason) => {
+    throw new ChatError(400, `Invalid '${field}': ${reason}.`, { code: 'invalid_payload', field });
+};
+
+// Runs `check` on a present value. A missing one (undefined or null) is an error unless the
+// field is `optional`, in which case it becomes `fallback`.
+const withPresence = ({ optional = false, fallback } = {}, check) => (value, field) => {
+    if (value === undefined || value === null) {
+        if (!optional) invalid(field, 'is required');
+        return fallback;
+    }
+    return check(value, field);
+};
+
+// Free text (messages, names, descriptions), sanitized. Empty text is refused unless `allowEmpty`.
+export const text = ({ maxLength = Infinity, allowEmpty = false, ...presence } = {}) => withPresence(presence, (value, field) => {
+    if (typeof value !== 'string') invalid(field, 'must be a string');
+    const clean = sanitizeText(value);
+    if (!clean && !allowEmpty) invalid(field, "can't be empty");
+    if (clean.length > maxLength) invalid(field, `must be at most ${maxLength} characters`);
+    return clean;
+});
+
+// An identifier used to look things up (room id, message id, username, emoji). Besides `pattern`,
+// names of Object.prototype members ('constructor', '__proto__', ...) are refused, since the stores
+// keep records in plain objects keyed by these.
+export const id = ({ pattern, maxLength = 100, ...presence } = {}) => withPresence(presence, (value, field) => {
+    if (typeof value !== 'string' || !value || value.length > maxLength) invalid(field, 'must be a valid id');
+    if ((pattern && !pattern.test(value)) || value in Object.prototype) invalid(field, 'must be a valid id');
+    return value;
+});
+
+export const boolean = (presence) => withPresence(presence, (value, field) => {
+    if (typeof value !== 'boolean') invalid(field, 'must be true or false');
+    return value;
+});
+
+export const integer = ({ min = -Infinity, max = Infinity, ...presence } = {}) => withPresence(presence, (value, field) => {
+    if (!Number.isInteger(value) || value < min || value > max) invalid(field, `must be a whole number from ${min} to ${max}`);
+    return value;
+});
+
+export const oneOf = (values, presence) => withPresence(presence, (value, field) => {
+    if (!values.includes(value)) invalid(field, `must be one of: ${values.join(', ')}`);
+    return value;
+});
+
+// An ISO 8601 timestamp such as a message's createdAt
+export const isoDate = (presence) => withPresence(presence, (value, field) => {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}T/.test(value) || Number.isNaN(Date.parse(value))) {
+        invalid(field, 'must be an ISO date');
+    }
+    return value;
+});
+
+export const arrayOf = (item, { maxItems = Infinity, ...presence } = {}) => withPresence(presence, (value, field) => {
+    if (!Array.isArray(value)) invalid(field, 'must be a list');
+    if (value.length > maxItems) invalid(field, `must have at most ${maxItems} items`);
+    return value.map((element, index) => item(element, `${field}[${index}]`));
+});
+
+// An object used as a map, e.g. { 'roomId': 'messageId' }; keys go through `key`, values through `item`
+export const recordOf = (key, item, { maxEntries = Infinity, ...presence } = {}) => withPresence(presence, (value, field) => {
+    if (typeof value !== 'object' || Array.isArray(value)) invalid(field, 'must be an object');
+    const entries = Object.entries(value);
+    if (entries.length > maxEntries) invalid(field, `must have at most ${maxEntries} entries`);
+    return Object.fromEntries(entries.map(([entryKey, entryValue]) => [
+        key(entryKey, `${field} key`),
+        item(entryValue, `${field}.${entryKey}`)
+    ]));
+});
+
+// A nested object checked against its own schema; like validatePayload, only the schema's fields are kept
+export const objectOf = (schema, presence) => withPresence(presence, (value, field) => {
+    if (typeof value !== 'object' || Array.isArray(value)) invalid(field, 'must be an object');
+    return Object.fromEntries(Object.entries(schema).map(([key, check]) => [key, check(value[key], `${field}.${key}`)]));
+});
+
+// Checks a payload against a schema. Only the schema's fields are kept; anything else is dropped.
+export const validatePayload = (schema, payload) => {
+    if (typeof payload !== 'object' || payload === null || Array.isArray(payload)) {
+        throw new ChatError(400, 'Expected an object payload.', { code: 'invalid_payload' });
+    }
+    return Object.fromEntries(Object.entries(schema).map(([field, check]) => [field, check(payload[field], field)]));
+};